@@ -0,0 +1,115 @@
+// ==================================================================
+// Team leaderboard API
+// ==================================================================
+//   POST /api/scores                      → submit a run
+//     body: { name, replay }             (replay as produced by the game)
+//     201:  { entry, rank, total }
+//     400 / 413 / 422: { error }
+//
+//   GET /api/scores?mode=daily&difficulty=normal&ramp=1&limit=20
+//     200:  { scores: [...], total }
+//     mode defaults to "classic", difficulty to "normal". ramp=1 → the
+//     board of runs with the speed ramp on (default: without).
+//     For mode=daily the board of the current day (UTC) is returned,
+//     or of ?day=YYYY-MM-DD.
+//
+// Submitted runs are re-simulated on the server (see verifySubmission.js),
+// so only scores that really happened make it onto the board.
+
+import { NextResponse } from "next/server";
+
+import { addScore, getScores } from "@/server/scoreStore";
+import { verifySubmission } from "@/server/verifySubmission";
+import { GAME_MODES, dailyKey } from "@/app/game/modes";
+import { DIFFICULTIES } from "@/app/game/difficulty";
+
+const MAX_NAME_LENGTH = 20;
+
+// A 30 minute run (MAX_REPLAY_FRAMES) has a few thousand jumps, a few
+// dozen KB of JSON; anything much bigger isn't a real run.
+const MAX_BODY_BYTES = 256 * 1024;
+
+// ==================================================================
+// FUNCTION: Read the request body, up to MAX_BODY_BYTES
+// ==================================================================
+// Returns the text, or null once the body turns out to be too big (the
+// rest is never read).
+async function readBody(request) {
+  if (Number(request.headers.get("content-length")) > MAX_BODY_BYTES) return null;
+  if (!request.body) return "";
+
+  const reader = request.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > MAX_BODY_BYTES) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+// ==================================================================
+// POST: submit a run
+// ==================================================================
+export async function POST(request) {
+  const text = await readBody(request);
+  if (text === null) {
+    return NextResponse.json({ error: "Request body is too large" }, { status: 413 });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    return NextResponse.json({ error: "Request body must be JSON" }, { status: 400 });
+  }
+
+  const name = String(body?.name ?? "").trim().slice(0, MAX_NAME_LENGTH) || "Player";
+
+  const result = verifySubmission(body?.replay);
+  if (!result.valid) {
+    return NextResponse.json({ error: result.reason }, { status: 422 });
+  }
+
+  const { replay, score, duration, day } = result;
+  const saved = await addScore({
+    name,
+    score,
+    mode: replay.mode,
+    difficulty: replay.difficulty,
+    ramp: Boolean(replay.config.ramp),
+    day,
+    version: replay.version,
+    seed: replay.seed,
+    jumps: replay.jumps,
+    frames: replay.frames,
+    duration,
+  });
+
+  return NextResponse.json(saved, { status: 201 });
+}
+
+// ==================================================================
+// GET: top scores of a board
+// ==================================================================
+export async function GET(request) {
+  const params = new URL(request.url).searchParams;
+
+  const mode = params.get("mode") || "classic";
+  const difficulty = params.get("difficulty") || "normal";
+  const ramp = params.get("ramp") === "1";
+  const day = params.get("day") || dailyKey();
+  const limit = Math.min(Math.max(parseInt(params.get("limit") || "20") || 20, 1), 100);
+
+  if (!GAME_MODES[mode] || !DIFFICULTIES[difficulty]) {
+    return NextResponse.json({ error: "Unknown mode or difficulty" }, { status: 400 });
+  }
+
+  return NextResponse.json(await getScores({ mode, difficulty, ramp, day, limit }));
+}
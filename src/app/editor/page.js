@@ -0,0 +1,7 @@
+"use client";
+
+import { CourseEditor } from "../game/CourseEditor";
+
+export default function Page() {
+  return <CourseEditor />;
+}
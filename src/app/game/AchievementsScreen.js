@@ -0,0 +1,147 @@
+"use client";
+// Client component: the reset confirm step needs local state.
+
+import { useState } from "react";
+import { Award, Lock } from "lucide-react";
+
+import { achievementList } from "./achievementProgress";
+
+// Date part of an ISO string (unlock dates)
+function formatDate(iso) {
+  return iso.slice(0, 10);
+}
+
+// ==================================================================
+// AchievementsScreen Component
+// ==================================================================
+/*
+  WHAT IS THIS COMPONENT?
+  -----------------------
+  The achievements gallery: every achievement (see achievements.js), the
+  unlocked ones with their date, the others with a progress bar towards
+  their goal. Shown inside an Overlay from the start screen.
+
+  PROPS
+  -----
+    - achievements → saved progress (see achievementProgress.js)
+    - onClear → called after the player confirms resetting the progress
+    - onClose → called when the player is done
+*/
+export function AchievementsScreen({ achievements, onClear, onClose }) {
+  const [confirming, setConfirming] = useState(false);
+  const list = achievementList(achievements);
+  const unlocked = list.filter((a) => a.unlocked).length;
+
+  return (
+    <div
+      data-ui
+      className="bg-black bg-opacity-75 rounded-lg p-6 w-[36rem] max-w-full max-h-[90vh] flex flex-col"
+    >
+      <h2 className="text-2xl font-bold mb-1 text-center">Achievements</h2>
+      <p className="text-sm opacity-75 mb-4 text-center">
+        {unlocked} of {list.length} unlocked
+      </p>
+
+      <ul className="overflow-y-auto flex-1 mb-4 flex flex-col gap-2">
+        {list.map((a) => (
+          <li
+            key={a.id}
+            className={`flex items-center gap-3 rounded-lg px-3 py-2 ${
+              a.unlocked ? "bg-yellow-500 bg-opacity-25" : "bg-white bg-opacity-10"
+            }`}
+          >
+            {a.unlocked ? (
+              <Award className="w-6 h-6 shrink-0 text-yellow-400" />
+            ) : (
+              <Lock className="w-6 h-6 shrink-0 opacity-50" />
+            )}
+            <div className="flex-1">
+              <p className="font-bold">{a.title}</p>
+              <p className="text-sm opacity-75">{a.description}</p>
+              {!a.unlocked && a.goal > 1 && (
+                <div className="flex items-center gap-2 mt-1">
+                  <div className="flex-1 h-1.5 bg-white bg-opacity-20 rounded">
+                    <div className="h-full bg-yellow-400 rounded" style={{ width: `${(a.value / a.goal) * 100}%` }} />
+                  </div>
+                  <span className="text-xs tabular-nums opacity-75">
+                    {Math.floor(a.value)} / {a.goal}
+                  </span>
+                </div>
+              )}
+            </div>
+            {a.unlocked && <span className="text-xs opacity-75 tabular-nums">{formatDate(a.unlocked)}</span>}
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex justify-between items-center">
+        {confirming ? (
+          <span className="text-sm">
+            Lock them all again?{" "}
+            <button
+              onClick={() => {
+                onClear();
+                setConfirming(false);
+              }}
+              className="underline text-red-400 mr-2"
+            >
+              Yes, reset
+            </button>
+            <button onClick={() => setConfirming(false)} className="underline">
+              Cancel
+            </button>
+          </span>
+        ) : (
+          <button
+            onClick={() => setConfirming(true)}
+            className="text-sm underline opacity-75 hover:opacity-100"
+          >
+            Reset achievements
+          </button>
+        )}
+        <button
+          onClick={onClose}
+          className="bg-yellow-500 hover:bg-yellow-600 text-black px-4 py-2 rounded-lg font-bold transition-colors"
+        >
+          Done
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// ==================================================================
+// AchievementToasts Component
+// ==================================================================
+/*
+  WHAT IS THIS COMPONENT?
+  -----------------------
+  "Achievement unlocked" notes shown during play, stacked at the top of
+  the screen. FlappyGame adds one per unlock and removes it after a few
+  seconds.
+
+  PROPS
+  -----
+    - toasts → [{ key, achievement }], oldest first
+*/
+export function AchievementToasts({ toasts }) {
+  if (toasts.length === 0) return null;
+
+  return (
+    <div className="absolute top-16 left-1/2 -translate-x-1/2 flex flex-col items-center gap-2 pointer-events-none">
+      {toasts.map(({ key, achievement }) => (
+        <div
+          key={key}
+          role="status"
+          className="flex items-center gap-3 bg-black bg-opacity-75 text-white rounded-lg px-4 py-2 shadow-lg"
+        >
+          <Award className="w-6 h-6 text-yellow-400" />
+          <div>
+            <p className="text-xs uppercase opacity-75">Achievement unlocked</p>
+            <p className="font-bold">{achievement.title}</p>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,357 @@
+"use client";
+// Client component: draws on a <canvas> element in the browser.
+
+import { useEffect, useRef, useState } from "react";
+
+import { BIRD_WIDTH, BIRD_HEIGHT } from "./engine";
+import { birdTilt, tiltRotation, pipeHitbox } from "./hitboxes";
+import { BIRD_SPRITE_WIDTH, BIRD_SPRITE_HEIGHT, GHOST_OPACITY, birdFrame } from "./themes";
+import { ITEM_SIZE, SMASHED_OPACITY, itemLook, itemRect } from "./collectibles";
+import { OBSTACLES, HAZARD_SIZE, hazardRect, hazardOutline } from "./obstacles";
+import { FINISH_WIDTH, FINISH_SQUARE } from "./course";
+
+const HAZARD_OUTLINE = hazardOutline();
+
+const BORDER = 2;     // bird & pipe outline width (px)
+const RIM_EDGE = 4;   // thick outer edge of the rim
+
+// ==================================================================
+// FUNCTION: Draw the bird
+// ==================================================================
+// Mirrors the Bird component in GameObjects.js: the current sprite frame,
+// tilted by the bird's velocity (and scaled by bird.scale) around the
+// center of the body. Until the
+// theme's images have loaded, a plain bird is drawn in the theme colors.
+//
+// look → { theme, images, time } (see drawScene)
+export function drawBird(ctx, bird, { theme, images, time }) {
+  ctx.save();
+
+  // Rotate around the center of the body, like CSS transform does (with
+  // the hitbox's own sine & cosine, so sprite and hitbox match exactly)
+  const { sin, cos } = tiltRotation(birdTilt(bird));
+  ctx.translate(bird.x + BIRD_WIDTH / 2, bird.y + BIRD_HEIGHT / 2);
+  ctx.transform(cos, sin, -sin, cos, 0, 0);
+  ctx.scale(bird.scale ?? 1, bird.scale ?? 1);
+  ctx.translate(-BIRD_WIDTH / 2, -BIRD_HEIGHT / 2);
+
+  if (images) {
+    ctx.drawImage(images.bird[birdFrame(time)], 0, 0, BIRD_SPRITE_WIDTH, BIRD_SPRITE_HEIGHT);
+  } else {
+    drawPlainBird(ctx, theme.colors);
+  }
+
+  ctx.restore();
+}
+
+// Body, eye, beak and wing from simple shapes (fallback while loading)
+function drawPlainBird(ctx, colors) {
+  // Body with outline
+  ctx.fillStyle = colors.birdBorder;
+  ctx.beginPath();
+  ctx.roundRect(0, 0, BIRD_WIDTH, BIRD_HEIGHT, 8);
+  ctx.fill();
+  ctx.fillStyle = colors.birdBody;
+  ctx.beginPath();
+  ctx.roundRect(BORDER, BORDER, BIRD_WIDTH - BORDER * 2, BIRD_HEIGHT - BORDER * 2, 6);
+  ctx.fill();
+
+  // Parts are offset by the border, like children of a bordered div
+  ctx.translate(BORDER, BORDER);
+
+  // Eye (small circle)
+  ctx.fillStyle = colors.birdEye;
+  ctx.beginPath();
+  ctx.arc(25 + 3, 6 + 3, 3, 0, Math.PI * 2);
+  ctx.fill();
+
+  // Beak (triangle pointing right)
+  ctx.fillStyle = colors.birdBeak;
+  ctx.beginPath();
+  ctx.moveTo(38, 12);
+  ctx.lineTo(48, 15);
+  ctx.lineTo(38, 18);
+  ctx.closePath();
+  ctx.fill();
+
+  // Wing (rounded rectangle)
+  ctx.fillStyle = colors.birdWing;
+  ctx.beginPath();
+  ctx.roundRect(5, 10, 14, 10, 5);
+  ctx.fill();
+}
+
+// ==================================================================
+// FUNCTION: Draw a pipe pair (top + bottom, each with a rim)
+// ==================================================================
+// The rectangles come straight from the pipe hitbox, so what you see is
+// exactly what the bird collides with. Pipes smashed by the shield are
+// drawn faded.
+//
+// Obstacle variants (see the Pipe component in GameObjects.js): moving /
+// closing pipes get a tint, double pipes a middle block and hazards are
+// drawn by drawHazard() instead.
+export function drawPipe(ctx, pipe, floor, { theme, images }) {
+  ctx.save();
+  if (pipe.smashed) ctx.globalAlpha = SMASHED_OPACITY;
+
+  if (pipe.kind === "hazard") {
+    drawHazard(ctx, pipe);
+    ctx.restore();
+    return;
+  }
+
+  const rects = pipeHitbox(pipe, floor);
+  if (!images) {
+    drawPlainPipe(ctx, rects, theme.colors);
+  } else {
+    drawPipeImages(ctx, rects, images);
+  }
+
+  const tint = theme.tints?.[pipe.kind] ?? OBSTACLES[pipe.kind]?.tint;
+  if (tint) {
+    ctx.fillStyle = tint;
+    for (const rect of rects) ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+  }
+
+  ctx.restore();
+}
+
+// Draws a rim image upside down (the rim of a bottom pipe)
+function drawFlippedRim(ctx, image, rim) {
+  ctx.save();
+  ctx.translate(rim.x, rim.y + rim.height);
+  ctx.scale(1, -1);
+  ctx.drawImage(image, 0, 0, rim.width, rim.height);
+  ctx.restore();
+}
+
+// The theme's pipe textures
+function drawPipeImages(ctx, [topBody, topRim, bottomBody, bottomRim, middleBody, middleTopRim, middleBottomRim], images) {
+  // Pipe bodies: the texture repeats downwards from each body's corner
+  for (const body of [topBody, bottomBody, middleBody].filter(Boolean)) {
+    ctx.save();
+    ctx.translate(body.x, body.y);
+    ctx.fillStyle = ctx.createPattern(images.pipeBody, "repeat-y");
+    ctx.fillRect(0, 0, body.width, body.height);
+    ctx.restore();
+  }
+
+  // Rims: the image is a top rim; the bottom one is drawn upside down
+  ctx.drawImage(images.pipeRim, topRim.x, topRim.y, topRim.width, topRim.height);
+  drawFlippedRim(ctx, images.pipeRim, bottomRim);
+
+  // Middle block: a rim facing each gap
+  if (middleBody) {
+    drawFlippedRim(ctx, images.pipeRim, middleTopRim);
+    ctx.drawImage(images.pipeRim, middleBottomRim.x, middleBottomRim.y, middleBottomRim.width, middleBottomRim.height);
+  }
+}
+
+// Outlined rectangles in the theme colors (fallback while loading)
+function drawPlainPipe(ctx, [topBody, topRim, bottomBody, bottomRim, middleBody, middleTopRim, middleBottomRim], colors) {
+  // Pipe bodies: dark outline, then the fill inside it
+  for (const body of [topBody, bottomBody, middleBody].filter(Boolean)) {
+    ctx.fillStyle = colors.pipeBorder;
+    ctx.fillRect(body.x, body.y, body.width, body.height);
+    ctx.fillStyle = colors.pipe;
+    ctx.fillRect(body.x + BORDER, body.y + BORDER, body.width - BORDER * 2, body.height - BORDER * 2);
+  }
+
+  // Rims: wider than the pipe, with a thick edge on the side facing away
+  // from the gap
+  ctx.fillStyle = colors.rim;
+  ctx.fillRect(topRim.x, topRim.y, topRim.width, topRim.height);
+  ctx.fillRect(bottomRim.x, bottomRim.y, bottomRim.width, bottomRim.height);
+
+  ctx.fillStyle = colors.rimBorder;
+  ctx.fillRect(topRim.x, topRim.y, topRim.width, RIM_EDGE);
+  ctx.fillRect(bottomRim.x, bottomRim.y + bottomRim.height - RIM_EDGE, bottomRim.width, RIM_EDGE);
+
+  if (middleBody) {
+    ctx.fillStyle = colors.rim;
+    ctx.fillRect(middleTopRim.x, middleTopRim.y, middleTopRim.width, middleTopRim.height);
+    ctx.fillRect(middleBottomRim.x, middleBottomRim.y, middleBottomRim.width, middleBottomRim.height);
+
+    ctx.fillStyle = colors.rimBorder;
+    ctx.fillRect(middleTopRim.x, middleTopRim.y + middleTopRim.height - RIM_EDGE, middleTopRim.width, RIM_EDGE);
+    ctx.fillRect(middleBottomRim.x, middleBottomRim.y, middleBottomRim.width, RIM_EDGE);
+  }
+}
+
+// The spiked ball of a hazard (mirrors the Hazard component in GameObjects.js)
+function drawHazard(ctx, pipe) {
+  const { x, y } = hazardRect(pipe);
+  const r = HAZARD_SIZE / 2;
+
+  ctx.save();
+  ctx.translate(x + r, y + r);
+
+  ctx.fillStyle = "#52525b";
+  ctx.strokeStyle = "#18181b";
+  ctx.lineWidth = BORDER;
+  ctx.beginPath();
+  HAZARD_OUTLINE.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+  ctx.closePath();
+  ctx.fill();
+  ctx.stroke();
+
+  ctx.fillStyle = "#dc2626";
+  ctx.beginPath();
+  ctx.arc(0, 0, r - 14, 0, Math.PI * 2);
+  ctx.fill();
+
+  ctx.restore();
+}
+
+// ==================================================================
+// FUNCTION: Draw a pipe's coin or power-up
+// ==================================================================
+// Mirrors the Collectible component in GameObjects.js.
+export function drawItem(ctx, pipe, floor) {
+  if (!pipe.item || pipe.item.taken) return;
+
+  const { x, y } = itemRect(pipe, floor);
+  const { color, symbol } = itemLook(pipe.item);
+  const radius = ITEM_SIZE / 2;
+
+  ctx.fillStyle = color;
+  ctx.strokeStyle = "white";
+  ctx.lineWidth = BORDER;
+  ctx.beginPath();
+  ctx.arc(x + radius, y + radius, radius - BORDER / 2, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.stroke();
+
+  ctx.fillStyle = "white";
+  ctx.font = "bold 14px sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(symbol, x + radius, y + radius + 1);
+}
+
+// The checkered finish line of a hand-made course (mirrors the FinishLine
+// component in GameObjects.js)
+function drawFinish(ctx, x, floor) {
+  const columns = FINISH_WIDTH / FINISH_SQUARE;
+  for (let row = 0; row * FINISH_SQUARE < floor; row++) {
+    for (let column = 0; column < columns; column++) {
+      ctx.fillStyle = (row + column) % 2 === 0 ? "#000" : "#fff";
+      const y = row * FINISH_SQUARE;
+      ctx.fillRect(x + column * FINISH_SQUARE, y, FINISH_SQUARE, Math.min(FINISH_SQUARE, floor - y));
+    }
+  }
+}
+
+// ==================================================================
+// FUNCTION: Draw a whole frame
+// ==================================================================
+// The canvas is cleared (not filled) so the parallax background behind it
+// shows through.
+//
+// floor  → y of the ground line (bottom pipes stand on it)
+// theme  → theme object (see themes.js)
+// images → the theme's loaded images, or null while they are loading
+// time   → simulated seconds, drives the wing-flap animation
+// ghosts → see-through extra birds (the ghost of your best run, other
+//          players online)
+// finishX → x of a hand-made course's finish line, or null
+export function drawScene(ctx, { bird, ghosts = [], pipes, finishX = null, width, height, floor, theme, images, time }) {
+  const look = { theme, images, time };
+
+  ctx.clearRect(0, 0, width, height);
+  ctx.imageSmoothingEnabled = !theme.pixelArt; // keep pixel art crisp
+  for (const pipe of pipes) drawPipe(ctx, pipe, floor, look);
+  for (const pipe of pipes) drawItem(ctx, pipe, floor);
+  if (finishX !== null) drawFinish(ctx, finishX, floor);
+
+  for (const ghost of ghosts) {
+    ctx.save();
+    ctx.globalAlpha = GHOST_OPACITY;
+    drawBird(ctx, ghost, look);
+    ctx.restore();
+  }
+
+  drawBird(ctx, bird, look);
+}
+
+// ==================================================================
+// FUNCTION: Load an image
+// ==================================================================
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error(`Could not load ${src}`));
+    image.src = src;
+  });
+}
+
+// ==================================================================
+// HOOK: The theme's sprites as loaded <img> elements
+// ==================================================================
+// Returns null until every image has loaded (or if one fails), so the
+// renderer never draws half a theme.
+function useThemeImages(theme) {
+  const [loaded, setLoaded] = useState(null);
+  // { theme, images } — remembers which theme the images belong to
+
+  useEffect(() => {
+    let cancelled = false;
+
+    Promise.all([...theme.bird, theme.pipe.body, theme.pipe.rim].map(loadImage))
+      .then(([bird0, bird1, bird2, pipeBody, pipeRim]) => {
+        if (!cancelled) setLoaded({ theme, images: { bird: [bird0, bird1, bird2], pipeBody, pipeRim } });
+      })
+      .catch(() => {}); // keep drawing plain shapes
+
+    return () => {
+      cancelled = true;
+    };
+  }, [theme]);
+
+  return loaded?.theme === theme ? loaded.images : null;
+}
+
+// ==================================================================
+// CanvasRenderer Component
+// ==================================================================
+/*
+  WHAT IS THIS COMPONENT?
+  -----------------------
+  A single <canvas> that draws the bird and all pipes every frame, with
+  the sprites of the chosen theme.
+  Unlike the DOM renderer, no elements are created or removed as pipes
+  come and go, so it stays smooth even with lots of objects on screen.
+
+  The canvas backing store has one pixel per DEVICE pixel (pixelRatio =
+  device pixels per world pixel, see useViewportScale), so drawings stay
+  sharp however much the world is scaled up and on high-DPI screens. All
+  drawing code still works in world pixels.
+*/
+export function CanvasRenderer({ bird, ghosts, pipes, finishX, width, height, floor, pixelRatio = 1, theme, time }) {
+  const canvasRef = useRef(null);
+  const images = useThemeImages(theme);
+
+  // Match the backing store to the size and pixel ratio
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    canvas.width = Math.round(width * pixelRatio);
+    canvas.height = Math.round(height * pixelRatio);
+    canvas.getContext("2d").setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+  }, [width, height, pixelRatio]);
+
+  // Redraw whenever the scene changes (resizing the canvas also clears it)
+  useEffect(() => {
+    const ctx = canvasRef.current.getContext("2d");
+    drawScene(ctx, { bird, ghosts, pipes, finishX, width, height, floor, theme, images, time });
+  }, [bird, ghosts, pipes, finishX, width, height, floor, pixelRatio, theme, images, time]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      className="absolute inset-0"
+      style={{ width, height }}
+    />
+  );
+}
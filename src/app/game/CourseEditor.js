@@ -0,0 +1,564 @@
+"use client";
+// Client component: edits, test-plays and shares hand-made courses in the browser.
+
+import { useState, useEffect, useRef } from "react";
+import Link from "next/link";
+import { Play, RotateCcw, Download, Upload, Plus, Copy, Trash2, Link2, ArrowLeft, X } from "lucide-react";
+
+import { Bird, Pipe, FinishLine, ScoreBoard, Overlay } from "./GameObjects";
+import { Scene } from "./Scene";
+import { Viewport } from "./Viewport";
+import { createGame, step, floorY, DEFAULT_CONFIG, PIPE_WIDTH } from "./engine";
+import { OBSTACLES, placeObstacle } from "./obstacles";
+import {
+  SAMPLE_COURSE,
+  MAX_COURSE_PIPES,
+  MIN_SPACING,
+  MAX_SPACING,
+  MIN_GAP,
+  MAX_GAP,
+  MAX_NAME_LENGTH,
+  FINISH_WIDTH,
+  PHYSICS_LIMITS,
+  defaultCoursePipe,
+  courseConfig,
+  coursePositions,
+  encodeCourse,
+} from "./course";
+import { loadCourse, saveCourse, exportCourse, importCourse, courseLink, courseFromUrl } from "./courseStorage";
+import { DEFAULT_SETTINGS, loadSettings, keyLabel } from "./settings";
+import { getTheme } from "./themes";
+import { useGameLoop } from "./useGameLoop";
+import { useGameInput } from "./useGameInput";
+import { useGameAudio } from "./useGameAudio";
+
+const TIMELINE_SCALE = 0.5; // the timeline is drawn at half the world size
+const TIMELINE_END = 100;   // world px shown after the finish line
+
+const FLOOR = floorY(DEFAULT_CONFIG);
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// The obstacle the engine would build from a course pipe, at x
+function previewPipe(pipe, x, id) {
+  return { id, x, ...placeObstacle(pipe.kind, { center: pipe.gapY, gap: pipe.gapSize, floor: FLOOR }) };
+}
+
+// ==================================================================
+// Slider Component (one number field of the course)
+// ==================================================================
+function Slider({ label, value, min, max, step = 1, disabled = false, onChange }) {
+  return (
+    <label className={`flex flex-col gap-1 text-sm ${disabled ? "opacity-50" : ""}`}>
+      <span className="flex justify-between">
+        {label}
+        <span className="tabular-nums">{value}</span>
+      </span>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        disabled={disabled}
+        onChange={(e) => onChange(Number(e.target.value))}
+      />
+    </label>
+  );
+}
+
+// ==================================================================
+// CourseTest Component (full-screen test-play)
+// ==================================================================
+/*
+  Plays the course being edited from pipe `start` (see courseConfig()),
+  with the player's renderer, theme, sound and key bindings. Nothing is
+  recorded. Back (Escape) returns to the editor.
+*/
+function CourseTest({ course, start, settings, theme, onExit }) {
+  const config = courseConfig(course, start);
+  const [game, setGame] = useState(() => createGame(config, 0));
+  const gameRef = useRef(game);
+  const jumpQueued = useRef(false);
+  const surfaceRef = useRef(null);
+  const audio = useGameAudio(settings);
+
+  const over = game.status === "over";
+
+  const retry = () => {
+    gameRef.current = createGame(config, 0);
+    jumpQueued.current = false;
+    setGame(gameRef.current);
+  };
+
+  useGameInput({
+    settings,
+    surfaceRef,
+    onAction: (action) => {
+      if (action === "back") onExit();
+      if (action !== "jump" || gameRef.current.status === "over") return;
+      audio.unlock();
+      jumpQueued.current = true;
+    },
+  });
+
+  useGameLoop({
+    running: !over,
+    speed: settings.gameSpeed,
+    onStep: (dt) => {
+      const { state, events } = step(gameRef.current, { jump: jumpQueued.current }, dt);
+      jumpQueued.current = false;
+      gameRef.current = state;
+      events.forEach(audio.handleEvent);
+    },
+    onFrame: () => {
+      if (gameRef.current !== game) setGame(gameRef.current);
+    },
+  });
+
+  return (
+    <Viewport
+      width={game.config.width}
+      height={game.config.height}
+      theme={theme}
+      surfaceRef={surfaceRef}
+      world={(pixelRatio) => (
+        <Scene
+          renderer={settings.renderer}
+          state={game}
+          theme={theme}
+          pixelRatio={pixelRatio}
+          reducedMotion={settings.reducedMotion}
+        />
+      )}
+      hud={<ScoreBoard score={game.score} difficulty={course.name} powerUps={game.powerUps} />}
+    >
+      {game.status === "ready" && (
+        <Overlay type="start">
+          <h1 className="text-3xl font-bold mb-2">Test play</h1>
+          <p className="text-lg mb-6">From pipe {start + 1} of {course.pipes.length}</p>
+          <p className="text-lg mb-6">Tap, click or press {keyLabel(settings.keys.jump)} to start</p>
+          <button
+            onClick={onExit}
+            className="flex items-center gap-2 bg-black bg-opacity-50 hover:bg-opacity-75 px-4 py-2 rounded-lg text-sm"
+          >
+            <X className="w-4 h-4" />
+            Back to the editor
+          </button>
+        </Overlay>
+      )}
+
+      {over && (
+        <Overlay type="gameover">
+          <h2 className="text-3xl font-bold mb-2">{game.finished ? "Course complete!" : "Crashed!"}</h2>
+          {!game.finished && (
+            <p className="text-lg mb-2">
+              At pipe {Math.min(start + game.pipesPassed + 1, course.pipes.length)} of {course.pipes.length}
+            </p>
+          )}
+          <div className="mb-4" />
+          <div className="flex gap-3">
+            <button
+              onClick={retry}
+              className="flex items-center gap-2 bg-yellow-500 hover:bg-yellow-600 text-black px-6 py-3 rounded-lg font-bold transition-colors"
+            >
+              <RotateCcw className="w-5 h-5" />
+              Retry
+            </button>
+            <button
+              onClick={onExit}
+              className="flex items-center gap-2 bg-white hover:bg-gray-200 text-black px-6 py-3 rounded-lg font-bold transition-colors"
+            >
+              <X className="w-5 h-5" />
+              Back to the editor
+            </button>
+          </div>
+        </Overlay>
+      )}
+    </Viewport>
+  );
+}
+
+// ==================================================================
+// CourseEditor Component
+// ==================================================================
+/*
+  WHAT IS THIS COMPONENT?
+  -----------------------
+  The course editor (the /editor page). A hand-made course (see course.js)
+  is laid out on a timeline: the world as it scrolls past, from the first
+  screen to the finish line, at half size. Drag a pipe sideways to change
+  its spacing (the pipes after it move along) and up or down to move its
+  gap; the panel next to it edits the selected pipe, the course's name,
+  physics and finish line.
+
+  "Test" plays the course full screen, from the start or from the
+  selected pipe, with the same engine as the game.
+
+  Every change is saved (see courseStorage.js), so it is the course the
+  game's Course mode plays. Courses can be downloaded / loaded as JSON
+  files and shared as links that open them in the game.
+*/
+export function CourseEditor() {
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const theme = getTheme(settings.theme, settings.palette);
+
+  const [course, setCourse] = useState(SAMPLE_COURSE);
+  const [loaded, setLoaded] = useState(false);
+  // The course being edited; only saved once the stored one has been
+  // read, so the sample never overwrites it on mount
+
+  const [selected, setSelected] = useState(0);
+  // Index of the selected pipe
+
+  const [testing, setTesting] = useState(null);
+  // Test-play: { start } (pipe index) while it is open, else null
+
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const dragRef = useRef(null);
+  // The pipe being dragged: { index, pointerId, x, y, pipe } (pointer & pipe at the start)
+
+  useEffect(() => {
+    setSettings(loadSettings());
+    // A shared editor link (/editor?course=…) opens that course
+    let shared = null;
+    try {
+      shared = courseFromUrl();
+    } catch (err) {
+      setError(err.message);
+    }
+    setCourse(shared ?? loadCourse() ?? SAMPLE_COURSE);
+    setLoaded(true);
+  }, []);
+
+  useEffect(() => {
+    if (loaded) saveCourse(course);
+  }, [course, loaded]);
+
+  // ==================================================================
+  // FUNCTIONS: Edit the course
+  // ==================================================================
+  const edit = (changes) => {
+    setCourse({ ...course, ...changes });
+    setCopied(false);
+  };
+
+  const editPipe = (index, changes) => {
+    edit({ pipes: course.pipes.map((pipe, i) => (i === index ? { ...pipe, ...changes } : pipe)) });
+  };
+
+  const editPhysics = (key, value) => {
+    const physics = { ...course.physics };
+    if (value === null) delete physics[key];
+    else physics[key] = value;
+    edit({ physics });
+  };
+
+  // A new pipe right after the selected one (a copy of it, or a default one)
+  const insertPipe = (pipe) => {
+    if (course.pipes.length >= MAX_COURSE_PIPES) return;
+    const index = selected + 1;
+    const spacing = Math.max(pipe.spacing, MIN_SPACING);
+    edit({ pipes: [...course.pipes.slice(0, index), { ...pipe, spacing }, ...course.pipes.slice(index)] });
+    setSelected(index);
+  };
+
+  const deletePipe = () => {
+    if (course.pipes.length <= 1) return;
+    const pipes = course.pipes.filter((_, i) => i !== selected);
+    // The new first pipe may start right at the screen edge again
+    if (selected === 0) pipes[0] = { ...pipes[0], spacing: course.pipes[0].spacing };
+    edit({ pipes });
+    setSelected(Math.min(selected, pipes.length - 1));
+  };
+
+  // ==================================================================
+  // TIMELINE DRAGGING (pointer events: mouse, touch & pen alike)
+  // ==================================================================
+  const startDrag = (e, index) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { index, pointerId: e.pointerId, x: e.clientX, y: e.clientY, pipe: course.pipes[index] };
+    setSelected(index);
+  };
+
+  const drag = (e) => {
+    const dragging = dragRef.current;
+    if (!dragging || dragging.pointerId !== e.pointerId) return;
+
+    const { index, pipe } = dragging;
+    const dx = (e.clientX - dragging.x) / TIMELINE_SCALE;
+    const dy = (e.clientY - dragging.y) / TIMELINE_SCALE;
+    editPipe(index, {
+      spacing: Math.round(clamp(pipe.spacing + dx, index === 0 ? 0 : MIN_SPACING, MAX_SPACING)),
+      gapY: Math.round(clamp(pipe.gapY + dy, 0, FLOOR)),
+    });
+  };
+
+  const endDrag = () => {
+    dragRef.current = null;
+  };
+
+  // ==================================================================
+  // SAVE / LOAD / SHARE
+  // ==================================================================
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ""; // allow picking the same file again
+    if (!file) return;
+
+    try {
+      setCourse(await importCourse(file));
+      setSelected(0);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const copyLink = () => {
+    navigator.clipboard
+      .writeText(courseLink(course))
+      .then(() => setCopied(true))
+      .catch(() => setError("Couldn't copy the link"));
+  };
+
+  // ==================================================================
+  // RENDER
+  // ==================================================================
+  if (testing) {
+    return (
+      <CourseTest
+        course={course}
+        start={testing.start}
+        settings={settings}
+        theme={theme}
+        onExit={() => setTesting(null)}
+      />
+    );
+  }
+
+  const { width, height, birdX } = DEFAULT_CONFIG;
+  const positions = coursePositions(course);
+  const pipes = course.pipes.map((pipe, i) => previewPipe(pipe, width + positions.pipes[i], i));
+  const finishX = width + positions.finish;
+  const timelineWidth = finishX + FINISH_WIDTH + TIMELINE_END;
+
+  const pipe = course.pipes[selected];
+  const kinds = Object.values(OBSTACLES);
+
+  return (
+    <main className="min-h-screen bg-gray-900 text-white p-6 flex flex-col items-center gap-6">
+      <div className="w-full max-w-4xl flex items-center justify-between">
+        <h1 className="text-3xl font-bold">Course editor</h1>
+        <Link href="/" className="flex items-center gap-2 opacity-75 hover:opacity-100 text-sm">
+          <ArrowLeft className="w-4 h-4" />
+          Back to the game
+        </Link>
+      </div>
+
+      {/* Timeline: the first screen (left of the dashed line), then the course */}
+      <div className="w-full max-w-4xl overflow-x-auto rounded-lg" style={{ backgroundColor: theme.colors.sky }}>
+        <div className="relative" style={{ width: timelineWidth * TIMELINE_SCALE, height: height * TIMELINE_SCALE }}>
+          <div
+            className="absolute top-0 left-0 origin-top-left"
+            style={{ width: timelineWidth, height, transform: `scale(${TIMELINE_SCALE})` }}
+          >
+            <Bird bird={{ x: birdX, y: FLOOR / 2, velocity: 0, scale: 1 }} theme={theme} time={0} />
+            <div className="absolute top-0 border-l-4 border-dashed border-white opacity-50" style={{ left: width, height: FLOOR }} />
+
+            {pipes.map((p) => (
+              <Pipe key={p.id} pipe={p} floor={FLOOR} theme={theme} />
+            ))}
+            <FinishLine x={finishX} floor={FLOOR} />
+
+            {/* Drag handles over the pipes */}
+            {pipes.map((p, i) => (
+              <div
+                key={p.id}
+                onPointerDown={(e) => startDrag(e, i)}
+                onPointerMove={drag}
+                onPointerUp={endDrag}
+                onPointerCancel={endDrag}
+                className={`absolute top-0 cursor-grab touch-none ${i === selected ? "ring-8 ring-yellow-400" : ""}`}
+                style={{ left: p.x, width: PIPE_WIDTH, height: FLOOR }}
+              >
+                <span className="absolute top-2 left-0 right-0 text-center text-2xl font-bold">{i + 1}</span>
+              </div>
+            ))}
+
+            <div className="absolute left-0 right-0 bottom-0 bg-yellow-800" style={{ top: FLOOR }} />
+          </div>
+        </div>
+      </div>
+      <p className="text-sm opacity-75 -mt-4">
+        Drag a pipe sideways to change its spacing, up or down to move its gap.
+      </p>
+
+      <div className="w-full max-w-4xl flex flex-wrap gap-6">
+        {/* Selected pipe */}
+        <section className="flex flex-col gap-3 w-72">
+          <h2 className="text-lg font-bold">
+            Pipe {selected + 1} of {course.pipes.length}
+          </h2>
+          <label className="flex flex-col gap-1 text-sm">
+            Kind
+            <select
+              value={pipe.kind}
+              // A hazard has no gap; give it one back when it becomes a pipe again
+              onChange={(e) => editPipe(selected, { kind: e.target.value, gapSize: pipe.gapSize || DEFAULT_CONFIG.pipeGap })}
+              className="bg-black bg-opacity-50 rounded px-2 py-1"
+            >
+              {kinds.map(({ id, label }) => (
+                <option key={id} value={id}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <Slider
+            label={selected === 0 ? "Distance from the screen edge" : "Spacing"}
+            value={pipe.spacing}
+            min={selected === 0 ? 0 : MIN_SPACING}
+            max={MAX_SPACING}
+            step={10}
+            onChange={(spacing) => editPipe(selected, { spacing })}
+          />
+          <Slider
+            label="Gap position"
+            value={pipe.gapY}
+            min={0}
+            max={FLOOR}
+            onChange={(gapY) => editPipe(selected, { gapY })}
+          />
+          <Slider
+            label="Gap size"
+            value={pipe.gapSize || MIN_GAP}
+            min={MIN_GAP}
+            max={MAX_GAP}
+            disabled={pipe.kind === "hazard"}
+            onChange={(gapSize) => editPipe(selected, { gapSize })}
+          />
+          <div className="flex flex-wrap gap-2 text-sm">
+            <button
+              onClick={() => insertPipe(defaultCoursePipe())}
+              disabled={course.pipes.length >= MAX_COURSE_PIPES}
+              className="flex items-center gap-2 bg-black bg-opacity-50 hover:bg-opacity-75 disabled:opacity-50 px-3 py-2 rounded-lg"
+            >
+              <Plus className="w-4 h-4" />
+              Add
+            </button>
+            <button
+              onClick={() => insertPipe(pipe)}
+              disabled={course.pipes.length >= MAX_COURSE_PIPES}
+              className="flex items-center gap-2 bg-black bg-opacity-50 hover:bg-opacity-75 disabled:opacity-50 px-3 py-2 rounded-lg"
+            >
+              <Copy className="w-4 h-4" />
+              Duplicate
+            </button>
+            <button
+              onClick={deletePipe}
+              disabled={course.pipes.length <= 1}
+              className="flex items-center gap-2 bg-black bg-opacity-50 hover:bg-opacity-75 disabled:opacity-50 px-3 py-2 rounded-lg"
+            >
+              <Trash2 className="w-4 h-4" />
+              Delete
+            </button>
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setTesting({ start: 0 })}
+              className="flex-1 flex items-center justify-center gap-2 bg-yellow-500 hover:bg-yellow-600 text-black px-4 py-2 rounded-lg font-bold transition-colors"
+            >
+              <Play className="w-4 h-4" />
+              Test
+            </button>
+            <button
+              onClick={() => setTesting({ start: selected })}
+              className="flex-1 flex items-center justify-center gap-2 bg-white hover:bg-gray-200 text-black px-4 py-2 rounded-lg font-bold transition-colors"
+            >
+              <Play className="w-4 h-4" />
+              From pipe {selected + 1}
+            </button>
+          </div>
+        </section>
+
+        {/* Whole course */}
+        <section className="flex flex-col gap-3 w-72">
+          <h2 className="text-lg font-bold">Course</h2>
+          <label className="flex flex-col gap-1 text-sm">
+            Name
+            <input
+              type="text"
+              value={course.name}
+              maxLength={MAX_NAME_LENGTH}
+              onChange={(e) => edit({ name: e.target.value })}
+              className="bg-black bg-opacity-50 rounded px-2 py-1"
+            />
+          </label>
+          <Slider
+            label="Finish line after the last pipe"
+            value={course.finish}
+            min={0}
+            max={MAX_SPACING}
+            step={10}
+            onChange={(finish) => edit({ finish })}
+          />
+          {Object.entries(PHYSICS_LIMITS).map(([key, { label, min, max }]) => (
+            <div key={key} className="flex flex-col gap-1">
+              <Slider
+                label={course.physics[key] === undefined ? `${label} (default)` : label}
+                value={course.physics[key] ?? DEFAULT_CONFIG[key]}
+                min={min}
+                max={max}
+                step={10}
+                onChange={(value) => editPhysics(key, value)}
+              />
+              {course.physics[key] !== undefined && (
+                <button
+                  onClick={() => editPhysics(key, null)}
+                  className="text-xs underline opacity-75 hover:opacity-100 text-left"
+                >
+                  Back to the default
+                </button>
+              )}
+            </div>
+          ))}
+        </section>
+
+        {/* Files & sharing */}
+        <section className="flex flex-col gap-2 w-72 text-sm">
+          <h2 className="text-lg font-bold">Share</h2>
+          <button
+            onClick={() => exportCourse(course)}
+            className="flex items-center gap-2 bg-black bg-opacity-50 hover:bg-opacity-75 px-4 py-2 rounded-lg"
+          >
+            <Download className="w-4 h-4" />
+            Download course
+          </button>
+          <label className="flex items-center gap-2 bg-black bg-opacity-50 hover:bg-opacity-75 px-4 py-2 rounded-lg cursor-pointer">
+            <Upload className="w-4 h-4" />
+            Load course
+            <input type="file" accept="application/json,.json" className="hidden" onChange={handleImport} />
+          </label>
+          <button
+            onClick={copyLink}
+            className="flex items-center gap-2 bg-black bg-opacity-50 hover:bg-opacity-75 px-4 py-2 rounded-lg"
+          >
+            <Link2 className="w-4 h-4" />
+            {copied ? "Link copied!" : "Copy share link"}
+          </button>
+          <Link
+            href={`/?course=${encodeCourse(course)}`}
+            className="flex items-center gap-2 bg-yellow-500 hover:bg-yellow-600 text-black px-4 py-2 rounded-lg font-bold transition-colors"
+          >
+            <Play className="w-4 h-4" />
+            Play in the game
+          </Link>
+          {error && <p className="text-red-300">{error}</p>}
+        </section>
+      </div>
+    </main>
+  );
+}
@@ -0,0 +1,146 @@
+"use client";
+// Client component: measures FPS with requestAnimationFrame.
+
+import { useEffect, useState } from "react";
+
+import { BIRD_WIDTH, BIRD_HEIGHT, floorY } from "./engine";
+import { birdHitbox, pipeHitbox } from "./hitboxes";
+import { itemRect } from "./collectibles";
+import { formatSeed } from "./random";
+
+const VELOCITY_SCALE = 0.1; // draw the velocity vector as "where the bird is in 0.1s"
+
+// ==================================================================
+// HOOK: Measure frames per second
+// ==================================================================
+function useFps() {
+  const [fps, setFps] = useState(0);
+
+  useEffect(() => {
+    let frameId;
+    let frames = 0;
+    let since = performance.now();
+
+    const count = (now) => {
+      frames += 1;
+      if (now - since >= 500) {
+        setFps(Math.round((frames * 1000) / (now - since)));
+        frames = 0;
+        since = now;
+      }
+      frameId = requestAnimationFrame(count);
+    };
+
+    frameId = requestAnimationFrame(count);
+    return () => cancelAnimationFrame(frameId);
+  }, []);
+
+  return fps;
+}
+
+// ==================================================================
+// DebugOverlay Component
+// ==================================================================
+/*
+  WHAT IS THIS COMPONENT?
+  -----------------------
+  A see-through layer drawn on top of the game (toggle with the D key).
+  It shows:
+    - the real collision shapes (red = bird, cyan = pipes)
+    - the bird's velocity vector (yellow line)
+    - FPS and the current engine state
+
+  It is an SVG, so it works on top of both the canvas and DOM renderers.
+  pointer-events: none lets clicks pass through to the game.
+
+  PROPS
+  -----
+    - state → the engine state being rendered
+*/
+export function DebugOverlay({ state }) {
+  const fps = useFps();
+  const { bird, pipes, config } = state;
+
+  const centerX = bird.x + BIRD_WIDTH / 2;
+  const centerY = bird.y + BIRD_HEIGHT / 2;
+
+  return (
+    <>
+      <svg
+        className="absolute inset-0 pointer-events-none"
+        width={config.width}
+        height={config.height}
+      >
+        {/* Pipe hitboxes */}
+        {pipes.map((pipe) =>
+          pipeHitbox(pipe, floorY(config)).map((rect, i) => (
+            <rect
+              key={`${pipe.id}-${i}`}
+              x={rect.x}
+              y={rect.y}
+              width={rect.width}
+              height={rect.height}
+              fill="none"
+              stroke="cyan"
+              strokeWidth={1}
+            />
+          ))
+        )}
+
+        {/* Coin & power-up pickup areas */}
+        {pipes
+          .filter((pipe) => pipe.item && !pipe.item.taken)
+          .map((pipe) => {
+            const rect = itemRect(pipe, floorY(config));
+            return (
+              <rect
+                key={`${pipe.id}-item`}
+                x={rect.x}
+                y={rect.y}
+                width={rect.width}
+                height={rect.height}
+                fill="none"
+                stroke="yellow"
+                strokeWidth={1}
+              />
+            );
+          })}
+
+        {/* Bird hitbox */}
+        {birdHitbox(bird).map((shape, i) => (
+          <polygon
+            key={i}
+            points={shape.map((p) => `${p.x},${p.y}`).join(" ")}
+            fill="rgba(255, 0, 0, 0.2)"
+            stroke="red"
+            strokeWidth={1}
+          />
+        ))}
+
+        {/* Velocity vector */}
+        <line
+          x1={centerX}
+          y1={centerY}
+          x2={centerX}
+          y2={centerY + bird.velocity * VELOCITY_SCALE}
+          stroke="yellow"
+          strokeWidth={2}
+        />
+      </svg>
+
+      {/* State readout */}
+      <pre className="absolute bottom-4 left-4 pointer-events-none text-xs text-green-300 bg-black bg-opacity-75 px-3 py-2 rounded">
+        {[
+          `fps      ${fps}`,
+          `status   ${state.status}`,
+          `frame    ${state.frame} (${state.time.toFixed(2)}s)`,
+          `score    ${state.score}`,
+          `bird y   ${bird.y.toFixed(1)}`,
+          `velocity ${bird.velocity.toFixed(1)} px/s`,
+          `pipes    ${pipes.length}`,
+          `seed     ${formatSeed(state.seed)}`,
+        ].join("\n")}
+      </pre>
+    </>
+  );
+}
@@ -0,0 +1,65 @@
+"use client";
+// Client component: draws the visual effects on top of the world.
+
+import { particleOpacity, popupStyle } from "./effects";
+
+// ==================================================================
+// EffectsLayer Component
+// ==================================================================
+/*
+  WHAT IS THIS COMPONENT?
+  -----------------------
+  Draws the effects from effects.js in world coordinates: feathers, "+1"
+  (and pick-up) pop-ups and the white flash on a crash. Like the debug overlay it is
+  plain DOM on top of the scene, so it works with both renderers, and
+  pointer-events: none lets taps pass through to the game.
+
+  (Screen shake and the tumbling bird are not drawn here: shake moves the
+  whole world layer, and the tumbling bird replaces the real one.)
+
+  PROPS
+  -----
+    - fx → effects state (see effects.js)
+    - theme → feathers use the theme's wing color
+    - width, height → world size
+    - reducedMotion → pop-ups fade in place
+*/
+export function EffectsLayer({ fx, theme, width, height, reducedMotion }) {
+  return (
+    <div className="absolute top-0 left-0 pointer-events-none" style={{ width, height }}>
+      {/* Feathers */}
+      {fx.particles.map((p) => (
+        <div
+          key={p.id}
+          className="absolute rounded-full"
+          style={{
+            left: p.x,
+            top: p.y,
+            width: 8,
+            height: 4,
+            backgroundColor: theme.colors.birdWing,
+            opacity: particleOpacity(p),
+            transform: `rotate(${p.angle}deg)`,
+          }}
+        />
+      ))}
+
+      {/* "+1" pop-ups */}
+      {fx.popups.map((popup) => {
+        const { x, y, opacity } = popupStyle(popup, reducedMotion);
+        return (
+          <div
+            key={popup.id}
+            className="absolute -translate-x-1/2 text-2xl font-bold text-white"
+            style={{ left: x, top: y, opacity, textShadow: "0 2px 0 rgba(0, 0, 0, 0.6)" }}
+          >
+            {popup.text}
+          </div>
+        );
+      })}
+
+      {/* Crash flash */}
+      {fx.flash > 0 && <div className="absolute inset-0 bg-white" style={{ opacity: fx.flash * 0.8 }} />}
+    </div>
+  );
+}
@@ -2,30 +2,76 @@
 // Next.js directive: marks this component as a client-side component.
 // Necessary because we use React hooks (useState, useEffect, etc.) and browser APIs like window/localStorage.
 
-import { useState, useEffect, useCallback } from "react"; 
+import { useState, useEffect, useCallback, useRef } from "react"; 
 // React hooks: 
 // useState → for managing component state
-// useEffect → for side effects like event listeners or intervals
+// useEffect → for side effects like event listeners
 // useCallback → memoize functions to avoid unnecessary re-creations
+// useRef → hold the live game state and pending input between ticks
 
-import { Play, RotateCcw } from "lucide-react"; 
+import { Play, RotateCcw, Film, Upload, Pause, Settings, Trophy, Users, Globe, Bot, Pencil, Award, BarChart3 } from "lucide-react"; 
 // Importing icons from lucide-react library. 
 // Play → used on start overlay
 // RotateCcw → used on the "Play Again" button
-
-import { Bird, Pipe, ScoreBoard, Overlay } from "./GameObjects"; 
+// Film → used on the "Watch replay" buttons
+// Upload → used on the "Import replay" button
+// Pause → used on the in-game pause button
+// Settings → used on the "Settings" buttons
+// Trophy → used on the "Leaderboard" buttons
+// Users → used on the "2 Players" button
+// Globe → used on the "Online" button
+// Bot → used on the "Train AI" link
+// Pencil → used on the "Course editor" link
+// Award → used on the "Achievements" button
+// BarChart3 → used on the "Stats" link
+
+import Link from "next/link";
+
+import { ScoreBoard, Overlay, ModeSelect, Announcer } from "./GameObjects"; 
+import { Scene } from "./Scene";
+import { Viewport } from "./Viewport";
+import { DebugOverlay } from "./DebugOverlay";
+import { EffectsLayer } from "./EffectsLayer";
+import { SettingsMenu } from "./SettingsMenu";
+import { LeaderboardScreen } from "./LeaderboardScreen";
+import { AchievementsScreen, AchievementToasts } from "./AchievementsScreen";
+import ReplayViewer from "./ReplayViewer";
+import VersusGame from "./VersusGame";
+import OnlineGame from "./OnlineGame";
 // Importing custom components representing parts of the game
 
-// ==================================================================
-// CONSTANTS: Game Physics & Dimensions
-// ==================================================================
-const BIRD_WIDTH = 40;       // Width of bird (px)
-const BIRD_HEIGHT = 30;      // Height of bird (px)
-const PIPE_WIDTH = 60;       // Width of pipes (px)
-const PIPE_GAP = 200;        // Vertical gap between top & bottom pipes
-const GRAVITY = 0.4;         // Gravity pulls bird downward
-const JUMP_FORCE = -7;       // Upward velocity when bird jumps
-const PIPE_SPEED = 2;        // Horizontal speed of pipes
+import { createGame, step, floorY } from "./engine";
+import { createEffects, addEffects, stepEffects, effectsActive, shakeOffset } from "./effects";
+import { formatSeed, randomSeed } from "./random";
+import { GAME_MODES, DEFAULT_MODE, dailyKey, modeConfig, seedForMode } from "./modes";
+import { DIFFICULTIES, DEFAULT_DIFFICULTY, difficultyConfig } from "./difficulty";
+import { useGameLoop } from "./useGameLoop";
+import { useGameAudio } from "./useGameAudio";
+import { useGameInput } from "./useGameInput";
+import { createReplay, startReplay, advanceReplay } from "./replay";
+import { saveReplay, loadBestReplay, loadLastReplay, importReplay } from "./replayStorage";
+import { DEFAULT_SETTINGS, loadSettings, saveSettings, keyLabel } from "./settings";
+import { getTheme } from "./themes";
+import { DEFAULT_GAME_SPEED, DEFAULT_CONTROLS, hoverJump } from "./assists";
+import { emptyStats, loadStats, recordRun, setPlayerName, clearStats, bestKey } from "./leaderboard";
+import { submitScore } from "./scoresApi";
+import { rankableReplay } from "./leaderboardRules";
+import { emptyAchievements, loadAchievements, startRun, trackStep, clearAchievements } from "./achievementProgress";
+import { ACHIEVEMENTS } from "./achievements";
+import { runRecord } from "./telemetry";
+import { logRun } from "./telemetryStorage";
+import { controllerInput } from "./autopilot";
+import { loadAutopilot } from "./autopilotStorage";
+import { SAMPLE_COURSE, courseConfig } from "./course";
+import { loadCourse, saveCourse, importCourse, courseFromUrl } from "./courseStorage";
+// The game rules (physics, pipes, collision, scoring) live in engine.js.
+// This component only drives the engine and renders its state.
+
+// Seconds on the start screen before the attract-mode demo takes off
+const ATTRACT_DELAY_SECONDS = 5;
+
+// Seconds an "achievement unlocked" toast stays on screen
+const TOAST_SECONDS = 3;
 
 // ==================================================================
 // MAIN GAME COMPONENT
@@ -34,82 +80,289 @@ export default function FlappyGame() {
   // -------------------------------
   // STATE VARIABLES
   // -------------------------------
-  const [bird, setBird] = useState({ x: 100, y: 300, velocity: 0 });
-  // Bird object:
-  // x → horizontal position
-  // y → vertical position
-  // velocity → vertical speed (positive down, negative up)
-
-  const [pipes, setPipes] = useState([]);
-  // Array of pipe objects. Each pipe has:
-  // x → horizontal position
-  // topHeight → height of top pipe
-  // bottomHeight → height of bottom pipe
-  // passed → boolean for scoring
-
-  const [gameStarted, setGameStarted] = useState(false);
-  const [gameOver, setGameOver] = useState(false);
-  // Flags for tracking game status
-
-  const [score, setScore] = useState(0);
-  const [highScore, setHighScore] = useState(0);
-  // Scores
-
-  const [gameWidth, setGameWidth] = useState(800);
-  const [gameHeight, setGameHeight] = useState(600);
-  // Game area dimensions (responsive)
+  const [mode, setMode] = useState(DEFAULT_MODE);
+  // "classic" (random course), "daily" (same course for everyone today),
+  // "arcade" (coins & power-ups) or "course" (hand-made course)
+
+  const [course, setCourse] = useState(SAMPLE_COURSE);
+  const [courseError, setCourseError] = useState(null);
+  // The hand-made course played in Course mode (see course.js): the one
+  // from a shared link, the last one loaded or edited, or the sample.
+  // And the error message from a broken link or a failed import.
+
+  const [game, setGame] = useState(() => createGame({}, 0));
+  // Snapshot of the engine state that we render:
+  // game.bird   → { x, y, velocity }
+  // game.pipes  → [{ id, x, topHeight, bottomHeight, passed }]
+  // game.distance → how far the world has scrolled (drives the parallax)
+  // game.score  → current score
+  // game.status → "ready" | "playing" | "over"
+  // game.seed   → the seed the pipe course is generated from
+
+  const gameRef = useRef(game);
+  // The live engine state. The game loop reads and writes this directly so
+  // every tick builds on the previous one, even before React re-renders.
+
+  const jumpQueued = useRef(false);
+  // Set by jump(), consumed by the next engine step
+
+  const [fx, setFx] = useState(createEffects);
+  const fxRef = useRef(fx);
+  // Visual effects (feathers, "+1" pop-ups, shake, flash, death tumble).
+  // Kept next to the engine state, never inside it (see effects.js).
+
+  const [difficulty, setDifficulty] = useState(DEFAULT_DIFFICULTY);
+  const [ramp, setRamp] = useState(false);
+  // "easy" | "normal" | "hard", and whether the game gets harder as you score
+
+  const [stats, setStats] = useState(emptyStats);
+  // Local leaderboard, run history and totals (see leaderboard.js)
+
+  const [lastRun, setLastRun] = useState(null);
+  // { id, rank } of the run that just ended (rank = place in the top 10 or null)
+
+  const [showLeaderboard, setShowLeaderboard] = useState(false);
+
+  const [achievements, setAchievements] = useState(emptyAchievements);
+  const achievementsRef = useRef(achievements);
+  const achievementRunRef = useRef(null);
+  const [toasts, setToasts] = useState([]);
+  const [showAchievements, setShowAchievements] = useState(false);
+  // Achievements (see achievementProgress.js): saved progress, the run
+  // being tracked, the "unlocked" toasts on screen ([{ key, achievement }])
+  // and whether the gallery is open
+
+  const [globalRank, setGlobalRank] = useState(null);
+  // Team leaderboard result for the last run:
+  // { status: "pending" } | { status: "done", rank, total } | { status: "error", message }
+  // | { status: "assisted" } (not sent: played with a slower speed or one switch)
+  // | { status: "unranked" } (not sent: a ghost race on a course the server
+  //   doesn't rank, like an old daily challenge)
+
+  const highScore = Math.max(stats.bests[bestKey(difficulty, mode, ramp)] || 0, game.score);
+  // Best score for the current difficulty, mode & ramp (goes up live when
+  // you beat it)
+
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [showSettings, setShowSettings] = useState(false);
+  // Player settings (volume, reduced motion, theme, renderer, key bindings)
+  // and whether the settings menu is open
+
+  const theme = getTheme(settings.theme, settings.palette);
+
+  const [paused, setPaused] = useState(false);
+  // Paused mid-run: the loop stops and the pause menu is shown
+
+  const audio = useGameAudio(settings, { suspended: paused });
+  // Sound effects & music, driven by engine events (see audio.js)
+
+  const [debug, setDebug] = useState(false);
+  // Debug overlay (hitboxes, velocity, FPS), toggled with the D key
+
+  const [rebinding, setRebinding] = useState(false);
+  // True while the settings menu waits for a new key / gamepad button
+
+  const surfaceRef = useRef(null);
+  // The playfield element: taps and clicks on it make the bird jump
+
+  const holdRef = useRef(null);
+  // One-switch controls (see assists.js): { y } while the switch is held,
+  // the height to hover at; null when it is up
+
+  const [announcement, setAnnouncement] = useState("");
+  // What screen readers read out next (score, game over), see Announcer
+
+  const runRef = useRef(null);
+  // Recording of the current run: { mode, difficulty, seed, config, jumps }
+
+  const telemetryRef = useRef(null);
+  // Telemetry of the current run: { mode, difficulty, flaps } (see telemetry.js)
+
+  const [lastReplay, setLastReplay] = useState(null);
+  const [bestReplay, setBestReplay] = useState(null);
+  const [viewingReplay, setViewingReplay] = useState(null);
+  const [replayError, setReplayError] = useState(null);
+  // Replays: the latest and best runs, the one open in the viewer (if any),
+  // and the error message from a failed import
+
+  const [ghost, setGhost] = useState(false);
+  const [ghostState, setGhostState] = useState(null);
+  const ghostRef = useRef(null);
+  // Ghost racing: when on, every run is played on the course of your best
+  // replay, and that replay is simulated alongside as a see-through bird.
+  // ghostRef → { replay, jumpFrames, state } while racing, else null
+
+  const [versus, setVersus] = useState(false);
+  // Local two-player mode (see VersusGame.js) replaces the normal game
+
+  const [online, setOnline] = useState(false);
+  // So does online multiplayer (see OnlineGame.js)
+
+  const [attract, setAttract] = useState({ idle: 0, game: null, controller: null });
+  const attractRef = useRef(attract);
+  // Attract mode: left alone on the start screen, the autopilot (see
+  // autopilot.js) flies a demo course behind the start overlay.
+  // idle → seconds on the start screen, game → the demo's engine state
+
+  const isCourse = Boolean(GAME_MODES[mode].course);
+  const gameStarted = game.status !== "ready";
+  const gameOver = game.status === "over";
+  const showGameOver = gameOver && !fx.dying; // wait for the bird to hit the ground
+  const { score } = game;
 
   // ==================================================================
   // FUNCTION: Bird jump
   // ==================================================================
   const jump = useCallback(() => {
-    if (!gameStarted) {
-      // First jump starts the game
-      setGameStarted(true);
-
-      // Create first pipe randomly
-      const topH = Math.random() * (gameHeight - PIPE_GAP - 100) + 50;
-      setPipes([
-        {
-          x: gameWidth, 
-          topHeight: topH,
-          bottomHeight: gameHeight - topH - PIPE_GAP,
-          passed: false,
-        },
-      ]);
-      return;
-    }
-
     if (gameOver) return; // Cannot jump after game over
+    if (paused || showSettings || showLeaderboard || showAchievements) return; // Menus are open
+    if (viewingReplay) return; // The game is hidden behind the replay viewer
+
+    // Browsers only allow audio after a user gesture, and this is one
+    audio.unlock();
+
+    // One switch: hover around the height the bird is at right now
+    if (settings.controls === "oneSwitch") holdRef.current = { y: gameRef.current.bird.y };
 
-    // Apply jump force
-    setBird((prev) => ({ ...prev, velocity: JUMP_FORCE }));
-  }, [gameStarted, gameOver, gameWidth, gameHeight]);
+    // The engine applies the jump on its next step
+    // (the very first jump starts the game)
+    jumpQueued.current = true;
+  }, [gameOver, paused, showSettings, showLeaderboard, showAchievements, viewingReplay, audio, settings.controls]);
+
+  // ==================================================================
+  // FUNCTION: Pause / resume (only while a run is in progress)
+  // ==================================================================
+  const togglePause = useCallback(() => {
+    if (gameRef.current.status !== "playing") return;
+    setShowSettings(false);
+    setPaused((p) => !p);
+  }, []);
 
   // ==================================================================
   // FUNCTION: Reset Game
   // ==================================================================
-  const resetGame = () => {
-    setBird({ x: 100, y: gameHeight / 2, velocity: 0 }); // Reset bird position
-    setPipes([]); // Remove all pipes
-    setGameStarted(false);
-    setGameOver(false);
-    setScore(0); // Reset score
+  // Any option left out keeps its current value.
+  const resetGame = ({
+    mode: nextMode = mode,
+    difficulty: nextDifficulty = difficulty,
+    ramp: nextRamp = ramp,
+    ghost: nextGhost = ghost,
+    course: nextCourse = course,
+  } = {}) => {
+    // Racing the ghost → the exact course (config & seed) of the best run
+    // Course mode → the hand-made course (difficulty & ramp don't apply)
+    let fresh;
+    if (nextGhost && bestReplay) fresh = createGame(bestReplay.config, bestReplay.seed);
+    else if (GAME_MODES[nextMode].course) fresh = createGame(courseConfig(nextCourse), seedForMode(nextMode));
+    else {
+      fresh = createGame(
+        { ...difficultyConfig(nextDifficulty, nextRamp), ...modeConfig(nextMode) },
+        seedForMode(nextMode)
+      );
+    }
+    // Bird back in the middle
+    gameRef.current = fresh;
+    attractRef.current = { idle: 0, game: null, controller: null };
+    ghostRef.current = null;
+    setGhostState(null);
+    achievementRunRef.current = null; // an abandoned run doesn't count
+    telemetryRef.current = null;
+    jumpQueued.current = false;
+    holdRef.current = null;
+    setGame(fresh);
+    fxRef.current = createEffects();
+    setFx(fxRef.current);
+    setPaused(false);
+    setGlobalRank(null);
   };
 
   // ==================================================================
-  // HANDLE WINDOW RESIZE
+  // FUNCTIONS: Change mode / difficulty (only from the start screen)
   // ==================================================================
-  useEffect(() => {
-    const handleResize = () => {
-      setGameWidth(window.innerWidth);
-      setGameHeight(window.innerHeight);
+  // The ghost's course has its own mode & difficulty, so picking another
+  // one stops the ghost race.
+  const changeMode = (nextMode) => {
+    setMode(nextMode);
+    setGhost(false);
+    resetGame({ mode: nextMode, ghost: false }); // a new mode means a new seed
+  };
+
+  const changeDifficulty = (nextDifficulty) => {
+    setDifficulty(nextDifficulty);
+    setGhost(false);
+    resetGame({ difficulty: nextDifficulty, ghost: false });
+  };
+
+  const changeRamp = (nextRamp) => {
+    setRamp(nextRamp);
+    setGhost(false);
+    resetGame({ ramp: nextRamp, ghost: false });
+  };
+
+  // Racing the ghost takes over the best run's mode & difficulty, so the
+  // new run is recorded (and ranked) like the one it races against. On a
+  // course the server no longer ranks (an old daily challenge, an older
+  // replay version) the race is still on, just not sent (see rankableReplay()).
+  const changeGhost = (nextGhost) => {
+    setGhost(nextGhost);
+    if (!nextGhost || !bestReplay) {
+      resetGame({ ghost: false });
+      return;
+    }
+
+    const options = {
+      mode: GAME_MODES[bestReplay.mode] ? bestReplay.mode : mode,
+      difficulty: DIFFICULTIES[bestReplay.difficulty] ? bestReplay.difficulty : difficulty,
+      ramp: Boolean(bestReplay.config.ramp),
     };
+    setMode(options.mode);
+    setDifficulty(options.difficulty);
+    setRamp(options.ramp);
+    resetGame({ ...options, ghost: true });
+  };
 
-    window.addEventListener("resize", handleResize);
-    return () => window.removeEventListener("resize", handleResize);
+  // ==================================================================
+  // FUNCTION: Update settings (saved right away)
+  // ==================================================================
+  const changeSettings = useCallback((next) => {
+    setSettings(next);
+    saveSettings(next);
   }, []);
-  // This ensures game canvas adjusts to window size dynamically
+
+  // ==================================================================
+  // FUNCTION: Load a replay file chosen by the player and open it
+  // ==================================================================
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ""; // allow picking the same file again
+    if (!file) return;
+
+    try {
+      setViewingReplay(await importReplay(file));
+      setReplayError(null);
+    } catch (err) {
+      setReplayError(err.message);
+    }
+  };
+
+  // ==================================================================
+  // FUNCTION: Load a course file chosen by the player and play it
+  // ==================================================================
+  const handleCourseImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ""; // allow picking the same file again
+    if (!file) return;
+
+    try {
+      const loaded = await importCourse(file);
+      saveCourse(loaded);
+      setCourse(loaded);
+      setCourseError(null);
+      resetGame({ course: loaded });
+    } catch (err) {
+      setCourseError(err.message);
+    }
+  };
 
   // ==================================================================
   // INITIAL SETUP ON MOUNT
@@ -117,188 +370,651 @@ export default function FlappyGame() {
   useEffect(() => {
     if (typeof window === "undefined") return; // Check for SSR
 
-    setGameWidth(window.innerWidth);
-    setGameHeight(window.innerHeight);
+    // A shared course link (?course=…) opens straight in Course mode and
+    // becomes the saved course
+    let shared = null;
+    try {
+      shared = courseFromUrl();
+      if (shared) saveCourse(shared);
+    } catch (err) {
+      setCourseError(err.message);
+    }
+    const savedCourse = shared ?? loadCourse() ?? SAMPLE_COURSE;
+    setCourse(savedCourse);
+
+    const fresh = shared
+      ? createGame(courseConfig(shared), seedForMode("course"))
+      : createGame(
+          { ...difficultyConfig(DEFAULT_DIFFICULTY), ...modeConfig(DEFAULT_MODE) },
+          seedForMode(DEFAULT_MODE)
+        );
+    if (shared) setMode("course");
+    // The world has the same fixed size everywhere (the view is scaled to
+    // the window, see Viewport.js); the bird starts vertically in the middle.
+    // The seed is picked here (not during render) so server and client markup match.
+    gameRef.current = fresh;
+    setGame(fresh);
+
+    setStats(loadStats()); 
+    // Load leaderboard & high scores from localStorage
+    // (migrates the old "flappyHighScore" keys the first time)
+
+    setSettings(loadSettings());
+    // Load the player's settings
+
+    setLastReplay(loadLastReplay());
+    setBestReplay(loadBestReplay());
+    // Load saved replays
+
+    achievementsRef.current = loadAchievements();
+    setAchievements(achievementsRef.current);
+  }, []);
 
-    setBird((prev) => ({ ...prev, y: window.innerHeight / 2 })); 
-    // Place bird vertically in the middle
+  // ==================================================================
+  // INPUT: keyboard, tap / click and gamepad → jump, pause, debug
+  // ==================================================================
+  // The bindings come from the player's settings (Space / P / D and the
+  // A / Start buttons by default). See input.js and useGameInput.js.
+  const handleAction = (action) => {
+    switch (action) {
+      case "jump":
+        // With one switch there is no way to reach "Play Again", so the
+        // switch itself starts over from the game-over screen
+        if (settings.controls === "oneSwitch" && showGameOver && !showLeaderboard) resetGame();
+        else jump();
+        break;
+      case "jump2":
+        break; // player 2 only plays in the versus mode
+      case "pause":
+      case "back":
+        // Pause (or Escape) closes menus first
+        if (showSettings) setShowSettings(false);
+        else if (showLeaderboard) setShowLeaderboard(false);
+        else if (showAchievements) setShowAchievements(false);
+        else togglePause();
+        break;
+      case "debug":
+        setDebug((d) => !d);
+        break;
+    }
+  };
 
-    const stored = parseInt(localStorage.getItem("flappyHighScore") || "0");
-    setHighScore(Number.isNaN(stored) ? 0 : stored); 
-    // Load previous high score from localStorage
-  }, []);
+  useGameInput({
+    settings,
+    onAction: handleAction,
+    onRelease: (action) => {
+      if (action === "jump") holdRef.current = null; // one switch let go → the bird drops
+    },
+    surfaceRef,
+    // Off while the settings menu waits for a new binding (that press is
+    // for the menu) and while the replay viewer, the versus mode or an
+    // online race replaces the playfield
+    enabled: !rebinding && !viewingReplay && !versus && !online,
+  });
 
   // ==================================================================
-  // KEYBOARD CONTROL: Spacebar triggers jump
+  // AUTO-PAUSE WHEN THE TAB IS HIDDEN
   // ==================================================================
+  // The loop already stops in the background; this also shows the pause
+  // menu so the player isn't thrown straight back into the action.
   useEffect(() => {
-    const handleKeyPress = (e) => {
-      if (e.code === "Space") {
-        e.preventDefault(); 
-        jump();
-      }
+    const handleVisibility = () => {
+      if (document.hidden && gameRef.current.status === "playing") setPaused(true);
     };
 
-    window.addEventListener("keydown", handleKeyPress);
-    return () => window.removeEventListener("keydown", handleKeyPress);
-  }, [jump]);
+    document.addEventListener("visibilitychange", handleVisibility);
+    return () => document.removeEventListener("visibilitychange", handleVisibility);
+  }, []);
 
   // ==================================================================
-  // MAIN GAME LOOP: Bird + Pipe movement
+  // ACHIEVEMENT TOASTS: the oldest one goes after TOAST_SECONDS
   // ==================================================================
   useEffect(() => {
-    if (!gameStarted || gameOver) return;
-
-    const gameLoop = setInterval(() => {
-      // -------------------------------
-      // BIRD MOVEMENT
-      // -------------------------------
-      setBird((prev) => {
-        const newY = prev.y + prev.velocity;  // move bird
-        const newVelocity = prev.velocity + GRAVITY; // gravity effect
-
-        if (newY <= 0 || newY >= gameHeight - BIRD_HEIGHT) {
-          // Collision with floor/ceiling
-          setGameOver(true);
-          return prev;
-        }
+    if (toasts.length === 0) return;
+    const timer = setTimeout(() => setToasts((shown) => shown.slice(1)), TOAST_SECONDS * 1000);
+    return () => clearTimeout(timer);
+  }, [toasts]);
 
-        return { ...prev, y: newY, velocity: newVelocity };
-      });
-
-      // -------------------------------
-      // PIPE MOVEMENT
-      // -------------------------------
-      setPipes((prev) => {
-        let newPipes = prev.map((pipe) => ({ ...pipe, x: pipe.x - PIPE_SPEED }));
-        // Move each pipe left
-
-        newPipes = newPipes.filter((pipe) => pipe.x > -PIPE_WIDTH); 
-        // Remove pipes that went off-screen
-
-        // Generate new pipe if needed
-        if (newPipes.length === 0 || newPipes[newPipes.length - 1].x < gameWidth - 250) {
-          const topHeight = Math.random() * (gameHeight - PIPE_GAP - 100) + 50;
-          newPipes.push({
-            x: gameWidth,
-            topHeight,
-            bottomHeight: gameHeight - topHeight - PIPE_GAP,
-            passed: false,
-          });
-        }
+  // ==================================================================
+  // FUNCTION: One step of the attract-mode demo
+  // ==================================================================
+  // The demo flies the current mode & difficulty on a course of its own,
+  // with a new one after every crash. It has no sound, effects or records.
+  const stepAttract = (dt) => {
+    const { idle, game: demo, controller } = attractRef.current;
+    if (idle + dt < ATTRACT_DELAY_SECONDS) {
+      attractRef.current = { ...attractRef.current, idle: idle + dt };
+      return;
+    }
 
-        return newPipes;
-      });
-    }, 16); // 16ms ≈ 60 FPS
+    if (!demo || demo.status === "over") {
+      const fresh = createGame(gameRef.current.config, randomSeed());
+      attractRef.current = { idle: idle + dt, game: fresh, controller: loadAutopilot() };
+      return;
+    }
 
-    return () => clearInterval(gameLoop); // Cleanup
-  }, [gameStarted, gameOver, gameHeight, gameWidth]);
+    const next = step(demo, controllerInput(controller, demo), dt).state;
+    attractRef.current = { idle: idle + dt, game: next, controller };
+  };
 
   // ==================================================================
-  // COLLISION DETECTION & SCORING
+  // MAIN GAME LOOP: fixed-timestep engine steps on requestAnimationFrame
   // ==================================================================
-  useEffect(() => {
-    if (!gameStarted || gameOver) return;
-
-    let collided = false;
-    let newPipes = pipes.map((pipe) => ({ ...pipe })); // copy for mutability
-    let newlyPassed = 0; // track scoring
-
-    for (let i = 0; i < newPipes.length; i++) {
-      const pipe = newPipes[i];
-
-      // Collision check (bird inside pipe boundaries)
-      if (
-        bird.x + BIRD_WIDTH > pipe.x &&
-        bird.x < pipe.x + PIPE_WIDTH &&
-        (bird.y < pipe.topHeight || bird.y + BIRD_HEIGHT > gameHeight - pipe.bottomHeight)
-      ) {
-        collided = true;
-        break;
+  useGameLoop({
+    // After game over the loop keeps running until the effects are done
+    running: !paused && (!gameOver || effectsActive(fx)),
+    speed: settings.gameSpeed, // speed assist: fewer steps per second, same steps
+
+    // Movement, collision and scoring all happen inside one engine step
+    onStep: (dt) => {
+      const before = gameRef.current;
+
+      // A held one switch flaps whenever the bird sinks below its height.
+      // These are ordinary jumps, so the replay records them too.
+      const hovering = holdRef.current !== null && before.status === "playing" && hoverJump(before, holdRef.current.y);
+      const input = { jump: jumpQueued.current || hovering };
+      jumpQueued.current = false;
+
+      if (input.jump && before.status === "playing") {
+        runRef.current.jumps.push(before.frame); // record the input for the replay
       }
 
-      // Scoring: bird passed the pipe
-      if (!pipe.passed && bird.x > pipe.x + PIPE_WIDTH) {
-        pipe.passed = true;
-        newlyPassed += 1;
-      }
-    }
+      const { state, events } = step(before, input, dt);
+      gameRef.current = state;
+
+      // React to what happened during this step
+      for (const event of events) {
+        audio.handleEvent(event);
+        fxRef.current = addEffects(fxRef.current, event, state, { reducedMotion: settings.reducedMotion });
+
+        if (event.type === "start") {
+          // Start recording. The config is captured now because the
+          // replay has to be simulated with the same playfield size.
+          runRef.current = { mode, difficulty, seed: before.seed, config: before.config, jumps: [] };
+          runRef.current.assisted =
+            settings.gameSpeed !== DEFAULT_GAME_SPEED || settings.controls !== DEFAULT_CONTROLS;
+
+          achievementRunRef.current = startRun({ mode, difficulty });
+          telemetryRef.current = { mode, difficulty, flaps: 0 };
+
+          // The ghost starts with its own first jump, at the same moment
+          if (ghost && bestReplay) {
+            ghostRef.current = {
+              replay: bestReplay,
+              jumpFrames: new Set(bestReplay.jumps),
+              state: startReplay(bestReplay),
+            };
+          }
+        }
 
-    if (collided) {
-      setGameOver(true);
-      return;
-    }
+        // Screen readers: every point, then how the run ended
+        if (event.type === "score" || event.type === "collect") setAnnouncement(`Score ${state.score}`);
+        if (event.type === "finish") setAnnouncement(`Course complete! Score ${state.score}`);
+        if (event.type === "collision") {
+          const best = Math.max(stats.bests[bestKey(difficulty, mode, ramp)] || 0, state.score);
+          setAnnouncement(`Game over. Score ${state.score}${isCourse ? "" : `, best ${best}`}`);
+        }
 
-    if (newlyPassed > 0) {
-      setPipes(newPipes);
-      setScore((prev) => {
-        const newScore = prev + newlyPassed;
-        if (newScore > highScore) {
-          setHighScore(newScore);
-          localStorage.setItem("flappyHighScore", newScore.toString());
+        // Telemetry: flaps, then how and where the run ended
+        if (event.type === "flap" && telemetryRef.current) telemetryRef.current.flaps += 1;
+        if ((event.type === "collision" || event.type === "finish") && telemetryRef.current) {
+          logRun(runRecord(telemetryRef.current, state, event));
+          telemetryRef.current = null;
         }
-        return newScore;
-      });
-    }
-  }, [bird, pipes, gameOver, gameStarted, highScore, gameHeight]);
+
+        // Course runs are just for fun: no replays, no leaderboards
+        if (event.type === "collision" && !isCourse) {
+          const replay = createReplay({ ...runRef.current, finalState: state });
+          saveReplay(replay);
+          setLastReplay(replay);
+          setBestReplay(loadBestReplay()); // a new best also becomes the next ghost
+
+          const recorded = recordRun(stats, {
+            score: state.score,
+            pipes: state.pipesPassed, // coins add to the score, not to the pipes
+            difficulty,
+            mode,
+            ramp,
+            seed: state.seed,
+            duration: state.time,
+          });
+          setStats(recorded.stats);
+          setLastRun({ id: recorded.stats.runs[0].id, rank: recorded.rank });
+
+          // Send the run to the team leaderboard (the server re-simulates it).
+          // Assisted runs stay local: they aren't a fair comparison.
+          if (runRef.current.assisted) setGlobalRank({ status: "assisted" });
+          else if (!rankableReplay(replay)) setGlobalRank({ status: "unranked" });
+          else if (replay.score > 0) {
+            setGlobalRank({ status: "pending" });
+            submitScore({ name: stats.playerName, replay })
+              .then(({ rank, total }) => setGlobalRank({ status: "done", rank, total }))
+              .catch((err) => setGlobalRank({ status: "error", message: err.message }));
+          }
+        }
+      }
+
+      // Achievements follow every step of the run (close calls need the
+      // bird's position, not just the events)
+      if (achievementRunRef.current) {
+        const tracked = trackStep(achievementsRef.current, achievementRunRef.current, state, events);
+        achievementsRef.current = tracked.achievements;
+        achievementRunRef.current = state.status === "over" ? null : tracked.run;
+        if (tracked.unlocked.length > 0) {
+          audio.play("achievement");
+          setToasts((shown) => [
+            ...shown,
+            ...tracked.unlocked.map((achievement) => ({ key: `${achievement.id}-${state.frame}`, achievement })),
+          ]);
+        }
+      }
+
+      // The ghost takes one step for each of ours (until it crashes itself)
+      const racing = ghostRef.current;
+      if (racing && state.status === "playing" && before.status === "playing" && racing.state.status === "playing") {
+        ghostRef.current = { ...racing, state: advanceReplay(racing.state, racing.jumpFrames).state };
+      }
+
+      fxRef.current = stepEffects(fxRef.current, dt, floorY(state.config));
+
+      // Attract mode while the start screen waits (never with reduced motion)
+      if (state.status === "ready" && !settings.reducedMotion) stepAttract(dt);
+      else if (attractRef.current.idle > 0) attractRef.current = { idle: 0, game: null, controller: null };
+    },
+
+    // Render once per animation frame, however many steps ran
+    onFrame: () => {
+      if (gameRef.current !== game) setGame(gameRef.current);
+      if (fxRef.current !== fx) setFx(fxRef.current);
+      if ((ghostRef.current?.state ?? null) !== ghostState) setGhostState(ghostRef.current?.state ?? null);
+      if (attractRef.current !== attract) setAttract(attractRef.current);
+      if (achievementsRef.current !== achievements) setAchievements(achievementsRef.current);
+    },
+  });
 
   // ==================================================================
   // RENDER
   // ==================================================================
+  if (viewingReplay) {
+    return (
+      <ReplayViewer
+        replay={viewingReplay}
+        renderer={settings.renderer}
+        theme={theme}
+        reducedMotion={settings.reducedMotion}
+        highScore={highScore}
+        onClose={() => setViewingReplay(null)}
+      />
+    );
+  }
+
+  if (versus) {
+    return (
+      <VersusGame
+        mode={mode}
+        difficulty={difficulty}
+        ramp={ramp}
+        course={isCourse ? course : null}
+        settings={settings}
+        theme={theme}
+        audio={audio}
+        onExit={() => setVersus(false)}
+      />
+    );
+  }
+
+  if (online) {
+    return (
+      <OnlineGame
+        difficulty={difficulty}
+        playerName={stats.playerName}
+        settings={settings}
+        theme={theme}
+        audio={audio}
+        onExit={() => setOnline(false)}
+      />
+    );
+  }
+
+  const shake = shakeOffset(fx);
+  const ghostBirds = ghostState?.status === "playing" ? [ghostState.bird] : [];
+  // The ghost disappears once it crashes
+
+  const demo = !gameStarted ? attract.game : null;
+  // The attract-mode demo replaces the waiting bird while it flies
+
   return (
-    <div
-      className="relative overflow-hidden" 
-      // Tailwind CSS: 
-      // "relative" → allows child elements (Bird, Pipes, Overlays) to use absolute positioning 
-      // "overflow-hidden" → prevents scrollbars when bird/pipes move outside container
-      style={{
-        width: gameWidth,
-        height: gameHeight,
-        backgroundImage: `url('https://images.unsplash.com/photo-1684208080520-406372df6dea?fit=fillmax&h=400&w=800')`,
-        backgroundSize: "cover",      // cover entire container
-        backgroundPosition: "center", // center the background
-      }}
-      onClick={jump} // Click anywhere to jump
+    <Viewport
+      width={game.config.width}
+      height={game.config.height}
+      theme={theme}
+      surfaceRef={surfaceRef} // Tap / click anywhere (except on UI) to jump
+      world={(pixelRatio) => (
+        // Screen shake moves the whole world (not the HUD)
+        <div className="absolute inset-0" style={{ transform: `translate(${shake.x}px, ${shake.y}px)` }}>
+          {/* Background, Bird, Pipes & Ground (the tumbling bird replaces the real one) */}
+          <Scene
+            renderer={settings.renderer}
+            state={fx.dying ? { ...game, bird: fx.dying.bird } : demo ?? game}
+            ghosts={ghostBirds}
+            theme={theme}
+            pixelRatio={pixelRatio}
+            reducedMotion={settings.reducedMotion}
+          />
+
+          {/* Feathers, "+1" pop-ups, crash flash */}
+          <EffectsLayer
+            fx={fx}
+            theme={theme}
+            width={game.config.width}
+            height={game.config.height}
+            reducedMotion={settings.reducedMotion}
+          />
+
+          {/* Debug overlay (press D) */}
+          {debug && <DebugOverlay state={game} />}
+        </div>
+      )}
+      hud={
+        <>
+          {/* Scoreboard */}
+          <ScoreBoard
+            score={score}
+            highScore={isCourse ? undefined : highScore}
+            difficulty={isCourse ? course.name : DIFFICULTIES[difficulty].label}
+            powerUps={game.powerUps}
+          />
+
+          {/* Ghost's score (while racing it) */}
+          {ghostState && (
+            <div className="absolute top-16 left-4 text-white text-sm font-bold bg-black bg-opacity-50 px-2 py-1 rounded">
+              Ghost: {ghostState.score}
+              {ghostState.status === "over" && <span className="ml-2 opacity-75">· crashed</span>}
+            </div>
+          )}
+
+          {/* "Achievement unlocked" toasts */}
+          <AchievementToasts toasts={toasts} />
+
+          {/* Score & game over for screen readers */}
+          <Announcer message={announcement} />
+
+          {/* Pause button (only while playing) */}
+          {gameStarted && !gameOver && !paused && (
+            <button
+              onClick={togglePause}
+              className="absolute top-4 left-1/2 -translate-x-1/2 text-white bg-black bg-opacity-50 hover:bg-opacity-75 p-2 rounded"
+              aria-label="Pause"
+            >
+              <Pause className="w-5 h-5" />
+            </button>
+          )}
+        </>
+      }
     >
-      {/* Bird */}
-      <Bird bird={bird} />
-
-      {/* Pipes */}
-      {pipes.map((pipe, i) => (
-        <Pipe key={i} pipe={pipe} />
-      ))}
-
-      {/* Scoreboard */}
-      <ScoreBoard score={score} highScore={highScore} />
-
       {/* Start Overlay */}
       {!gameStarted && (
         <Overlay type="start">
           <h1 className="text-4xl font-bold mb-4">Flappy Bird</h1>
           {/* Tailwind: text size, bold, margin-bottom */}
-          <p className="text-lg mb-6">Click or press Space to start</p>
-          <Play className="w-12 h-12 animate-pulse" /> 
+          <ModeSelect modes={Object.values(GAME_MODES)} mode={mode} onChange={changeMode} label="Game mode" />
+          {isCourse ? (
+            <div data-ui className="flex flex-col items-center gap-2 text-sm mb-2">
+              <p className="text-lg font-bold">
+                {course.name} · {course.pipes.length} pipes
+              </p>
+              <div className="flex gap-2">
+                <label className="flex items-center gap-2 bg-black bg-opacity-50 hover:bg-opacity-75 px-4 py-2 rounded-lg cursor-pointer">
+                  <Upload className="w-4 h-4" />
+                  Load course
+                  <input type="file" accept="application/json,.json" className="hidden" onChange={handleCourseImport} />
+                </label>
+                <Link
+                  href="/editor"
+                  className="flex items-center gap-2 bg-black bg-opacity-50 hover:bg-opacity-75 px-4 py-2 rounded-lg"
+                >
+                  <Pencil className="w-4 h-4" />
+                  Course editor
+                </Link>
+              </div>
+            </div>
+          ) : (
+            <>
+              <ModeSelect modes={Object.values(DIFFICULTIES)} mode={difficulty} onChange={changeDifficulty} label="Difficulty" />
+              <label className="flex items-center gap-2 text-sm mb-2 cursor-pointer">
+                <input type="checkbox" checked={ramp} onChange={(e) => changeRamp(e.target.checked)} />
+                Progressive difficulty (gap shrinks, speed rises as you score)
+              </label>
+            </>
+          )}
+          {courseError && <p className="text-sm text-red-300 mb-2">{courseError}</p>}
+          {bestReplay && !isCourse && (
+            <label className="flex items-center gap-2 text-sm mb-2 cursor-pointer">
+              <input type="checkbox" checked={ghost} onChange={(e) => changeGhost(e.target.checked)} />
+              Race the ghost of your best run ({bestReplay.score})
+              {!rankableReplay(bestReplay) && <span className="opacity-75">· not for the team leaderboard</span>}
+            </label>
+          )}
+          <div className="mb-2" />
+          {!isCourse && (
+            <p className="text-sm mb-4 opacity-75">
+              {mode === "daily" ? `${dailyKey()} · ` : ""}Seed {formatSeed(game.seed)}
+            </p>
+          )}
+          <p className={`text-lg ${settings.controls === "oneSwitch" ? "mb-2" : "mb-6"}`}>
+            Tap, click or press {keyLabel(settings.keys.jump)} to start
+          </p>
+          {settings.controls === "oneSwitch" && (
+            <p className="text-sm mb-6 opacity-75">One switch: hold to hover, let go to drop</p>
+          )}
+          <Play className={`w-12 h-12 ${settings.reducedMotion ? "" : "animate-pulse"}`} /> 
           {/* Tailwind: width, height, animation pulse */}
+
+          {/* Replays (watch the best run or open one from a file), versus and online play */}
+          <div className="flex gap-2 mt-6">
+            {bestReplay && (
+              <button
+                onClick={() => setViewingReplay(bestReplay)}
+                className="flex items-center gap-2 bg-black bg-opacity-50 hover:bg-opacity-75 px-4 py-2 rounded-lg text-sm"
+              >
+                <Film className="w-4 h-4" />
+                Best replay ({bestReplay.score})
+              </button>
+            )}
+            <button
+              onClick={() => setVersus(true)}
+              className="flex items-center gap-2 bg-black bg-opacity-50 hover:bg-opacity-75 px-4 py-2 rounded-lg text-sm"
+            >
+              <Users className="w-4 h-4" />
+              2 Players
+            </button>
+            <button
+              onClick={() => setOnline(true)}
+              className="flex items-center gap-2 bg-black bg-opacity-50 hover:bg-opacity-75 px-4 py-2 rounded-lg text-sm"
+            >
+              <Globe className="w-4 h-4" />
+              Online
+            </button>
+            <label className="flex items-center gap-2 bg-black bg-opacity-50 hover:bg-opacity-75 px-4 py-2 rounded-lg text-sm cursor-pointer">
+              <Upload className="w-4 h-4" />
+              Import replay
+              <input type="file" accept="application/json,.json" className="hidden" onChange={handleImport} />
+            </label>
+          </div>
+          {replayError && <p className="text-sm text-red-300 mt-2">{replayError}</p>}
+
+          {/* Player name, settings & leaderboard */}
+          <div data-ui className="flex items-center gap-4 mt-4 text-sm">
+            <label className="flex items-center gap-2">
+              Name
+              <input
+                type="text"
+                value={stats.playerName}
+                maxLength={20}
+                onChange={(e) => setStats(setPlayerName(stats, e.target.value))}
+                className="bg-black bg-opacity-50 rounded px-2 py-1 w-32"
+              />
+            </label>
+            <button
+              onClick={() => setShowSettings(true)}
+              className="flex items-center gap-2 opacity-75 hover:opacity-100"
+            >
+              <Settings className="w-4 h-4" />
+              Settings
+            </button>
+            <button
+              onClick={() => setShowLeaderboard(true)}
+              className="flex items-center gap-2 opacity-75 hover:opacity-100"
+            >
+              <Trophy className="w-4 h-4" />
+              Leaderboard
+            </button>
+            <button
+              onClick={() => setShowAchievements(true)}
+              className="flex items-center gap-2 opacity-75 hover:opacity-100"
+            >
+              <Award className="w-4 h-4" />
+              Achievements ({Object.keys(achievements.unlocked).length}/{ACHIEVEMENTS.length})
+            </button>
+            <Link href="/train" className="flex items-center gap-2 opacity-75 hover:opacity-100">
+              <Bot className="w-4 h-4" />
+              Train AI
+            </Link>
+            <Link href="/stats" className="flex items-center gap-2 opacity-75 hover:opacity-100">
+              <BarChart3 className="w-4 h-4" />
+              Stats
+            </Link>
+          </div>
+          {demo && <p className="text-xs mt-4 opacity-75">Demo: {attract.controller.name}</p>}
         </Overlay>
       )}
 
-      {/* Game Over Overlay */}
-      {gameOver && (
+      {/* Game Over Overlay (after the death sequence) */}
+      {showGameOver && (
         <Overlay type="gameover">
-          <h2 className="text-3xl font-bold mb-2">Game Over!</h2>
+          <h2 className="text-3xl font-bold mb-2">{game.finished ? "Course complete!" : "Game Over!"}</h2>
+          {isCourse && !game.finished && (
+            <p className="text-lg mb-2">
+              Crashed at pipe {Math.min(game.pipesPassed + 1, course.pipes.length)} of {course.pipes.length}
+            </p>
+          )}
           <p className="text-xl mb-2">Score: {score}</p>
-          <p className="text-lg mb-6">Best: {highScore}</p>
-          <button
-            onClick={resetGame}
-            className="flex items-center gap-2 bg-yellow-500 hover:bg-yellow-600 text-black px-6 py-3 rounded-lg font-bold transition-colors"
-
-          >
-            <RotateCcw className="w-5 h-5" />
-            Play Again
-          </button>
+          {!isCourse && <p className="text-lg mb-2">Best: {highScore}</p>}
+          {lastRun?.rank && <p className="text-yellow-400 font-bold mb-2">#{lastRun.rank} on the leaderboard!</p>}
+          {globalRank?.status === "pending" && <p className="text-sm opacity-75 mb-2">Submitting to team leaderboard…</p>}
+          {globalRank?.status === "done" && (
+            <p className="text-sm mb-2">Team rank: #{globalRank.rank} of {globalRank.total}</p>
+          )}
+          {globalRank?.status === "error" && (
+            <p className="text-sm text-red-300 mb-2">Team leaderboard: {globalRank.message}</p>
+          )}
+          {globalRank?.status === "assisted" && (
+            <p className="text-sm opacity-75 mb-2">Assisted run: kept off the team leaderboard</p>
+          )}
+          {globalRank?.status === "unranked" && (
+            <p className="text-sm opacity-75 mb-2">The team leaderboard doesn&apos;t rank this ghost&apos;s course</p>
+          )}
+          {settings.controls === "oneSwitch" && (
+            <p className="text-sm opacity-75 mb-2">Press {keyLabel(settings.keys.jump)} or tap to play again</p>
+          )}
+          <div className="mb-4" />
+          <div className="flex gap-3">
+            <button
+              onClick={() => resetGame()}
+              className="flex items-center gap-2 bg-yellow-500 hover:bg-yellow-600 text-black px-6 py-3 rounded-lg font-bold transition-colors"
+
+            >
+              <RotateCcw className="w-5 h-5" />
+              Play Again
+            </button>
+            {lastReplay && !isCourse && (
+              <button
+                onClick={() => setViewingReplay(lastReplay)}
+                className="flex items-center gap-2 bg-white hover:bg-gray-200 text-black px-6 py-3 rounded-lg font-bold transition-colors"
+              >
+                <Film className="w-5 h-5" />
+                Watch replay
+              </button>
+            )}
+            <button
+              onClick={() => setShowLeaderboard(true)}
+              className="flex items-center gap-2 bg-white hover:bg-gray-200 text-black px-6 py-3 rounded-lg font-bold transition-colors"
+            >
+              <Trophy className="w-5 h-5" />
+              Leaderboard
+            </button>
+          </div>
+        </Overlay>
+      )}
+
+      {/* Pause Overlay */}
+      {paused && !showSettings && (
+        <Overlay type="pause">
+          <h2 className="text-3xl font-bold mb-6">Paused</h2>
+          <div className="flex flex-col gap-3 w-48">
+            <button
+              onClick={togglePause}
+              className="flex items-center justify-center gap-2 bg-yellow-500 hover:bg-yellow-600 text-black px-6 py-3 rounded-lg font-bold transition-colors"
+            >
+              <Play className="w-5 h-5" />
+              Resume
+            </button>
+            <button
+              onClick={() => resetGame()}
+              className="flex items-center justify-center gap-2 bg-white hover:bg-gray-200 text-black px-6 py-3 rounded-lg font-bold transition-colors"
+            >
+              <RotateCcw className="w-5 h-5" />
+              Restart
+            </button>
+            <button
+              onClick={() => setShowSettings(true)}
+              className="flex items-center justify-center gap-2 bg-white hover:bg-gray-200 text-black px-6 py-3 rounded-lg font-bold transition-colors"
+            >
+              <Settings className="w-5 h-5" />
+              Settings
+            </button>
+          </div>
+        </Overlay>
+      )}
+
+      {/* Leaderboard Overlay (on top of the start or game-over screen) */}
+      {showLeaderboard && (
+        <Overlay type="leaderboard">
+          <LeaderboardScreen
+            stats={stats}
+            highlightId={lastRun?.id}
+            onClear={() => setStats(clearStats(stats))}
+            onClose={() => setShowLeaderboard(false)}
+          />
+        </Overlay>
+      )}
+
+      {/* Achievements Overlay (on top of the start screen) */}
+      {showAchievements && (
+        <Overlay type="achievements">
+          <AchievementsScreen
+            achievements={achievements}
+            onClear={() => {
+              achievementsRef.current = clearAchievements();
+              setAchievements(achievementsRef.current);
+            }}
+            onClose={() => setShowAchievements(false)}
+          />
+        </Overlay>
+      )}
+
+      {/* Settings Overlay (on top of the start or pause screen) */}
+      {showSettings && (
+        <Overlay type="settings">
+          <SettingsMenu
+            settings={settings}
+            onChange={changeSettings}
+            onClose={() => setShowSettings(false)}
+            onRebinding={setRebinding}
+          />
         </Overlay>
       )}
-    </div>
+    </Viewport>
   );
 }
 
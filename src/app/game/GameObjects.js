@@ -3,15 +3,32 @@
 // Client components can use things like state, effects, and event handlers.
 // Without this, the file would be treated as a server-only component.
 
+import { useRef } from "react";
+
+import { BIRD_WIDTH, BIRD_HEIGHT, PIPE_WIDTH } from "./constants";
+import { birdTilt, tiltRotation, RIM_OVERHANG, RIM_HEIGHT } from "./hitboxes";
+// Shared sizes and shapes, so what we draw matches what the engine collides with
+import { BIRD_SPRITE_WIDTH, BIRD_SPRITE_HEIGHT, GHOST_OPACITY, birdFrame } from "./themes";
+// Sprite sizes and the wing-flap animation
+import { ITEM_SIZE, SMASHED_OPACITY, activePowerUps, itemLook, itemRect } from "./collectibles";
+// Coins and power-ups
+import { OBSTACLES, HAZARD_SIZE, hazardRect, hazardOutline } from "./obstacles";
+// Obstacle variants (moving / closing / double gaps, hazards)
+import { FINISH_WIDTH, FINISH_SQUARE } from "./course";
+// The finish line of hand-made courses
+import { useFocusTrap } from "./useFocusTrap";
+// Keyboard focus stays inside an open overlay
+
 // ==================================================================
 // Bird Component
 // ==================================================================
-export function Bird({ bird }) {
+export function Bird({ bird, theme, time, ghost = false }) {
   /*
     WHAT IS THIS COMPONENT?
     -----------------------
     This component visually represents the bird in the Flappy Bird game.
-    It draws a small yellow rectangle with a beak, eye, and wing.
+    It shows one frame of the theme's bird sprite (see themes.js); the frame
+    changes with the game time, which makes the wings flap.
     The bird is positioned dynamically based on its x (horizontal) and y (vertical) coordinates.
     It also rotates slightly depending on its velocity (so it tilts up/down as it moves).
 
@@ -21,9 +38,15 @@ export function Bird({ bird }) {
     Example: bird = { x: 100, y: 200, velocity: 2 }
       - bird.x → how far from the left side of the game screen the bird is.
       - bird.y → how far from the top of the game screen the bird is.
-      - bird.velocity → the bird’s speed; used here to tilt the bird with rotation.
+      - bird.velocity → the bird’s vertical speed in px per second; used here to tilt the bird with rotation.
+
+    "theme" is the active theme object, "time" the simulated seconds.
+    bird.scale (the shrink power-up) makes the whole bird smaller.
+    "ghost" draws it see-through (the ghost of your best run).
   */
 
+  const tilt = tiltRotation(birdTilt(bird));
+
   return (
     <div
       style={{
@@ -41,58 +64,31 @@ export function Bird({ bird }) {
         // We use bird.y so that the bird moves up/down.
         top: bird.y,
 
-        // Size of the bird’s rectangular body.
-        width: 40,
-        height: 30,
+        // Size of the bird’s body (the sprite's beak sticks out on the right).
+        width: BIRD_WIDTH,
+        height: BIRD_HEIGHT,
 
-        // Body color and border.
-        backgroundColor: "yellow",     // bright yellow body
-        border: "2px solid orange",    // orange outline
-        borderRadius: "8px",           // rounded corners so the body looks softer
-
-        // Tilt the bird slightly based on its velocity.
-        // Math.min ensures the tilt never goes beyond 45 degrees.
+        // Tilt the bird slightly based on its velocity (px per second).
+        // birdTilt() caps the tilt at 45 degrees; the hitbox uses the same angle,
+        // and the same sine & cosine (tiltRotation(), as a rotation matrix).
         // This mimics how a bird angles upward/downward when flying.
-        transform: `rotate(${Math.min(bird.velocity * 3, 45)}deg)`,
+        // scale() shrinks it around the same center, like its hitbox.
+        transform: `matrix(${tilt.cos}, ${tilt.sin}, ${-tilt.sin}, ${tilt.cos}, 0, 0) scale(${bird.scale ?? 1})`,
+
+        opacity: ghost ? GHOST_OPACITY : undefined,
       }}
     >
-      {/* Eye (a small black circle) */}
-      <div
-        style={{
-          width: 6,
-          height: 6,
-          borderRadius: "50%",   // 50% makes a perfect circle
-          backgroundColor: "black", // black circle
-          position: "absolute",     // positioned relative to bird’s body
-          top: 6,                   // y-offset from top of the bird body
-          left: 25,                 // x-offset from left of the bird body
-        }}
-      />
-
-      {/* Beak (a small orange triangle) */}
-      <div
-        style={{
-          width: 10,
-          height: 6,
-          backgroundColor: "orange",   // beak is orange
-          position: "absolute",
-          top: 12,
-          left: 38,
-          // CSS trick: clipPath creates a triangle shape from a rectangle
-          clipPath: "polygon(0 0, 100% 50%, 0 100%)",
-        }}
-      />
-
-      {/* Wing (a gold-colored small oval) */}
+      {/* Current sprite frame (wing up / middle / down) */}
       <div
         style={{
-          width: 14,
-          height: 10,
-          backgroundColor: "gold",
-          borderRadius: "5px",        // rounded to make it look like a wing
           position: "absolute",
-          top: 10,
-          left: 5,
+          top: 0,
+          left: 0,
+          width: BIRD_SPRITE_WIDTH,
+          height: BIRD_SPRITE_HEIGHT,
+          backgroundImage: `url('${theme.bird[birdFrame(time)]}')`,
+          backgroundSize: "100% 100%",
+          imageRendering: theme.pixelArt ? "pixelated" : undefined,
         }}
       />
     </div>
@@ -102,14 +98,15 @@ export function Bird({ bird }) {
 // ==================================================================
 // Pipe Component
 // ==================================================================
-export function Pipe({ pipe }) {
+export function Pipe({ pipe, floor, theme }) {
   /*
     WHAT IS THIS COMPONENT?
     -----------------------
     This component visually represents the "pipes" that the bird must fly through.
     Each pipe has two parts:
       - A top pipe that extends downward from the ceiling.
-      - A bottom pipe that extends upward from the ground.
+      - A bottom pipe that extends upward from the ground ("floor" is the
+        y of the ground line, see floorY() in engine.js).
     Both pipes leave a gap between them for the bird to pass through.
 
     WHAT IS "pipe"?
@@ -119,24 +116,48 @@ export function Pipe({ pipe }) {
       - pipe.x → how far from the left the pipe is positioned.
       - pipe.topHeight → height of the top pipe.
       - pipe.bottomHeight → height of the bottom pipe.
+
+    "theme" is the active theme object: the pipe body texture repeats
+    downwards, and the rim image is flipped for the bottom pipe.
+    A pipe smashed by the shield power-up is drawn faded.
+
+    OBSTACLE VARIANTS (pipe.kind, see obstacles.js)
+    ------------------------------------------------
+      - moving / closing → the same pipes, tinted so you can tell them apart
+        (their heights change every step; an accessibility palette can
+        bring its own tints, see themes.js)
+      - double → an extra block between the two gaps (pipe.middle)
+      - hazard → no pipes at all, drawn by the Hazard component instead
   */
 
-  const PIPE_WIDTH = 60; // fixed width for all pipes
+  if (pipe.kind === "hazard") return <Hazard pipe={pipe} />;
+
+  const tint = theme.tints?.[pipe.kind] ?? OBSTACLES[pipe.kind]?.tint;
+
+  const bodyStyle = {
+    backgroundImage: `url('${theme.pipe.body}')`,
+    backgroundRepeat: "repeat-y",            // texture tile repeats along the pipe
+    backgroundSize: `${PIPE_WIDTH}px auto`,
+    imageRendering: theme.pixelArt ? "pixelated" : undefined,
+    opacity: pipe.smashed ? SMASHED_OPACITY : undefined,
+  };
+
+  const rimStyle = {
+    left: -RIM_OVERHANG,                     // extend a little to the left for rim effect
+    width: PIPE_WIDTH + RIM_OVERHANG * 2,    // rim is wider than pipe
+    height: RIM_HEIGHT,                      // rim thickness
+    backgroundImage: `url('${theme.pipe.rim}')`,
+    backgroundSize: "100% 100%",
+    imageRendering: theme.pixelArt ? "pixelated" : undefined,
+  };
 
   return (
     <>
       {/* ------------------ TOP PIPE ------------------ */}
       <div
-        /*
-          Tailwind classes:
-          -----------------
-          absolute → position the pipe exactly with coordinates
-          bg-green-600 → medium-dark green background color
-          border-2 → 2px wide border
-          border-green-800 → dark green border color
-        */
-        className="absolute bg-green-600 border-2 border-green-800"
+        className="absolute" // position the pipe exactly with coordinates
         style={{
+          ...bodyStyle,
           left: pipe.x,          // horizontal position
           top: 0,                // pipe starts from top of screen
           width: PIPE_WIDTH,     // fixed width
@@ -144,59 +165,159 @@ export function Pipe({ pipe }) {
         }}
       >
         {/* Pipe Rim (the thicker edge at the bottom of the top pipe) */}
+        <div className="absolute" style={{ ...rimStyle, bottom: 0 }}>
+          <Tint color={tint} />
+        </div>
+        <Tint color={tint} />
+      </div>
+
+      {/* ------------------ MIDDLE BLOCK (double pipes) ------------------ */}
+      {pipe.middle && (
         <div
-          /*
-            Tailwind classes:
-            -----------------
-            absolute → positioned inside the pipe
-            bg-green-500 → slightly lighter green for rim
-            border-t-4 → 4px border at the top
-            border-green-700 → darker green border
-          */
-          className="absolute bg-green-500 border-t-4 border-green-700"
+          className="absolute"
           style={{
-            bottom: 0,                 // stick to bottom of top pipe
-            left: -5,                  // extend a little to left for rim effect
-            width: PIPE_WIDTH + 10,    // rim is wider than pipe
-            height: 20,                // rim thickness
+            ...bodyStyle,
+            left: pipe.x,
+            top: pipe.middle.y,
+            width: PIPE_WIDTH,
+            height: pipe.middle.height,
           }}
-        />
-      </div>
+        >
+          {/* A rim facing each gap: upside down above, normal below */}
+          <div className="absolute" style={{ ...rimStyle, top: 0, transform: "scaleY(-1)" }} />
+          <div className="absolute" style={{ ...rimStyle, bottom: 0 }} />
+        </div>
+      )}
 
       {/* ------------------ BOTTOM PIPE ------------------ */}
       <div
-        className="absolute bg-green-600 border-2 border-green-800"
+        className="absolute"
         style={{
+          ...bodyStyle,
           left: pipe.x,                // same horizontal x as top pipe
-          bottom: 0,                   // pipe grows from bottom upwards
+          top: floor - pipe.bottomHeight, // pipe stands on the ground
           width: PIPE_WIDTH,
           height: pipe.bottomHeight,   // dynamic bottom pipe height
         }}
       >
-        {/* Pipe Rim (the thicker edge at the top of the bottom pipe) */}
-        <div
-          className="absolute bg-green-500 border-b-4 border-green-700"
-          style={{
-            top: 0,                     // stick to top of bottom pipe
-            left: -5,
-            width: PIPE_WIDTH + 10,
-            height: 20,
-          }}
-        />
+        {/* Pipe Rim (the thicker edge at the top of the bottom pipe, upside down) */}
+        <div className="absolute" style={{ ...rimStyle, top: 0, transform: "scaleY(-1)" }}>
+          <Tint color={tint} />
+        </div>
+        <Tint color={tint} />
       </div>
     </>
   );
 }
 
+// Colored layer over a pipe part (moving / closing pipes)
+function Tint({ color }) {
+  if (!color) return null;
+  return <div className="absolute inset-0" style={{ backgroundColor: color }} />;
+}
+
+// ==================================================================
+// Hazard Component
+// ==================================================================
+export function Hazard({ pipe }) {
+  /*
+    WHAT IS THIS COMPONENT?
+    -----------------------
+    The floating hazard obstacle: a spiked ball in the pipe's lane that
+    floats up and down (pipe.hazardY, see obstacles.js). Its outline comes
+    from hazardOutline(), the same one the canvas renderer draws.
+  */
+
+  const { x, y } = hazardRect(pipe);
+  const r = HAZARD_SIZE / 2;
+  const points = hazardOutline()
+    .map((p) => `${p.x + r},${p.y + r}`)
+    .join(" ");
+
+  return (
+    <svg
+      className="absolute"
+      style={{ left: x, top: y, opacity: pipe.smashed ? SMASHED_OPACITY : undefined }}
+      width={HAZARD_SIZE}
+      height={HAZARD_SIZE}
+    >
+      <polygon points={points} fill="#52525b" stroke="#18181b" strokeWidth={2} />
+      <circle cx={r} cy={r} r={r - 14} fill="#dc2626" />
+    </svg>
+  );
+}
+
+// ==================================================================
+// FinishLine Component
+// ==================================================================
+export function FinishLine({ x, floor }) {
+  /*
+    WHAT IS THIS COMPONENT?
+    -----------------------
+    The checkered finish line of a hand-made course (see course.js), from
+    the top of the screen down to the ground. x is its left edge
+    (state.course.finishX); the run ends once the bird has crossed it.
+  */
+
+  return (
+    <div
+      className="absolute top-0"
+      style={{
+        left: x,
+        width: FINISH_WIDTH,
+        height: floor,
+        backgroundImage: "repeating-conic-gradient(#000 0% 25%, #fff 0% 50%)",
+        backgroundSize: `${FINISH_SQUARE * 2}px ${FINISH_SQUARE * 2}px`,
+      }}
+    />
+  );
+}
+
+// ==================================================================
+// Collectible Component
+// ==================================================================
+export function Collectible({ pipe, floor }) {
+  /*
+    WHAT IS THIS COMPONENT?
+    -----------------------
+    A coin or power-up floating in the middle of a pipe's gap (pipe.item,
+    see collectibles.js). Nothing is drawn once it has been picked up.
+  */
+
+  if (!pipe.item || pipe.item.taken) return null;
+
+  const { x, y } = itemRect(pipe, floor);
+  const { color, symbol } = itemLook(pipe.item);
+
+  return (
+    <div
+      className="absolute flex items-center justify-center rounded-full border-2 border-white text-sm font-bold text-white"
+      style={{ left: x, top: y, width: ITEM_SIZE, height: ITEM_SIZE, backgroundColor: color }}
+    >
+      {symbol}
+    </div>
+  );
+}
+
 // ==================================================================
 // Scoreboard Component
 // ==================================================================
-export function ScoreBoard({ score, highScore }) {
+export function ScoreBoard({ score, highScore, difficulty, powerUps, player }) {
   /*
     WHAT IS THIS COMPONENT?
     -----------------------
     The ScoreBoard displays the current score and the best score (high score).
     It stays fixed on the screen (doesn’t move with bird or pipes).
+
+    "difficulty" is the label of the active difficulty (e.g. "Hard").
+    The best score shown is the one for that difficulty.
+
+    "powerUps" is state.powerUps (see collectibles.js): every active
+    power-up gets a badge with the seconds it has left and a bar that
+    runs out with it.
+
+    "player" labels the score in the versus mode (e.g. "P1"); the best
+    score box is left out when there is no highScore.
   */
 
   return (
@@ -217,14 +338,34 @@ export function ScoreBoard({ score, highScore }) {
         */
         className="absolute top-4 left-4 text-white text-2xl font-bold bg-black bg-opacity-50 px-3 py-1 rounded"
       >
+        {player && <span className="mr-2 text-base opacity-75">{player}</span>}
         {score}
       </div>
 
       {/* High Score (top-right corner of the screen) */}
-      <div
-        className="absolute top-4 right-4 text-white text-sm font-bold bg-black bg-opacity-50 px-2 py-1 rounded"
-      >
-        Best: {highScore}
+      {highScore !== undefined && (
+        <div
+          className="absolute top-4 right-4 text-white text-sm font-bold bg-black bg-opacity-50 px-2 py-1 rounded"
+        >
+          Best: {highScore}
+          {difficulty && <span className="ml-2 opacity-75">· {difficulty}</span>}
+        </div>
+      )}
+
+      {/* Active power-ups (below the high score) */}
+      <div className="absolute top-14 right-4 flex flex-col items-end gap-1">
+        {activePowerUps(powerUps).map((p) => (
+          <div
+            key={p.id}
+            className="w-28 text-white text-xs font-bold bg-black bg-opacity-50 px-2 py-1 rounded"
+          >
+            <div className="flex justify-between">
+              <span>{p.label}</span>
+              <span className="tabular-nums">{p.remaining.toFixed(1)}s</span>
+            </div>
+            <div className="h-1 mt-1 rounded" style={{ width: `${(p.remaining / p.seconds) * 100}%`, backgroundColor: p.color }} />
+          </div>
+        ))}
       </div>
     </>
   );
@@ -233,23 +374,48 @@ export function ScoreBoard({ score, highScore }) {
 // ==================================================================
 // Overlay Component
 // ==================================================================
-export function Overlay({ type, children }) {
+// What screen readers call each overlay (the "label" prop overrides it)
+const OVERLAY_LABELS = {
+  start: "Start screen",
+  gameover: "Game over",
+  pause: "Paused",
+  leaderboard: "Leaderboard",
+  settings: "Settings",
+  achievements: "Achievements",
+};
+
+export function Overlay({ type, label, children }) {
   /*
     WHAT IS THIS COMPONENT?
     -----------------------
     Overlay is used for displaying "Start Screen" or "Game Over Screen".
-    It covers the entire game area with a semi-transparent background.
+    It covers the whole window (not just the scaled game area, see
+    Viewport.js) with a semi-transparent background.
 
     WHAT IS "type"?
     ---------------
     "type" prop decides how dark the overlay should be.
       - type = "start" → lighter transparency
       - type = anything else (like "gameOver") → darker background
+
+    KEYBOARD & SCREEN READERS
+    -------------------------
+    Every overlay is a modal dialog: it takes the focus when it opens,
+    Tab cycles through its own buttons only, and the focus goes back
+    where it was when it closes (see useFocusTrap.js).
   */
 
+  const ref = useRef(null);
+  useFocusTrap(ref);
+
   return (
     <div
-      className={`absolute inset-0 flex flex-col items-center justify-center text-white ${
+      ref={ref}
+      role="dialog"
+      aria-modal="true"
+      aria-label={label ?? OVERLAY_LABELS[type]}
+      tabIndex={-1}
+      className={`absolute inset-0 flex flex-col items-center justify-center text-white outline-none ${
         type === "start" ? "bg-black bg-opacity-50" : "bg-black bg-opacity-75"
       }`}
 
@@ -259,3 +425,82 @@ export function Overlay({ type, children }) {
     </div>
   );
 }
+
+// ==================================================================
+// ModeSelect Component
+// ==================================================================
+export function ModeSelect({ modes, mode, onChange, label }) {
+  /*
+    WHAT IS THIS COMPONENT?
+    -----------------------
+    A row of toggle buttons shown on the start overlay to choose the game
+    mode (e.g. Classic or Daily Challenge).
+
+    WHAT ARE THE PROPS?
+    -------------------
+      - modes → list of { id, label } objects to offer
+      - mode → id of the currently selected mode
+      - onChange → called with the new mode id when a button is clicked
+      - label → what is being chosen, for screen readers (optional)
+
+    These are real <button>s, so the input layer (input.js) knows a press
+    on them is UI and never makes the bird jump.
+
+    For keyboards & screen readers the row is a radio group: Tab reaches
+    only the selected button, the arrow keys move the selection.
+  */
+
+  const selected = Math.max(0, modes.findIndex((m) => m.id === mode));
+
+  const handleKeyDown = (e) => {
+    const step = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 }[e.key];
+    if (!step) return;
+    e.preventDefault();
+    const next = (selected + step + modes.length) % modes.length;
+    onChange(modes[next].id);
+    e.currentTarget.children[next]?.focus();
+  };
+
+  return (
+    <div role="radiogroup" aria-label={label} onKeyDown={handleKeyDown} className="flex flex-wrap gap-2 mb-4">
+      {modes.map((m, i) => (
+        <button
+          key={m.id}
+          role="radio"
+          aria-checked={m.id === mode}
+          tabIndex={i === selected ? 0 : -1}
+          onClick={() => onChange(m.id)}
+          className={`px-4 py-2 rounded-lg font-bold transition-colors ${
+            m.id === mode ? "bg-yellow-500 text-black" : "bg-black bg-opacity-50 hover:bg-opacity-75"
+          }`}
+        >
+          {m.label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// ==================================================================
+// Announcer Component
+// ==================================================================
+export function Announcer({ message }) {
+  /*
+    WHAT IS THIS COMPONENT?
+    -----------------------
+    An invisible live region: screen readers read out every new message
+    (the score, game over, ...) without moving the focus, since the game
+    itself is only pictures.
+
+    WHAT IS "message"?
+    ------------------
+    The text to read out. The region has to stay mounted, so an empty
+    message just means "nothing new".
+  */
+
+  return (
+    <div className="sr-only" role="status" aria-live="polite" aria-atomic="true">
+      {message}
+    </div>
+  );
+}
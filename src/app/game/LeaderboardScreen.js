@@ -0,0 +1,154 @@
+"use client";
+// Client component: tabs and a confirm step need local state.
+
+import { useState } from "react";
+
+import { ModeSelect } from "./GameObjects";
+import { DIFFICULTIES } from "./difficulty";
+import { summarize } from "./leaderboard";
+
+const TABS = [
+  { id: "top", label: "Top 10" },
+  { id: "history", label: "History" },
+  { id: "stats", label: "Stats" },
+];
+
+// Seconds → "1:05"
+function formatDuration(seconds) {
+  if (seconds === null || seconds === undefined) return "–";
+  const s = Math.floor(seconds);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+// ISO date → local date, or a dash for migrated runs without a date
+function formatDate(iso) {
+  return iso ? new Date(iso).toLocaleDateString() : "–";
+}
+
+// ==================================================================
+// RunTable Component (one row per run)
+// ==================================================================
+function RunTable({ runs, highlightId, ranked }) {
+  if (runs.length === 0) {
+    return <p className="text-center opacity-75 py-6">No runs yet — go play!</p>;
+  }
+
+  return (
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="text-left opacity-75">
+          {ranked && <th className="pr-2">#</th>}
+          <th className="pr-2">Name</th>
+          <th className="pr-2 text-right">Score</th>
+          <th className="pr-2">Difficulty</th>
+          <th className="pr-2 text-right">Time</th>
+          <th>Date</th>
+        </tr>
+      </thead>
+      <tbody>
+        {runs.map((run, i) => (
+          <tr key={run.id} className={run.id === highlightId ? "text-yellow-400 font-bold" : ""}>
+            {ranked && <td className="pr-2">{i + 1}</td>}
+            <td className="pr-2 truncate max-w-32">{run.name}</td>
+            <td className="pr-2 text-right tabular-nums">{run.score}</td>
+            <td className="pr-2">{DIFFICULTIES[run.difficulty]?.label ?? run.difficulty}</td>
+            <td className="pr-2 text-right tabular-nums">{formatDuration(run.duration)}</td>
+            <td>{formatDate(run.date)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+// ==================================================================
+// LeaderboardScreen Component
+// ==================================================================
+/*
+  WHAT IS THIS COMPONENT?
+  -----------------------
+  Shows the local top 10, the run history and overall stats (games played,
+  average score, total pipes passed), with a button to clear it all.
+  Shown inside an Overlay from the start and game-over screens.
+
+  PROPS
+  -----
+    - stats → stats object (see leaderboard.js)
+    - highlightId → id of a run to highlight (e.g. the one just played)
+    - onClear → called after the player confirms clearing everything
+    - onClose → called when the player is done
+*/
+export function LeaderboardScreen({ stats, highlightId, onClear, onClose }) {
+  const [tab, setTab] = useState("top");
+  const [confirming, setConfirming] = useState(false);
+  const summary = summarize(stats);
+
+  return (
+    <div
+      data-ui
+      className="bg-black bg-opacity-75 rounded-lg p-6 w-[36rem] max-w-full max-h-[90vh] flex flex-col"
+    >
+      <h2 className="text-2xl font-bold mb-4 text-center">Leaderboard</h2>
+
+      <div className="flex justify-center text-sm">
+        <ModeSelect modes={TABS} mode={tab} onChange={setTab} label="Leaderboard" />
+      </div>
+
+      <div className="overflow-y-auto flex-1 mb-4">
+        {tab === "top" && <RunTable runs={stats.top} highlightId={highlightId} ranked />}
+        {tab === "history" && <RunTable runs={stats.runs} highlightId={highlightId} />}
+        {tab === "stats" && (
+          <dl className="grid grid-cols-2 gap-y-2 text-sm">
+            <dt className="opacity-75">Games played</dt>
+            <dd className="text-right tabular-nums">{summary.gamesPlayed}</dd>
+            <dt className="opacity-75">Average score</dt>
+            <dd className="text-right tabular-nums">{summary.averageScore.toFixed(1)}</dd>
+            <dt className="opacity-75">Total pipes passed</dt>
+            <dd className="text-right tabular-nums">{summary.totalPipes}</dd>
+            <dt className="opacity-75">Total time played</dt>
+            <dd className="text-right tabular-nums">{formatDuration(summary.totalTime)}</dd>
+            {Object.values(DIFFICULTIES).map((d) => (
+              <div key={d.id} className="contents">
+                <dt className="opacity-75">Best on {d.label}</dt>
+                <dd className="text-right tabular-nums">{stats.bests[d.id] || 0}</dd>
+              </div>
+            ))}
+          </dl>
+        )}
+      </div>
+
+      <div className="flex justify-between items-center">
+        {confirming ? (
+          <span className="text-sm">
+            Delete everything?{" "}
+            <button
+              onClick={() => {
+                onClear();
+                setConfirming(false);
+              }}
+              className="underline text-red-400 mr-2"
+            >
+              Yes, clear
+            </button>
+            <button onClick={() => setConfirming(false)} className="underline">
+              Cancel
+            </button>
+          </span>
+        ) : (
+          <button
+            onClick={() => setConfirming(true)}
+            className="text-sm underline opacity-75 hover:opacity-100"
+          >
+            Clear leaderboard & stats
+          </button>
+        )}
+        <button
+          onClick={onClose}
+          className="bg-yellow-500 hover:bg-yellow-600 text-black px-4 py-2 rounded-lg font-bold transition-colors"
+        >
+          Done
+        </button>
+      </div>
+    </div>
+  );
+}
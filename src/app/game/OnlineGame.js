@@ -0,0 +1,377 @@
+"use client";
+// Client component: uses state, the game loop, the input layer and a WebSocket.
+
+import { useState, useRef, useEffect } from "react";
+import { Check, LogIn, X } from "lucide-react";
+
+import { ScoreBoard, Overlay } from "./GameObjects";
+import { Scene } from "./Scene";
+import { Viewport } from "./Viewport";
+import { createGame, step, FIXED_DT } from "./engine";
+import { DIFFICULTIES, difficultyConfig } from "./difficulty";
+import { useGameLoop } from "./useGameLoop";
+import { useGameInput } from "./useGameInput";
+import { useMultiplayer } from "./useMultiplayer";
+import { interpolateBird } from "./netGhosts";
+import {
+  MIN_PLAYERS,
+  COUNTDOWN_SECONDS,
+  STATE_EVERY_FRAMES,
+  MAX_NAME_LENGTH,
+  MAX_ROOM_LENGTH,
+  cleanRoomCode,
+} from "./netProtocol.mjs";
+import { keyLabel } from "./settings";
+
+// A short random room code to share with friends
+function randomRoomCode() {
+  return Math.random().toString(36).slice(2, 6);
+}
+
+// The course every player in the room flies
+function raceGame(race) {
+  return createGame(difficultyConfig(race.difficulty), race.seed);
+}
+
+// Medal-ish colors for the first three places
+const PLACE_COLORS = ["text-yellow-300", "text-gray-200", "text-orange-300"];
+
+// ==================================================================
+// ONLINE GAME COMPONENT
+// ==================================================================
+/*
+  WHAT IS THIS COMPONENT?
+  -----------------------
+  Online multiplayer: every player flies their own bird on their own
+  screen, and sees the other players' birds as see-through ghosts.
+
+  Players join a room with a code (see server.mjs, run with npm run
+  multiplayer). In the lobby everyone marks themselves ready; once all
+  are, the server hands out one seed and counts down, and all birds take
+  off together. Everybody's game runs locally on the same course (same
+  difficulty and seed), only the bird positions travel over the network,
+  so a slow connection never makes the pipes stutter. The race is over
+  when every bird has crashed, then the placements are shown.
+
+  Online races are just for fun: they are not recorded as replays and
+  don't count for the leaderboards.
+
+  PROPS
+  -----
+    - difficulty → difficulty for a new room (the room's creator decides)
+    - playerName → name to show to the others
+    - settings → player settings (renderer, reduced motion, key bindings)
+    - theme → theme object
+    - audio → the game's audio system (see useGameAudio.js)
+    - onExit → called to go back to the normal game
+*/
+export default function OnlineGame({ difficulty, playerName, settings, theme, audio, onExit }) {
+  const net = useMultiplayer();
+  const { race, results, room } = net;
+
+  const [roomCode, setRoomCode] = useState(randomRoomCode);
+  const [name, setName] = useState(playerName || "Player");
+
+  const [game, setGame] = useState(() => createGame(difficultyConfig(difficulty), 0));
+  const gameRef = useRef(game);
+  // The live engine state of my bird (like gameRef in FlappyGame)
+
+  const jumpQueued = useRef(false);
+  const [now, setNow] = useState(0);
+  // performance.now() of the last frame: drives the countdown and the
+  // other players' birds, which keep flying after mine has crashed
+
+  const surfaceRef = useRef(null);
+
+  const me = room?.players.find((p) => p.id === net.id);
+  const countdown = race ? Math.min(COUNTDOWN_SECONDS, Math.ceil((race.startsAt - now) / 1000)) : 0;
+  const flying = Boolean(race) && !results && game.status !== "over";
+
+  // A new race → a fresh bird on the race's course
+  useEffect(() => {
+    if (!race) return;
+    gameRef.current = raceGame(race);
+    jumpQueued.current = false;
+    setGame(gameRef.current);
+  }, [race]);
+
+  const exit = () => {
+    net.leave();
+    onExit();
+  };
+
+  // ==================================================================
+  // INPUT
+  // ==================================================================
+  const handleAction = (action) => {
+    switch (action) {
+      case "jump":
+        if (flying && gameRef.current.status === "playing") {
+          audio.unlock();
+          jumpQueued.current = true;
+        }
+        break;
+      case "back":
+        if (!flying) exit(); // no accidental exits mid-race
+        break;
+    }
+  };
+
+  useGameInput({ settings, onAction: handleAction, surfaceRef });
+
+  // ==================================================================
+  // GAME LOOP
+  // ==================================================================
+  useGameLoop({
+    running: Boolean(race) && !results,
+
+    onStep: (dt) => {
+      const before = gameRef.current;
+      if (performance.now() < race.startsAt || before.status === "over") return;
+
+      // The countdown ends with everyone's first flap
+      const jump = before.status === "ready" || jumpQueued.current;
+      jumpQueued.current = false;
+
+      const { state, events } = step(before, { jump }, dt);
+      gameRef.current = state;
+
+      for (const event of events) {
+        if (event.type === "collision") net.sendCrash({ frame: state.frame, score: state.score });
+        audio.handleEvent(event);
+      }
+
+      // Tell the others where my bird is, a few times a second
+      if (state.status === "playing" && state.frame % STATE_EVERY_FRAMES === 0) {
+        const { frame, score, bird } = state;
+        net.sendState({ frame, y: bird.y, velocity: bird.velocity, score });
+      }
+    },
+
+    onFrame: () => {
+      if (gameRef.current !== game) setGame(gameRef.current);
+      setNow(performance.now());
+    },
+  });
+
+  // ==================================================================
+  // THE OTHER PLAYERS
+  // ==================================================================
+  // Race frame right now, on the same clock as everybody's engine frames
+  const raceFrame = race ? Math.max(0, (now - race.startsAt) / (FIXED_DT * 1000)) : 0;
+
+  const others = (room?.players ?? [])
+    .filter((p) => p.id !== net.id)
+    .map((player) => {
+      const buffer = net.snapshots.current.get(player.id);
+      const position = player.status === "racing" ? interpolateBird(buffer, raceFrame) : null;
+      const score = Math.max(player.score, buffer?.[buffer.length - 1]?.score ?? 0);
+      return {
+        ...player,
+        score,
+        bird: position && { x: game.config.birdX, y: position.y, velocity: position.velocity },
+      };
+    });
+  const ghosts = race && !results ? others.filter((p) => p.bird).map((p) => p.bird) : [];
+
+  // Live standings during the race: me and everyone else by score
+  const standings = me
+    ? [
+        { ...me, score: game.score, crashed: game.status === "over" },
+        ...others.map((p) => ({ ...p, crashed: p.status === "crashed" })),
+      ].sort((a, b) => b.score - a.score)
+    : [];
+
+  // ==================================================================
+  // RENDER
+  // ==================================================================
+  const { width, height } = game.config;
+
+  return (
+    <Viewport
+      width={width}
+      height={height}
+      theme={theme}
+      surfaceRef={surfaceRef}
+      world={(pixelRatio) => (
+        <Scene
+          renderer={settings.renderer}
+          state={game}
+          ghosts={ghosts}
+          theme={theme}
+          pixelRatio={pixelRatio}
+          reducedMotion={settings.reducedMotion}
+        />
+      )}
+      hud={
+        race &&
+        !results && (
+          <>
+            <ScoreBoard score={game.score} player={me?.name} />
+
+            {/* Names above the other players' birds */}
+            {others
+              .filter((p) => p.bird)
+              .map((p) => (
+                <div
+                  key={p.id}
+                  className="absolute -translate-x-1/2 -translate-y-full text-xs text-white bg-black bg-opacity-40 px-1 rounded whitespace-nowrap"
+                  style={{ left: `${(p.bird.x / width) * 100}%`, top: `${((p.bird.y - 20) / height) * 100}%` }}
+                >
+                  {p.name}
+                </div>
+              ))}
+
+            {/* Live standings */}
+            <ol className="absolute top-4 right-4 text-white text-sm bg-black bg-opacity-50 px-3 py-2 rounded">
+              {standings.map((p) => (
+                <li key={p.id} className={`flex justify-between gap-4 ${p.crashed ? "opacity-50 line-through" : ""}`}>
+                  <span className={p.id === net.id ? "font-bold" : ""}>{p.name}</span>
+                  <span>{p.score}</span>
+                </li>
+              ))}
+            </ol>
+
+            {/* Countdown */}
+            {countdown > 0 && (
+              <div className="absolute inset-0 flex items-center justify-center text-white text-7xl font-bold">
+                {countdown}
+              </div>
+            )}
+
+            {/* Crashed: watch the others finish */}
+            {game.status === "over" && (
+              <div className="absolute inset-x-0 bottom-8 text-center text-white text-xl font-bold">
+                Crashed! Waiting for the others…
+              </div>
+            )}
+          </>
+        )
+      }
+    >
+      {/* Join a room */}
+      {!race && net.status !== "connected" && (
+        <Overlay type="start">
+          <h1 className="text-4xl font-bold mb-2">Online</h1>
+          <p className="text-sm mb-6 opacity-75">Share the room code with your friends to race them.</p>
+          <form
+            data-ui
+            className="flex flex-col gap-3 w-64"
+            onSubmit={(e) => {
+              e.preventDefault();
+              net.join(cleanRoomCode(roomCode), name, difficulty);
+            }}
+          >
+            <label className="flex flex-col gap-1 text-sm">
+              Name
+              <input
+                type="text"
+                value={name}
+                maxLength={MAX_NAME_LENGTH}
+                onChange={(e) => setName(e.target.value)}
+                className="bg-black bg-opacity-50 rounded px-2 py-1 text-base"
+              />
+            </label>
+            <label className="flex flex-col gap-1 text-sm">
+              Room code
+              <input
+                type="text"
+                value={roomCode}
+                maxLength={MAX_ROOM_LENGTH}
+                onChange={(e) => setRoomCode(cleanRoomCode(e.target.value))}
+                className="bg-black bg-opacity-50 rounded px-2 py-1 text-base"
+              />
+            </label>
+            <button
+              type="submit"
+              disabled={net.status === "connecting" || !roomCode}
+              className="flex items-center justify-center gap-2 bg-yellow-500 hover:bg-yellow-600 disabled:opacity-50 text-black px-6 py-3 rounded-lg font-bold transition-colors"
+            >
+              <LogIn className="w-5 h-5" />
+              {net.status === "connecting" ? "Connecting…" : "Join"}
+            </button>
+          </form>
+          {net.error && <p className="text-sm text-red-300 mt-3">{net.error}</p>}
+          <button
+            onClick={exit}
+            className="flex items-center gap-2 mt-6 bg-black bg-opacity-50 hover:bg-opacity-75 px-4 py-2 rounded-lg text-sm"
+          >
+            <X className="w-4 h-4" />
+            Back
+          </button>
+        </Overlay>
+      )}
+
+      {/* Lobby: who is here and who is ready */}
+      {!race && net.status === "connected" && (
+        <Overlay type="start">
+          <h1 className="text-4xl font-bold mb-2">Room {room?.code}</h1>
+          {room && (
+            <p className="text-sm mb-6 opacity-75">
+              {DIFFICULTIES[room.difficulty]?.label ?? room.difficulty} · the race starts when everyone is ready
+            </p>
+          )}
+          <ul data-ui className="flex flex-col gap-2 w-64 mb-6">
+            {(room?.players ?? []).map((p) => (
+              <li key={p.id} className="flex items-center justify-between bg-black bg-opacity-50 rounded px-3 py-2">
+                <span className={p.id === net.id ? "font-bold" : ""}>{p.name}</span>
+                <span className={p.ready ? "text-green-300" : "opacity-50"}>{p.ready ? "Ready" : "Not ready"}</span>
+              </li>
+            ))}
+          </ul>
+          {room && room.players.length < MIN_PLAYERS && <p className="text-sm mb-4 opacity-75">Waiting for another player…</p>}
+          {net.error && <p className="text-sm text-red-300 mb-4">{net.error}</p>}
+          <div className="flex gap-3">
+            <button
+              onClick={() => net.setReady(!me?.ready)}
+              className="flex items-center gap-2 bg-yellow-500 hover:bg-yellow-600 text-black px-6 py-3 rounded-lg font-bold transition-colors"
+            >
+              <Check className="w-5 h-5" />
+              {me?.ready ? "Not ready" : "Ready"}
+            </button>
+            <button
+              onClick={exit}
+              className="flex items-center gap-2 bg-white hover:bg-gray-200 text-black px-6 py-3 rounded-lg font-bold transition-colors"
+            >
+              <X className="w-5 h-5" />
+              Leave
+            </button>
+          </div>
+          <p className="text-sm mt-6 opacity-75">Flap with {keyLabel(settings.keys.jump)}, a click or a tap</p>
+        </Overlay>
+      )}
+
+      {/* Results */}
+      {results && (
+        <Overlay type="gameover">
+          <h2 className="text-3xl font-bold mb-6">Results</h2>
+          <ol data-ui className="flex flex-col gap-2 w-72 mb-6">
+            {results.map((p) => (
+              <li key={p.id} className="flex items-center gap-3 bg-black bg-opacity-50 rounded px-3 py-2">
+                <span className={`w-6 font-bold ${PLACE_COLORS[p.place - 1] ?? ""}`}>{p.place}.</span>
+                <span className={`flex-1 ${p.id === net.id ? "font-bold" : ""}`}>{p.name}</span>
+                <span>{p.score}</span>
+              </li>
+            ))}
+          </ol>
+          <div className="flex gap-3">
+            <button
+              onClick={net.backToLobby}
+              className="flex items-center gap-2 bg-yellow-500 hover:bg-yellow-600 text-black px-6 py-3 rounded-lg font-bold transition-colors"
+            >
+              <Check className="w-5 h-5" />
+              Back to the lobby
+            </button>
+            <button
+              onClick={exit}
+              className="flex items-center gap-2 bg-white hover:bg-gray-200 text-black px-6 py-3 rounded-lg font-bold transition-colors"
+            >
+              <X className="w-5 h-5" />
+              Leave
+            </button>
+          </div>
+        </Overlay>
+      )}
+    </Viewport>
+  );
+}
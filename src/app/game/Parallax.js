@@ -0,0 +1,88 @@
+"use client";
+// Client component: plain divs with scrolling background images.
+
+const GROUND_TILE_WIDTH = 48; // width of ground.svg
+
+// Keep offsets small: background-position only needs the offset within
+// one tile, and huge numbers would lose precision on very long runs.
+function tileOffset(distance, tileWidth) {
+  return -(distance % tileWidth);
+}
+
+// ==================================================================
+// ParallaxBackground Component
+// ==================================================================
+/*
+  WHAT IS THIS COMPONENT?
+  -----------------------
+  The layers behind the pipes (sky, clouds, city …, see themes.js). Each
+  layer scrolls at its own fraction of the world speed, so far away
+  things move slower than near ones and the scene looks deep.
+
+  PROPS
+  -----
+    - theme → theme object with the layers
+    - distance → how far the world has scrolled (state.distance); it only
+      grows while playing, so the layers stop when the game is over
+    - width, height → world size
+    - floor → y of the ground line; the layers stand on it
+    - still → true to freeze the layers (reduced motion); the ground
+      keeps scrolling because it shows how fast the bird is going
+*/
+export function ParallaxBackground({ theme, distance, width, height, floor, still }) {
+  return (
+    <>
+      {theme.background.map((layer) => (
+        <div
+          key={layer.image}
+          className="absolute top-0 left-0"
+          style={{
+            width,
+            height: floor,
+            backgroundImage: `url('${layer.image}')`,
+            backgroundRepeat: "repeat-x",
+            backgroundSize: `${width}px ${height}px`,
+            backgroundPositionX: still ? 0 : tileOffset(distance * layer.speed, width),
+            backgroundPositionY: "bottom", // stand on the ground
+            imageRendering: theme.pixelArt ? "pixelated" : undefined,
+          }}
+        />
+      ))}
+    </>
+  );
+}
+
+// ==================================================================
+// Ground Component
+// ==================================================================
+/*
+  WHAT IS THIS COMPONENT?
+  -----------------------
+  The ground strip below the floor line. Its top edge is exactly where
+  the bird crashes (see floorY() in engine.js), and it scrolls at the
+  same speed as the pipes.
+
+  PROPS
+  -----
+    - theme → theme object with the ground texture
+    - distance → how far the world has scrolled (state.distance)
+    - width, height → world size
+    - floor → y of the ground line
+*/
+export function Ground({ theme, distance, width, height, floor }) {
+  return (
+    <div
+      className="absolute left-0"
+      style={{
+        top: floor,
+        width,
+        height: height - floor,
+        backgroundImage: `url('${theme.ground}')`,
+        backgroundRepeat: "repeat-x",
+        backgroundSize: `${GROUND_TILE_WIDTH}px 100%`,
+        backgroundPositionX: tileOffset(distance, GROUND_TILE_WIDTH),
+        imageRendering: theme.pixelArt ? "pixelated" : undefined,
+      }}
+    />
+  );
+}
@@ -0,0 +1,156 @@
+"use client";
+// Client component: uses state, effects and the animation loop.
+
+import { useState, useMemo, useRef } from "react";
+import { Play, Pause, X, Download } from "lucide-react";
+
+import { ScoreBoard } from "./GameObjects";
+import { Scene } from "./Scene";
+import { Viewport } from "./Viewport";
+import { startReplay, advanceReplay, simulateReplay } from "./replay";
+import { exportReplay } from "./replayStorage";
+import { formatSeed } from "./random";
+import { FIXED_DT } from "./engine";
+import { useGameLoop } from "./useGameLoop";
+import { DIFFICULTIES } from "./difficulty";
+
+const SPEEDS = [0.5, 1, 2, 4]; // playback speed multipliers
+
+// ==================================================================
+// REPLAY VIEWER COMPONENT
+// ==================================================================
+/*
+  WHAT IS THIS COMPONENT?
+  -----------------------
+  Plays back a recorded run using the same Bird / Pipe / ScoreBoard
+  components as the real game. The engine re-simulates the run from the
+  seed and the recorded jump frames, so what you see is exactly what the
+  player saw.
+
+  Controls: play/pause, speed (0.5x–4x), a scrub bar and JSON export.
+
+  PROPS
+  -----
+    - replay → replay object (see replay.js)
+    - renderer → "canvas" or "dom", same as the game
+    - theme → theme object, same as the game
+    - reducedMotion → freeze the background layers, same as the game
+    - highScore → shown on the scoreboard like in the real game
+    - onClose → called when the viewer should be closed
+*/
+export default function ReplayViewer({ replay, renderer, theme, reducedMotion, highScore, onClose }) {
+  const jumpFrames = useMemo(() => new Set(replay.jumps), [replay]);
+
+  const [state, setState] = useState(() => startReplay(replay));
+  const stateRef = useRef(state);
+
+  const [playing, setPlaying] = useState(true);
+  const [speed, setSpeed] = useState(1);
+
+  const finished = state.status !== "playing";
+
+  // -------------------------------
+  // PLAYBACK LOOP
+  // -------------------------------
+  // Faster playback = smaller real-time step, the engine step stays FIXED_DT.
+  useGameLoop({
+    running: playing && !finished,
+    stepSeconds: FIXED_DT / speed,
+    onStep: () => {
+      stateRef.current = advanceReplay(stateRef.current, jumpFrames).state;
+    },
+    onFrame: () => {
+      if (stateRef.current !== state) setState(stateRef.current);
+    },
+  });
+
+  // -------------------------------
+  // CONTROLS
+  // -------------------------------
+  const seek = (frame) => {
+    stateRef.current = simulateReplay(replay, frame);
+    setState(stateRef.current);
+  };
+
+  const togglePlay = () => {
+    if (finished) {
+      seek(0); // pressing play at the end starts over
+      setPlaying(true);
+      return;
+    }
+    setPlaying((p) => !p);
+  };
+
+  return (
+    // Replays keep the world size they were recorded with
+    <Viewport
+      width={replay.config.width}
+      height={replay.config.height}
+      theme={theme}
+      world={(pixelRatio) => (
+        <Scene
+          renderer={renderer}
+          state={state}
+          theme={theme}
+          pixelRatio={pixelRatio}
+          reducedMotion={reducedMotion}
+        />
+      )}
+      hud={
+        <>
+          <ScoreBoard
+            score={state.score}
+            highScore={highScore}
+            difficulty={DIFFICULTIES[replay.difficulty]?.label}
+            powerUps={state.powerUps}
+          />
+
+          {/* Replay badge */}
+          <div className="absolute top-16 left-4 text-white text-sm font-bold bg-red-600 px-2 py-1 rounded">
+            REPLAY · seed {formatSeed(replay.seed)} · {replay.score} pts
+          </div>
+        </>
+      }
+    >
+
+      {/* Control bar */}
+      <div className="absolute bottom-4 left-1/2 -translate-x-1/2 flex items-center gap-3 text-white bg-black bg-opacity-75 px-4 py-2 rounded-lg">
+        <button onClick={togglePlay} aria-label={playing && !finished ? "Pause" : "Play"}>
+          {playing && !finished ? <Pause className="w-5 h-5" /> : <Play className="w-5 h-5" />}
+        </button>
+
+        <input
+          type="range"
+          min={0}
+          max={replay.frames}
+          value={state.frame}
+          onChange={(e) => seek(Number(e.target.value))}
+          className="w-64"
+          aria-label="Scrub replay"
+        />
+
+        <span className="text-sm tabular-nums w-16">
+          {(state.frame * FIXED_DT).toFixed(1)}s
+        </span>
+
+        {SPEEDS.map((s) => (
+          <button
+            key={s}
+            onClick={() => setSpeed(s)}
+            className={`text-sm px-2 rounded ${s === speed ? "bg-yellow-500 text-black" : ""}`}
+          >
+            {s}x
+          </button>
+        ))}
+
+        <button onClick={() => exportReplay(replay)} aria-label="Export replay">
+          <Download className="w-5 h-5" />
+        </button>
+
+        <button onClick={onClose} aria-label="Close replay">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+    </Viewport>
+  );
+}
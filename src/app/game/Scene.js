@@ -0,0 +1,98 @@
+"use client";
+// Client component: picks how the playfield is drawn.
+
+import { Bird, Pipe, Collectible, FinishLine } from "./GameObjects";
+import { CanvasRenderer } from "./CanvasRenderer";
+import { ParallaxBackground, Ground } from "./Parallax";
+import { floorY } from "./engine";
+
+// ==================================================================
+// Available renderers
+// ==================================================================
+//   canvas → one <canvas>, fast (default)
+//   dom    → absolutely positioned divs, easy to inspect in dev tools
+export const RENDERERS = {
+  canvas: { id: "canvas", label: "Canvas" },
+  dom: { id: "dom", label: "DOM (debug)" },
+};
+
+export const DEFAULT_RENDERER = "canvas";
+
+// ==================================================================
+// Scene Component
+// ==================================================================
+/*
+  WHAT IS THIS COMPONENT?
+  -----------------------
+  Draws the whole world: the parallax background, the moving parts of
+  the game (bird, pipes, coins & power-ups) with the chosen renderer, and the ground in
+  front. The game and the replay viewer both render through this, so
+  switching renderers affects everything at once.
+
+  state         → the engine state to draw (bird, pipes, config, time,
+                  distance, and a hand-made course's finish line)
+  ghosts        → extra birds drawn see-through (the ghost of your best
+                  run, other players online)
+  theme         → theme object with the sprites to draw (see themes.js)
+  pixelRatio    → device pixels per world pixel (only the canvas needs it)
+  reducedMotion → freeze the background layers
+*/
+export function Scene({ renderer, state, ghosts = [], theme, pixelRatio, reducedMotion }) {
+  const { bird, pipes, config, time, distance } = state;
+  const finishX = state.course?.finishX ?? null;
+  const { width, height } = config;
+  const floor = floorY(config);
+
+  return (
+    <>
+      <ParallaxBackground
+        theme={theme}
+        distance={distance}
+        width={width}
+        height={height}
+        floor={floor}
+        still={reducedMotion}
+      />
+
+      {renderer === "dom" ? (
+        <>
+          {/* Ghost birds (behind the real one) */}
+          {ghosts.map((ghost, i) => (
+            <Bird key={i} bird={ghost} theme={theme} time={time} ghost />
+          ))}
+
+          {/* Bird */}
+          <Bird bird={bird} theme={theme} time={time} />
+
+          {/* Pipes */}
+          {pipes.map((pipe) => (
+            <Pipe key={pipe.id} pipe={pipe} floor={floor} theme={theme} />
+          ))}
+
+          {/* Coins & power-ups */}
+          {pipes.map((pipe) => (
+            <Collectible key={pipe.id} pipe={pipe} floor={floor} />
+          ))}
+
+          {/* Finish line (hand-made courses) */}
+          {finishX !== null && <FinishLine x={finishX} floor={floor} />}
+        </>
+      ) : (
+        <CanvasRenderer
+          bird={bird}
+          ghosts={ghosts}
+          pipes={pipes}
+          finishX={finishX}
+          width={width}
+          height={height}
+          floor={floor}
+          theme={theme}
+          time={time}
+          pixelRatio={pixelRatio}
+        />
+      )}
+
+      <Ground theme={theme} distance={distance} width={width} height={height} floor={floor} />
+    </>
+  );
+}
@@ -0,0 +1,273 @@
+"use client";
+// Client component: listens to the keyboard / gamepad while rebinding.
+
+import { useEffect, useState } from "react";
+
+import { ModeSelect } from "./GameObjects";
+import { gamepadButtonLabel, pressedGamepadButtons } from "./input";
+import { RENDERERS } from "./Scene";
+import { THEMES, PALETTES } from "./themes";
+import { GAME_SPEEDS, CONTROL_SCHEMES } from "./assists";
+import { DEFAULT_SETTINGS, KEY_ACTIONS, keyLabel } from "./settings";
+
+// Volume sliders: settings field → label
+const VOLUMES = [
+  { key: "volume", label: "Master volume" },
+  { key: "sfxVolume", label: "Sound effects" },
+  { key: "musicVolume", label: "Music" },
+];
+
+// ModeSelect wants { id, label }
+const SPEED_TABS = GAME_SPEEDS.map(({ value, label }) => ({ id: value, label }));
+
+// ==================================================================
+// SettingsMenu Component
+// ==================================================================
+/*
+  WHAT IS THIS COMPONENT?
+  -----------------------
+  The settings panel shown inside an Overlay (from the start screen or the
+  pause menu): audio, reduced motion, accessibility assists (palette, game
+  speed, one-switch controls, see assists.js), theme, renderer, key and
+  gamepad bindings.
+
+  PROPS
+  -----
+    - settings → current settings object (see settings.js)
+    - onChange → called with the complete new settings object
+    - onClose → called when the player is done
+    - onRebinding → called with true/false while waiting for a new
+      binding, so the game can ignore that press
+
+  The panel is marked data-ui, so clicks anywhere on it never reach the
+  playfield (which would make the bird jump).
+*/
+export function SettingsMenu({ settings, onChange, onClose, onRebinding }) {
+  const [listening, setListening] = useState(null);
+  // What is waiting for a new binding, e.g. { device: "keys", action: "jump" }, or null
+
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  useEffect(() => {
+    onRebinding?.(listening !== null);
+    return () => onRebinding?.(false); // also when the menu closes mid-rebind
+  }, [listening, onRebinding]);
+
+  // -------------------------------
+  // KEY REBINDING
+  // -------------------------------
+  // Listen in the capture phase so the key is swallowed before the game's
+  // own keyboard handler can react to it.
+  useEffect(() => {
+    if (!listening) return;
+
+    const handleKey = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+
+      if (e.code !== "Escape") {
+        const { device, action } = listening;
+        if (device === "keys") {
+          onChange({ ...settings, keys: { ...settings.keys, [action]: e.code } });
+        } else if (e.code === "Backspace" || e.code === "Delete") {
+          onChange({ ...settings, gamepad: { ...settings.gamepad, [action]: null } });
+        }
+      }
+      setListening(null); // Escape just cancels
+    };
+
+    window.addEventListener("keydown", handleKey, true);
+    return () => window.removeEventListener("keydown", handleKey, true);
+  }, [listening, settings, onChange]);
+
+  // -------------------------------
+  // GAMEPAD REBINDING
+  // -------------------------------
+  // Poll until a button goes down that wasn't already held when listening
+  // started, and bind it.
+  useEffect(() => {
+    if (listening?.device !== "gamepad") return;
+
+    let frameId;
+    const held = pressedGamepadButtons();
+
+    const poll = () => {
+      const pressed = pressedGamepadButtons();
+      const button = [...pressed].find((index) => !held.has(index));
+      if (button !== undefined) {
+        onChange({ ...settings, gamepad: { ...settings.gamepad, [listening.action]: button } });
+        setListening(null);
+        return;
+      }
+      frameId = requestAnimationFrame(poll);
+    };
+
+    frameId = requestAnimationFrame(poll);
+    return () => cancelAnimationFrame(frameId);
+  }, [listening, settings, onChange]);
+
+  const isListening = (device, action) =>
+    listening?.device === device && listening?.action === action;
+
+  return (
+    <div data-ui className="bg-black bg-opacity-75 rounded-lg p-6 w-80 max-h-[90vh] overflow-y-auto text-left">
+      <h2 className="text-2xl font-bold mb-4 text-center">Settings</h2>
+
+      {/* Audio */}
+      {VOLUMES.map(({ key, label }) => (
+        <label key={key} className="block mb-3">
+          <span className="text-sm">{label}: {Math.round(settings[key] * 100)}%</span>
+          <input
+            type="range"
+            min={0}
+            max={100}
+            value={Math.round(settings[key] * 100)}
+            onChange={(e) => update({ [key]: Number(e.target.value) / 100 })}
+            className="w-full"
+            disabled={settings.muted}
+          />
+        </label>
+      ))}
+
+      <div className="flex gap-4 mb-4 text-sm">
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={settings.muted}
+            onChange={(e) => update({ muted: e.target.checked })}
+          />
+          Mute
+        </label>
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={settings.music}
+            onChange={(e) => update({ music: e.target.checked })}
+          />
+          Background music
+        </label>
+      </div>
+
+      {/* Reduced motion */}
+      <label className="flex items-center gap-2 mb-4 text-sm cursor-pointer">
+        <input
+          type="checkbox"
+          checked={settings.reducedMotion}
+          onChange={(e) => update({ reducedMotion: e.target.checked })}
+        />
+        Reduced motion
+      </label>
+
+      {/* Accessibility */}
+      <p className="text-sm mb-2">Bird & pipe colors</p>
+      <div className="text-sm">
+        <ModeSelect
+          modes={Object.values(PALETTES)}
+          mode={settings.palette}
+          onChange={(palette) => update({ palette })}
+          label="Bird and pipe colors"
+        />
+      </div>
+
+      <p className="text-sm mb-2">Game speed</p>
+      <div className="text-sm">
+        <ModeSelect
+          modes={SPEED_TABS}
+          mode={settings.gameSpeed}
+          onChange={(gameSpeed) => update({ gameSpeed })}
+          label="Game speed"
+        />
+      </div>
+
+      <p className="text-sm mb-2">Flapping</p>
+      <div className="text-sm">
+        <ModeSelect
+          modes={Object.values(CONTROL_SCHEMES)}
+          mode={settings.controls}
+          onChange={(controls) => update({ controls })}
+          label="Flapping"
+        />
+      </div>
+      <p className="text-xs opacity-75 mb-4">
+        Slower speeds and one-switch runs aren&apos;t sent to the shared
+        leaderboard. One switch: hold the flap button and the bird hovers at
+        that height, let go to drop.
+      </p>
+
+      {/* Theme */}
+      <p className="text-sm mb-2">Theme</p>
+      <div className="text-sm">
+        <ModeSelect
+          modes={Object.values(THEMES)}
+          mode={settings.theme}
+          onChange={(theme) => update({ theme })}
+          label="Theme"
+        />
+      </div>
+
+      {/* Renderer */}
+      <p className="text-sm mb-2">Renderer</p>
+      <div className="text-sm">
+        <ModeSelect
+          modes={Object.values(RENDERERS)}
+          mode={settings.renderer}
+          onChange={(renderer) => update({ renderer })}
+          label="Renderer"
+        />
+      </div>
+
+      {/* Key & gamepad bindings */}
+      <p className="text-sm mb-2">Controls</p>
+      <ul className="mb-2 space-y-1">
+        <li className="flex justify-end gap-2 text-xs opacity-75">
+          <span className="w-24 text-center">Keyboard</span>
+          <span className="w-24 text-center">Gamepad</span>
+        </li>
+        {Object.entries(KEY_ACTIONS).map(([action, label]) => (
+          <li key={action} className="flex items-center justify-between gap-2 text-sm">
+            <span className="flex-1">{label}</span>
+            <button
+              onClick={() => setListening({ device: "keys", action })}
+              className="w-24 px-2 py-1 rounded bg-white bg-opacity-20 hover:bg-opacity-30 font-mono"
+            >
+              {isListening("keys", action) ? "Press a key…" : keyLabel(settings.keys[action])}
+            </button>
+            <button
+              onClick={() => setListening({ device: "gamepad", action })}
+              className="w-24 px-2 py-1 rounded bg-white bg-opacity-20 hover:bg-opacity-30 font-mono"
+            >
+              {isListening("gamepad", action)
+                ? "Press…"
+                : gamepadButtonLabel(settings.gamepad[action])}
+            </button>
+          </li>
+        ))}
+      </ul>
+      <p className="text-xs opacity-75 mb-6">
+        Tap or click the playfield to flap. Esc cancels a rebind, Backspace
+        unbinds a gamepad button.
+      </p>
+
+      <div className="flex justify-between">
+        <button
+          onClick={() =>
+            onChange({
+              ...DEFAULT_SETTINGS,
+              keys: { ...DEFAULT_SETTINGS.keys },
+              gamepad: { ...DEFAULT_SETTINGS.gamepad },
+            })
+          }
+          className="text-sm underline opacity-75 hover:opacity-100"
+        >
+          Reset to defaults
+        </button>
+        <button
+          onClick={onClose}
+          className="bg-yellow-500 hover:bg-yellow-600 text-black px-4 py-2 rounded-lg font-bold transition-colors"
+        >
+          Done
+        </button>
+      </div>
+    </div>
+  );
+}
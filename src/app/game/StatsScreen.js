@@ -0,0 +1,298 @@
+"use client";
+// Client component: reads the run log from localStorage and draws the charts.
+
+import { useState, useEffect } from "react";
+import Link from "next/link";
+import { Download, ArrowLeft } from "lucide-react";
+
+import { ModeSelect } from "./GameObjects";
+import { DIFFICULTIES } from "./difficulty";
+import { GAME_MODES } from "./modes";
+import {
+  DEATH_CAUSES,
+  HEATMAP,
+  setupLabel,
+  summarizeTelemetry,
+  deathHeatmap,
+  scoreHistogram,
+  dailyTrends,
+} from "./telemetry";
+import { loadTelemetry, clearTelemetry, exportTelemetry } from "./telemetryStorage";
+
+const ALL = "all";
+const DIFFICULTY_TABS = [{ id: ALL, label: "All" }, ...Object.values(DIFFICULTIES).map(({ id, label }) => ({ id, label }))];
+const MODE_TABS = [{ id: ALL, label: "All modes" }, ...Object.values(GAME_MODES).map(({ id, label }) => ({ id, label }))];
+
+const HEAT_CELL = 12;   // px per heatmap cell
+const CHART_WIDTH = 400;
+const CHART_HEIGHT = 120;
+const TRENDS_SHOWN = 30; // days in the trends chart
+
+// ==================================================================
+// DeathHeatmap Component (deaths around a normalized pipe)
+// ==================================================================
+function DeathHeatmap({ records }) {
+  const { minX, maxX, minY, maxY, columns, rows } = HEATMAP;
+  const { cells, max } = deathHeatmap(records);
+  const width = columns * HEAT_CELL;
+  const height = rows * HEAT_CELL;
+  const toX = (x) => ((x - minX) / (maxX - minX)) * width;
+  const toY = (y) => ((y - minY) / (maxY - minY)) * height;
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full max-w-sm bg-black bg-opacity-50 rounded">
+      {/* The pipe: top part above the gap, bottom part below it */}
+      <rect x={toX(0)} y={0} width={toX(1) - toX(0)} height={toY(-0.5)} fill="#16a34a" opacity="0.5" />
+      <rect x={toX(0)} y={toY(0.5)} width={toX(1) - toX(0)} height={height - toY(0.5)} fill="#16a34a" opacity="0.5" />
+
+      {cells.map((count, i) =>
+        count ? (
+          <rect
+            key={i}
+            x={(i % columns) * HEAT_CELL}
+            y={Math.floor(i / columns) * HEAT_CELL}
+            width={HEAT_CELL}
+            height={HEAT_CELL}
+            fill="#ef4444"
+            opacity={0.15 + (0.85 * count) / max}
+          >
+            <title>{count} deaths</title>
+          </rect>
+        ) : null
+      )}
+    </svg>
+  );
+}
+
+// ==================================================================
+// ScoreHistogram Component (runs per score range)
+// ==================================================================
+function ScoreHistogram({ records }) {
+  const bins = scoreHistogram(records);
+  if (!bins.length) return null;
+
+  const top = Math.max(...bins.map((b) => b.count));
+  const barWidth = CHART_WIDTH / bins.length;
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-32 bg-black bg-opacity-50 rounded">
+      {bins.map((bin, i) => {
+        const barHeight = (bin.count / top) * CHART_HEIGHT;
+        return (
+          <rect
+            key={bin.from}
+            x={i * barWidth + 1}
+            y={CHART_HEIGHT - barHeight}
+            width={barWidth - 2}
+            height={barHeight}
+            fill="#eab308"
+          >
+            <title>
+              {bin.from === bin.to ? bin.from : `${bin.from}–${bin.to}`}: {bin.count} runs
+            </title>
+          </rect>
+        );
+      })}
+    </svg>
+  );
+}
+
+// ==================================================================
+// TrendsChart Component (average score per day)
+// ==================================================================
+function TrendsChart({ records }) {
+  const days = dailyTrends(records).slice(-TRENDS_SHOWN);
+  if (days.length < 2) return <p className="text-sm opacity-75">The chart appears after two days of play.</p>;
+
+  const top = Math.max(...days.map((d) => d.averageScore)) || 1;
+  const points = days
+    .map((d, i) => `${(i / (days.length - 1)) * CHART_WIDTH},${CHART_HEIGHT - (d.averageScore / top) * CHART_HEIGHT}`)
+    .join(" ");
+
+  return (
+    <>
+      <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-32 bg-black bg-opacity-50 rounded">
+        <polyline points={points} fill="none" stroke="#eab308" strokeWidth="2" />
+      </svg>
+      <p className="flex justify-between text-xs opacity-75 mt-1">
+        <span>{days[0].day}</span>
+        <span>{days[days.length - 1].day}</span>
+      </p>
+    </>
+  );
+}
+
+// ==================================================================
+// StatsScreen Component
+// ==================================================================
+/*
+  WHAT IS THIS COMPONENT?
+  -----------------------
+  The gameplay stats page (/stats), for balancing the game: every run the
+  main game logs (see telemetry.js) summed up, with a heatmap of where
+  birds die around a pipe, the score distribution and the average score
+  per day.
+
+  Runs can be narrowed down by difficulty, mode and "setup" (the physics
+  they were played with), so the numbers before and after a change of
+  PIPE_GAP or JUMP_FORCE can be compared. The log downloads as CSV or JSON
+  for a closer look elsewhere.
+*/
+export function StatsScreen() {
+  const [records, setRecords] = useState([]);
+  const [difficulty, setDifficulty] = useState(ALL);
+  const [mode, setMode] = useState(ALL);
+  const [setup, setSetup] = useState(ALL);
+  const [confirming, setConfirming] = useState(false);
+
+  useEffect(() => {
+    setRecords(loadTelemetry());
+  }, []);
+
+  const byFilters = records.filter(
+    (r) => (difficulty === ALL || r.difficulty === difficulty) && (mode === ALL || r.mode === mode)
+  );
+  const setups = [...new Set(byFilters.map(setupLabel))];
+  const shown = setup === ALL ? byFilters : byFilters.filter((r) => setupLabel(r) === setup);
+  const summary = summarizeTelemetry(shown);
+
+  return (
+    <main className="min-h-screen bg-gray-900 text-white p-6 flex flex-col items-center gap-6">
+      <div className="w-full max-w-4xl flex items-center justify-between">
+        <h1 className="text-3xl font-bold">Gameplay stats</h1>
+        <Link href="/" className="flex items-center gap-2 opacity-75 hover:opacity-100 text-sm">
+          <ArrowLeft className="w-4 h-4" />
+          Back to the game
+        </Link>
+      </div>
+
+      {/* Filters */}
+      <div className="w-full max-w-4xl flex flex-col items-center text-sm">
+        <ModeSelect modes={DIFFICULTY_TABS} mode={difficulty} onChange={setDifficulty} label="Difficulty" />
+        <ModeSelect modes={MODE_TABS} mode={mode} onChange={setMode} label="Mode" />
+        <label className="flex items-center gap-2">
+          Setup
+          <select
+            value={setups.includes(setup) ? setup : ALL}
+            onChange={(e) => setSetup(e.target.value)}
+            className="bg-black bg-opacity-50 rounded px-2 py-1"
+          >
+            <option value={ALL}>All setups</option>
+            {setups.map((label) => (
+              <option key={label} value={label}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {records.length === 0 ? (
+        <p className="opacity-75">No runs logged yet. Play a few games and come back.</p>
+      ) : (
+        <>
+          <div className="w-full max-w-4xl flex flex-wrap gap-6">
+            {/* Summary & causes of death */}
+            <section className="flex flex-col gap-4 w-72">
+              <dl className="grid grid-cols-2 gap-y-1 text-sm">
+                <dt className="opacity-75">Runs</dt>
+                <dd className="text-right tabular-nums">{summary.runs}</dd>
+                <dt className="opacity-75">Average score</dt>
+                <dd className="text-right tabular-nums">{summary.averageScore.toFixed(1)}</dd>
+                <dt className="opacity-75">Median score</dt>
+                <dd className="text-right tabular-nums">{summary.medianScore}</dd>
+                <dt className="opacity-75">Best score</dt>
+                <dd className="text-right tabular-nums">{summary.bestScore}</dd>
+                <dt className="opacity-75">Average run</dt>
+                <dd className="text-right tabular-nums">{summary.averageDuration.toFixed(1)}s</dd>
+                <dt className="opacity-75">Flaps per second</dt>
+                <dd className="text-right tabular-nums">{summary.averageFlapRate.toFixed(2)}</dd>
+              </dl>
+
+              <div>
+                <h2 className="text-lg font-bold mb-2">How runs end</h2>
+                <ul className="flex flex-col gap-1 text-sm">
+                  {Object.values(DEATH_CAUSES).map(({ id, label }) => {
+                    const share = summary.runs ? summary.causes[id] / summary.runs : 0;
+                    return (
+                      <li key={id} className="flex items-center gap-2">
+                        <span className="w-32 opacity-75">{label}</span>
+                        <div className="flex-1 h-2 bg-white bg-opacity-10 rounded">
+                          <div className="h-full bg-red-500 rounded" style={{ width: `${share * 100}%` }} />
+                        </div>
+                        <span className="w-10 text-right tabular-nums">{Math.round(share * 100)}%</span>
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+            </section>
+
+            {/* Death heatmap */}
+            <section className="flex-1 min-w-72">
+              <h2 className="text-lg font-bold mb-2">Where birds die</h2>
+              <DeathHeatmap records={shown} />
+              <p className="text-sm opacity-75 mt-2">
+                Around the pipe each bird crashed into (or was heading for), scaled so every pipe and gap has the
+                same size. Deaths further away are piled up on the border.
+              </p>
+            </section>
+          </div>
+
+          <section className="w-full max-w-4xl">
+            <h2 className="text-lg font-bold mb-2">Score distribution</h2>
+            <ScoreHistogram records={shown} />
+          </section>
+
+          <section className="w-full max-w-4xl">
+            <h2 className="text-lg font-bold mb-2">Average score per day</h2>
+            <TrendsChart records={shown} />
+          </section>
+        </>
+      )}
+
+      {/* Export & clear */}
+      <div className="w-full max-w-4xl flex flex-wrap items-center gap-2 text-sm">
+        <button
+          onClick={() => exportTelemetry(shown, "csv")}
+          disabled={!shown.length}
+          className="flex items-center gap-2 bg-black bg-opacity-50 hover:bg-opacity-75 disabled:opacity-50 px-4 py-2 rounded-lg"
+        >
+          <Download className="w-4 h-4" />
+          Download CSV
+        </button>
+        <button
+          onClick={() => exportTelemetry(shown, "json")}
+          disabled={!shown.length}
+          className="flex items-center gap-2 bg-black bg-opacity-50 hover:bg-opacity-75 disabled:opacity-50 px-4 py-2 rounded-lg"
+        >
+          <Download className="w-4 h-4" />
+          Download JSON
+        </button>
+        <span className="flex-1" />
+        {confirming ? (
+          <span>
+            Delete the whole log?{" "}
+            <button
+              onClick={() => {
+                clearTelemetry();
+                setRecords([]);
+                setConfirming(false);
+              }}
+              className="underline text-red-400 mr-2"
+            >
+              Yes, clear
+            </button>
+            <button onClick={() => setConfirming(false)} className="underline">
+              Cancel
+            </button>
+          </span>
+        ) : (
+          <button onClick={() => setConfirming(true)} className="underline opacity-75 hover:opacity-100">
+            Clear the log
+          </button>
+        )}
+      </div>
+    </main>
+  );
+}
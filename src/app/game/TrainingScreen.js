@@ -0,0 +1,430 @@
+"use client";
+// Client component: runs the training loop and a live preview in the browser.
+
+import { useState, useEffect, useRef } from "react";
+import Link from "next/link";
+import { Play, Pause, RotateCcw, Download, Upload, Check, ArrowLeft } from "lucide-react";
+
+import { ModeSelect } from "./GameObjects";
+import { Scene } from "./Scene";
+import { createGame, step } from "./engine";
+import { randomSeed } from "./random";
+import { DIFFICULTIES, DEFAULT_DIFFICULTY, difficultyConfig } from "./difficulty";
+import { heuristicAutopilot, controllerInput, playHeadless, headlessDone } from "./autopilot";
+import { networkController } from "./neuralNet";
+import { createTraining, trainStep, TRAIN_SLICE_FRAMES } from "./training";
+import {
+  loadAutopilotNetwork,
+  saveAutopilotNetwork,
+  clearAutopilotNetwork,
+  exportNetwork,
+  importNetwork,
+} from "./autopilotStorage";
+import { DEFAULT_SETTINGS, loadSettings } from "./settings";
+import { getTheme } from "./themes";
+import { useGameLoop } from "./useGameLoop";
+
+const FRAME_BUDGET_MS = 12;   // training time per animation frame (keeps the page responsive)
+const PREVIEW_SCALE = 0.5;    // the preview is drawn at half the world size
+const HISTORY_SHOWN = 50;     // generations in the fitness chart
+const BENCHMARK_GAMES = 5;    // games per difficulty and controller
+const BENCHMARK_SECONDS = 60; // a benchmark game stops here
+
+const DIFFICULTY_TABS = Object.values(DIFFICULTIES).map(({ id, label }) => ({ id, label }));
+
+// ==================================================================
+// FUNCTIONS: Average score of some controllers on every difficulty
+// ==================================================================
+// Same courses for every controller, so the numbers compare fairly. Like
+// the training, played a slice of frames per call, so the page stays
+// responsive while it runs:
+//
+// {
+//   controllers, → { [key]: controller }
+//   games,       → [{ key, difficulty, seed }] to play, in order
+//   index,       → the game being played
+//   game,        → its state, null before its first slice
+//   scores,      → { [key]: { [difficulty]: average score } } so far
+// }
+function createBenchmark(controllers) {
+  const games = [];
+  for (const key of Object.keys(controllers)) {
+    for (const difficulty of Object.keys(DIFFICULTIES)) {
+      for (let seed = 1; seed <= BENCHMARK_GAMES; seed++) games.push({ key, difficulty, seed });
+    }
+  }
+  return { controllers, games, index: 0, game: null, scores: {} };
+}
+
+function benchmarkStep(bench) {
+  const { key, difficulty, seed } = bench.games[bench.index];
+  const maxFrames = BENCHMARK_SECONDS * 60;
+  const start = bench.game ?? createGame(difficultyConfig(difficulty), seed);
+  const game = playHeadless(bench.controllers[key], start, maxFrames, TRAIN_SLICE_FRAMES);
+  if (!headlessDone(game, maxFrames)) return { ...bench, game };
+
+  const scores = bench.scores[key] ?? {};
+  const average = (scores[difficulty] ?? 0) + game.score / BENCHMARK_GAMES;
+  return {
+    ...bench,
+    index: bench.index + 1,
+    game: null,
+    scores: { ...bench.scores, [key]: { ...scores, [difficulty]: average } },
+  };
+}
+
+const benchmarkDone = (bench) => bench.index === bench.games.length;
+
+// ==================================================================
+// FitnessChart Component (best & average fitness per generation)
+// ==================================================================
+function FitnessChart({ history }) {
+  const shown = history.slice(-HISTORY_SHOWN);
+  if (shown.length < 2) return <p className="text-sm opacity-75">The chart appears after two generations.</p>;
+
+  const width = 400;
+  const height = 120;
+  const top = Math.max(...shown.map((h) => h.best)) || 1;
+  const points = (key) =>
+    shown.map((h, i) => `${(i / (shown.length - 1)) * width},${height - (h[key] / top) * height}`).join(" ");
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-32 bg-black bg-opacity-50 rounded">
+      <polyline points={points("average")} fill="none" stroke="#9ca3af" strokeWidth="2" />
+      <polyline points={points("best")} fill="none" stroke="#eab308" strokeWidth="2" />
+    </svg>
+  );
+}
+
+// ==================================================================
+// TrainingScreen Component
+// ==================================================================
+/*
+  WHAT IS THIS COMPONENT?
+  -----------------------
+  The autopilot training sandbox (the /train page). A population of small
+  neural networks (see training.js) learns to fly by neuroevolution,
+  headless and as fast as the browser allows: every animation frame spends
+  FRAME_BUDGET_MS testing networks, with no rendering in between.
+
+  Next to it, a live preview shows the best network so far (or the
+  built-in autopilot before there is one) flying at normal speed.
+
+  The best network can be downloaded as JSON, loaded back to continue
+  training from it, and installed as the autopilot of the attract mode on
+  the game's start screen.
+
+  A benchmark runs the built-in and the trained autopilot on every
+  difficulty, a quick sanity check when tuning the difficulty presets.
+*/
+export function TrainingScreen() {
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const theme = getTheme(settings.theme, settings.palette);
+
+  const [difficulty, setDifficulty] = useState(DEFAULT_DIFFICULTY);
+  const config = difficultyConfig(difficulty);
+
+  const [training, setTraining] = useState(null);
+  const trainingRef = useRef(null);
+  // The live training state (see training.js); created on mount because
+  // the seed is random
+  const [running, setRunning] = useState(false);
+
+  const [preview, setPreview] = useState(() => createGame(config, 1));
+  const previewRef = useRef(preview);
+
+  const [installed, setInstalled] = useState(false);
+  // Is a trained network used as the start-screen autopilot?
+  const [error, setError] = useState(null);
+  const [benchmarks, setBenchmarks] = useState(null);
+  const [benchmarking, setBenchmarking] = useState(null);
+  const benchmarkRef = useRef(null);
+  // Benchmark results ({ heuristic, trained } scores per difficulty), and
+  // the benchmark still running (see createBenchmark()), if any
+
+  // ==================================================================
+  // FUNCTION: Start over (optionally from a loaded network)
+  // ==================================================================
+  const restart = (nextDifficulty = difficulty, start = null) => {
+    trainingRef.current = createTraining(difficultyConfig(nextDifficulty), randomSeed(), {}, start);
+    setTraining(trainingRef.current);
+    previewRef.current = createGame(difficultyConfig(nextDifficulty), randomSeed());
+    setPreview(previewRef.current);
+  };
+
+  useEffect(() => {
+    setSettings(loadSettings());
+    setInstalled(Boolean(loadAutopilotNetwork()));
+    trainingRef.current = createTraining(difficultyConfig(DEFAULT_DIFFICULTY), randomSeed());
+    setTraining(trainingRef.current);
+  }, []);
+
+  // ==================================================================
+  // TRAINING LOOP: as many slices per frame as fit in the budget
+  // ==================================================================
+  // A running benchmark goes first, then training carries on.
+  const benchmarkActive = benchmarking !== null;
+
+  useEffect(() => {
+    if (!running && !benchmarkActive) return;
+
+    let frame;
+    const tick = () => {
+      const start = performance.now();
+      let next = trainingRef.current;
+      let bench = benchmarkRef.current;
+
+      while (performance.now() - start < FRAME_BUDGET_MS) {
+        if (bench && !benchmarkDone(bench)) bench = benchmarkStep(bench);
+        else if (running) next = trainStep(next);
+        else break;
+      }
+
+      trainingRef.current = next;
+      setTraining(next);
+      if (bench && benchmarkDone(bench)) {
+        setBenchmarks(bench.scores);
+        bench = null;
+      }
+      benchmarkRef.current = bench;
+      setBenchmarking(bench);
+      if (running || bench) frame = requestAnimationFrame(tick);
+    };
+
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [running, benchmarkActive]);
+
+  // ==================================================================
+  // PREVIEW: the best network so far, at normal speed
+  // ==================================================================
+  const best = training?.best ?? null;
+  const controller = best ? networkController(best.network) : heuristicAutopilot;
+
+  useGameLoop({
+    running: true,
+    onStep: (dt) => {
+      const before = previewRef.current;
+      // A crash → straight on with a new course
+      previewRef.current =
+        before.status === "over"
+          ? createGame(before.config, randomSeed())
+          : step(before, controllerInput(controller, before), dt).state;
+    },
+    onFrame: () => {
+      if (previewRef.current !== preview) setPreview(previewRef.current);
+    },
+  });
+
+  // ==================================================================
+  // BENCHMARK: the built-in autopilot, and the best network if there is one
+  // ==================================================================
+  const startBenchmark = () => {
+    benchmarkRef.current = createBenchmark({
+      heuristic: heuristicAutopilot,
+      ...(best && { trained: networkController(best.network) }),
+    });
+    setBenchmarking(benchmarkRef.current);
+  };
+
+  // ==================================================================
+  // SAVE / LOAD
+  // ==================================================================
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ""; // allow picking the same file again
+    if (!file) return;
+
+    try {
+      const network = await importNetwork(file);
+      setError(null);
+      setRunning(false);
+      restart(difficulty, network);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const changeDifficulty = (next) => {
+    setDifficulty(next);
+    setRunning(false);
+    setBenchmarks(null);
+    restart(next);
+  };
+
+  // ==================================================================
+  // RENDER
+  // ==================================================================
+  const last = training?.history[training.history.length - 1];
+  const tested = training ? `${training.fitness.length} / ${training.population.length}` : "–";
+
+  return (
+    <main className="min-h-screen bg-gray-900 text-white p-6 flex flex-col items-center gap-6">
+      <div className="w-full max-w-4xl flex items-center justify-between">
+        <h1 className="text-3xl font-bold">Autopilot training</h1>
+        <Link href="/" className="flex items-center gap-2 opacity-75 hover:opacity-100 text-sm">
+          <ArrowLeft className="w-4 h-4" />
+          Back to the game
+        </Link>
+      </div>
+
+      <ModeSelect modes={DIFFICULTY_TABS} mode={difficulty} onChange={changeDifficulty} label="Difficulty" />
+
+      <div className="w-full max-w-4xl flex flex-wrap gap-6 justify-center">
+        {/* Live preview */}
+        <div
+          className="relative overflow-hidden rounded-lg shrink-0"
+          style={{
+            width: config.width * PREVIEW_SCALE,
+            height: config.height * PREVIEW_SCALE,
+            backgroundColor: theme.colors.sky,
+          }}
+        >
+          <div
+            className="absolute top-0 left-0 origin-top-left"
+            style={{ width: config.width, height: config.height, transform: `scale(${PREVIEW_SCALE})` }}
+          >
+            <Scene renderer={settings.renderer} state={preview} theme={theme} pixelRatio={1} reducedMotion />
+          </div>
+          <div className="absolute top-2 left-2 text-sm bg-black bg-opacity-50 px-2 py-1 rounded">
+            {best ? `Best network (gen ${best.generation})` : heuristicAutopilot.name} · {preview.score}
+          </div>
+        </div>
+
+        {/* Progress & controls */}
+        <div className="flex flex-col gap-4 w-72">
+          <dl className="grid grid-cols-2 gap-y-1 text-sm">
+            <dt className="opacity-75">Generation</dt>
+            <dd className="text-right tabular-nums">{training?.generation ?? "–"}</dd>
+            <dt className="opacity-75">Tested</dt>
+            <dd className="text-right tabular-nums">{tested}</dd>
+            <dt className="opacity-75">Best fitness</dt>
+            <dd className="text-right tabular-nums">{best ? best.fitness.toFixed(1) : "–"}</dd>
+            <dt className="opacity-75">Best score (avg)</dt>
+            <dd className="text-right tabular-nums">{best ? best.score.toFixed(1) : "–"}</dd>
+            <dt className="opacity-75">Last generation avg</dt>
+            <dd className="text-right tabular-nums">{last ? last.average.toFixed(1) : "–"}</dd>
+          </dl>
+
+          <div className="flex gap-2">
+            <button
+              onClick={() => setRunning((r) => !r)}
+              disabled={!training}
+              className="flex-1 flex items-center justify-center gap-2 bg-yellow-500 hover:bg-yellow-600 text-black px-4 py-2 rounded-lg font-bold transition-colors"
+            >
+              {running ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+              {running ? "Pause" : "Train"}
+            </button>
+            <button
+              onClick={() => {
+                setRunning(false);
+                restart();
+              }}
+              className="flex items-center gap-2 bg-white hover:bg-gray-200 text-black px-4 py-2 rounded-lg font-bold transition-colors"
+            >
+              <RotateCcw className="w-4 h-4" />
+              Reset
+            </button>
+          </div>
+
+          <div className="flex flex-col gap-2 text-sm">
+            <button
+              onClick={() => exportNetwork(best.network, `flappy-autopilot-${difficulty}-gen${best.generation}`)}
+              disabled={!best}
+              className="flex items-center gap-2 bg-black bg-opacity-50 hover:bg-opacity-75 disabled:opacity-50 px-4 py-2 rounded-lg"
+            >
+              <Download className="w-4 h-4" />
+              Save weights
+            </button>
+            <label className="flex items-center gap-2 bg-black bg-opacity-50 hover:bg-opacity-75 px-4 py-2 rounded-lg cursor-pointer">
+              <Upload className="w-4 h-4" />
+              Load weights (and train on from them)
+              <input type="file" accept="application/json,.json" className="hidden" onChange={handleImport} />
+            </label>
+            <button
+              onClick={() => {
+                saveAutopilotNetwork(best.network);
+                setInstalled(true);
+              }}
+              disabled={!best}
+              className="flex items-center gap-2 bg-black bg-opacity-50 hover:bg-opacity-75 disabled:opacity-50 px-4 py-2 rounded-lg"
+            >
+              <Check className="w-4 h-4" />
+              Use on the start screen
+            </button>
+            {installed && (
+              <button
+                onClick={() => {
+                  clearAutopilotNetwork();
+                  setInstalled(false);
+                }}
+                className="underline opacity-75 hover:opacity-100 text-left"
+              >
+                Go back to the built-in autopilot
+              </button>
+            )}
+          </div>
+          {error && <p className="text-sm text-red-300">{error}</p>}
+        </div>
+      </div>
+
+      {/* Fitness over the generations */}
+      <section className="w-full max-w-4xl">
+        <h2 className="text-lg font-bold mb-2">
+          Fitness <span className="text-sm font-normal opacity-75">(yellow: best, gray: average)</span>
+        </h2>
+        <FitnessChart history={training?.history ?? []} />
+      </section>
+
+      {/* Difficulty sanity check */}
+      <section className="w-full max-w-4xl">
+        <div className="flex items-center gap-4 mb-2">
+          <h2 className="text-lg font-bold">Benchmark</h2>
+          {benchmarking ? (
+            <span className="text-sm opacity-75 tabular-nums">
+              Running… {benchmarking.index} / {benchmarking.games.length} games
+            </span>
+          ) : (
+            <button onClick={startBenchmark} className="text-sm underline opacity-75 hover:opacity-100">
+              Run
+            </button>
+          )}
+        </div>
+        <p className="text-sm opacity-75 mb-2">
+          Average score over {BENCHMARK_GAMES} games of up to {BENCHMARK_SECONDS}s on every difficulty.
+        </p>
+        {benchmarks && (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left opacity-75">
+                <th className="pr-2">Controller</th>
+                {DIFFICULTY_TABS.map((d) => (
+                  <th key={d.id} className="pr-2 text-right">
+                    {d.label}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {[
+                [heuristicAutopilot.name, benchmarks.heuristic],
+                ["Best network", benchmarks.trained],
+              ]
+                .filter(([, scores]) => scores)
+                .map(([name, scores]) => (
+                  <tr key={name}>
+                    <td className="pr-2">{name}</td>
+                    {DIFFICULTY_TABS.map((d) => (
+                      <td key={d.id} className="pr-2 text-right tabular-nums">
+                        {scores[d.id].toFixed(1)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+    </main>
+  );
+}
@@ -0,0 +1,318 @@
+"use client";
+// Client component: uses state, the game loop and the input layer.
+
+import { useState, useRef } from "react";
+import { Play, RotateCcw, Shuffle, X } from "lucide-react";
+
+import { ScoreBoard, Overlay } from "./GameObjects";
+import { Scene } from "./Scene";
+import { Viewport } from "./Viewport";
+import { createGame, step } from "./engine";
+import { formatSeed } from "./random";
+import { modeConfig, seedForMode } from "./modes";
+import { difficultyConfig } from "./difficulty";
+import { courseConfig } from "./course";
+import { useGameLoop } from "./useGameLoop";
+import { useGameInput } from "./useGameInput";
+import { keyLabel } from "./settings";
+
+const PLAYERS = ["P1", "P2"];
+
+// ==================================================================
+// FUNCTION: Who won? (index of the winner, or null for a draw)
+// ==================================================================
+// Higher score wins; with the same score the bird that stayed up longer.
+function winner([a, b]) {
+  if (a.score !== b.score) return a.score > b.score ? 0 : 1;
+  if (a.frame !== b.frame) return a.frame > b.frame ? 0 : 1;
+  return null;
+}
+
+// ==================================================================
+// FUNCTION: The config both birds race with
+// ==================================================================
+// Always the plain course of the difficulty, without coins & power-ups or
+// the progressive ramp: a coin changes that bird's score, the score picks
+// the next obstacle variants (see rollObstacle()) and the ramp's gap and
+// speed, and slow-mo changes that bird's world time, so with any of them
+// the two courses would no longer be the same.
+function versusConfig(difficulty) {
+  return { ...difficultyConfig(difficulty), collectibles: false };
+}
+
+// Both birds on the same course (same config and seed)
+function newRace(config, seed) {
+  return [createGame(config, seed), createGame(config, seed)];
+}
+
+// ==================================================================
+// VERSUS GAME COMPONENT
+// ==================================================================
+/*
+  WHAT IS THIS COMPONENT?
+  -----------------------
+  Local two-player mode: two birds, one keyboard (or two gamepads / one
+  touch screen), split screen. Each player has their own engine state,
+  started from the same config and seed, so both fly exactly the same
+  pipe course (see versusConfig() for why that means no coins,
+  power-ups or ramp, whatever was picked on the start screen).
+
+  The first flap of either player starts both birds at the same moment.
+  The race is over when both have crashed (or crossed the finish line of
+  a hand-made course).
+
+  Controls: player 1 uses "jump" (Space), player 2 "jump2" (Enter), see
+  the key bindings in the settings. On a touch screen each player taps
+  their own half.
+
+  Versus runs are just for fun: they are not recorded as replays and
+  don't count for the leaderboards.
+
+  PROPS
+  -----
+    - mode, difficulty, ramp → same choices as on the start screen (the
+      mode only picks the seed; ramp only shows a note that it is off)
+    - course → the hand-made course to race on in Course mode (see
+      course.js), otherwise null
+    - settings → player settings (renderer, reduced motion, key bindings)
+    - theme → theme object
+    - audio → the game's audio system (see useGameAudio.js)
+    - onExit → called to go back to the normal game
+*/
+export default function VersusGame({ mode, difficulty, ramp, course = null, settings, theme, audio, onExit }) {
+  const [config] = useState(() =>
+    course ? courseConfig(course) : versusConfig(difficulty)
+  );
+  const [seed, setSeed] = useState(() => seedForMode(mode));
+
+  const [players, setPlayers] = useState(() => newRace(config, seed));
+  const playersRef = useRef(players);
+  // The live engine states of both birds (like gameRef in FlappyGame)
+
+  const jumpsQueued = useRef([false, false]);
+  const [paused, setPaused] = useState(false);
+
+  const surfaceRef = useRef(null);
+
+  const started = players[0].status !== "ready";
+  const finished = players.every((p) => p.status === "over");
+  const racing = started && !finished;
+
+  // ==================================================================
+  // FUNCTION: Start a new race (same course, or a new one)
+  // ==================================================================
+  const restart = (nextSeed = seed) => {
+    playersRef.current = newRace(config, nextSeed);
+    jumpsQueued.current = [false, false];
+    setSeed(nextSeed);
+    setPlayers(playersRef.current);
+    setPaused(false);
+  };
+
+  // ==================================================================
+  // INPUT: one flap action per player
+  // ==================================================================
+  const flap = (index) => {
+    if (paused || finished) return;
+    audio.unlock();
+    jumpsQueued.current[index] = true;
+  };
+
+  const handleAction = (action, event) => {
+    switch (action) {
+      case "jump":
+        // A tap belongs to the player whose half of the screen it is on
+        flap(event && event.clientX > window.innerWidth / 2 ? 1 : 0);
+        break;
+      case "jump2":
+        flap(1);
+        break;
+      case "pause":
+        if (racing) setPaused((p) => !p);
+        break;
+      case "back":
+        if (racing && !paused) setPaused(true);
+        else onExit();
+        break;
+    }
+  };
+
+  useGameInput({ settings, onAction: handleAction, surfaceRef });
+
+  // ==================================================================
+  // GAME LOOP: both engines advance in lockstep
+  // ==================================================================
+  useGameLoop({
+    running: !paused && !finished,
+    speed: settings.gameSpeed,
+
+    onStep: (dt) => {
+      const queued = jumpsQueued.current;
+      jumpsQueued.current = [false, false];
+
+      const before = playersRef.current;
+      // Whoever flaps first starts the race for both
+      const starting = before.every((p) => p.status === "ready") && queued.some(Boolean);
+      const inputs = starting ? [true, true] : queued;
+
+      const results = before.map((player, i) => step(player, { jump: inputs[i] }, dt));
+      playersRef.current = results.map((r) => r.state);
+
+      // Sounds: one start for the race, and the game-over tune only
+      // once the last bird is down
+      const over = playersRef.current.every((p) => p.status === "over");
+      let ended = false;
+      results.forEach(({ events }, i) => {
+        for (const event of events) {
+          if (event.type === "start" && i === 1) continue;
+          if (event.type === "collision") {
+            if (!over || ended) {
+              audio.play("hit");
+              continue;
+            }
+            ended = true;
+          }
+          audio.handleEvent(event);
+        }
+      });
+    },
+
+    onFrame: () => {
+      if (playersRef.current !== players) setPlayers(playersRef.current);
+    },
+  });
+
+  // ==================================================================
+  // RENDER
+  // ==================================================================
+  const { width, height } = config;
+  const won = finished ? winner(players) : null;
+
+  return (
+    // Two worlds side by side
+    <Viewport
+      width={width * 2}
+      height={height}
+      theme={theme}
+      surfaceRef={surfaceRef}
+      world={(pixelRatio) =>
+        players.map((player, i) => (
+          <div
+            key={i}
+            className="absolute top-0 overflow-hidden"
+            style={{ left: i * width, width, height }}
+          >
+            <Scene
+              renderer={settings.renderer}
+              state={player}
+              theme={theme}
+              pixelRatio={pixelRatio}
+              reducedMotion={settings.reducedMotion}
+            />
+          </div>
+        ))
+      }
+      hud={
+        <>
+          {players.map((player, i) => (
+            <div key={i} className="absolute inset-y-0 w-1/2" style={{ left: `${i * 50}%` }}>
+              <ScoreBoard score={player.score} powerUps={player.powerUps} player={PLAYERS[i]} />
+
+              {/* Crashed: wait for the other player */}
+              {player.status === "over" && !finished && (
+                <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-50 text-white text-2xl font-bold">
+                  Crashed!
+                </div>
+              )}
+            </div>
+          ))}
+
+          {/* Split line */}
+          <div className="absolute inset-y-0 left-1/2 w-1 -translate-x-1/2 bg-black" />
+        </>
+      }
+    >
+      {/* Start Overlay */}
+      {!started && (
+        <Overlay type="start">
+          <h1 className="text-4xl font-bold mb-4">Versus</h1>
+          <p className="text-lg mb-2">
+            {PLAYERS[0]}: {keyLabel(settings.keys.jump)} · {PLAYERS[1]}: {keyLabel(settings.keys.jump2)}
+          </p>
+          <p className="text-sm mb-2 opacity-75">On a touch screen, tap your own half.</p>
+          <p className="text-sm mb-6 opacity-75">{course ? course.name : `Seed ${formatSeed(seed)}`}</p>
+          {!course && (ramp || modeConfig(mode).collectibles) && (
+            <p className="text-sm -mt-4 mb-6 opacity-75">No coins, power-ups or speed ramp in a 2-player race</p>
+          )}
+          <p className="text-lg mb-6">The first flap starts the race</p>
+          <Play className={`w-12 h-12 ${settings.reducedMotion ? "" : "animate-pulse"}`} />
+          <button
+            onClick={onExit}
+            className="flex items-center gap-2 mt-6 bg-black bg-opacity-50 hover:bg-opacity-75 px-4 py-2 rounded-lg text-sm"
+          >
+            <X className="w-4 h-4" />
+            Back
+          </button>
+        </Overlay>
+      )}
+
+      {/* Result Overlay */}
+      {finished && (
+        <Overlay type="gameover">
+          <h2 className="text-3xl font-bold mb-2">{won === null ? "Draw!" : `${PLAYERS[won]} wins!`}</h2>
+          <p className="text-xl mb-6">
+            {PLAYERS[0]} {players[0].score} – {players[1].score} {PLAYERS[1]}
+          </p>
+          <div className="flex gap-3">
+            <button
+              onClick={() => restart()}
+              className="flex items-center gap-2 bg-yellow-500 hover:bg-yellow-600 text-black px-6 py-3 rounded-lg font-bold transition-colors"
+            >
+              <RotateCcw className="w-5 h-5" />
+              Rematch
+            </button>
+            {!course && (
+              <button
+                onClick={() => restart(seedForMode(mode))}
+                className="flex items-center gap-2 bg-white hover:bg-gray-200 text-black px-6 py-3 rounded-lg font-bold transition-colors"
+              >
+                <Shuffle className="w-5 h-5" />
+                New course
+              </button>
+            )}
+            <button
+              onClick={onExit}
+              className="flex items-center gap-2 bg-white hover:bg-gray-200 text-black px-6 py-3 rounded-lg font-bold transition-colors"
+            >
+              <X className="w-5 h-5" />
+              Exit
+            </button>
+          </div>
+        </Overlay>
+      )}
+
+      {/* Pause Overlay */}
+      {paused && (
+        <Overlay type="pause">
+          <h2 className="text-3xl font-bold mb-6">Paused</h2>
+          <div className="flex flex-col gap-3 w-48">
+            <button
+              onClick={() => setPaused(false)}
+              className="flex items-center justify-center gap-2 bg-yellow-500 hover:bg-yellow-600 text-black px-6 py-3 rounded-lg font-bold transition-colors"
+            >
+              <Play className="w-5 h-5" />
+              Resume
+            </button>
+            <button
+              onClick={onExit}
+              className="flex items-center justify-center gap-2 bg-white hover:bg-gray-200 text-black px-6 py-3 rounded-lg font-bold transition-colors"
+            >
+              <X className="w-5 h-5" />
+              Exit
+            </button>
+          </div>
+        </Overlay>
+      )}
+    </Viewport>
+  );
+}
@@ -0,0 +1,65 @@
+"use client";
+// Client component: sizes itself to the window (see useViewportScale).
+
+import { useViewportScale } from "./useViewportScale";
+
+// ==================================================================
+// Viewport Component
+// ==================================================================
+/*
+  WHAT IS THIS COMPONENT?
+  -----------------------
+  The frame around the game. It fills the whole window, centers the game
+  area in it scaled as large as fits, and leaves black bars on the sides
+  (or top and bottom) that don't match the world's aspect ratio.
+
+  There are three layers:
+    - world → drawn in WORLD pixels (bird, pipes, debug shapes) and
+      scaled with a CSS transform, so it looks the same on every screen
+    - hud → drawn in SCREEN pixels on top of the game area
+      (score, pause button), so text stays crisp and readable
+    - children → drawn in SCREEN pixels over the whole window (menus), so
+      they have room even when the game area is small (phone in portrait)
+
+  PROPS
+  -----
+    - width, height → logical world size (from the game config)
+    - theme → theme object, for the sky color behind the world
+    - world(pixelRatio) → renders the world layer; pixelRatio is device
+      pixels per world pixel, for the canvas renderer
+    - hud → HUD elements
+    - surfaceRef → ref for the outer element (the input surface)
+    - children → full-window layers
+*/
+export function Viewport({ width, height, theme, world, hud, surfaceRef, children }) {
+  const { scale, pixelRatio } = useViewportScale(width, height);
+
+  return (
+    <div
+      ref={surfaceRef}
+      className="fixed inset-0 flex items-center justify-center overflow-hidden bg-black select-none"
+      // "select-none" → rapid taps don't select text
+      style={{ touchAction: "none" }} // no scrolling, pinch or double-tap zoom
+    >
+      {/* Game area: the world scaled to fit, plus the HUD */}
+      <div
+        className="relative overflow-hidden shrink-0"
+        style={{ width: width * scale, height: height * scale, backgroundColor: theme.colors.sky }}
+      >
+        {/* Pictures only: screen readers follow the game through the
+            announcements instead (see Announcer in GameObjects.js) */}
+        <div
+          className="absolute top-0 left-0 origin-top-left"
+          style={{ width, height, transform: `scale(${scale})` }}
+          aria-hidden="true"
+        >
+          {world(pixelRatio)}
+        </div>
+
+        {hud}
+      </div>
+
+      {children}
+    </div>
+  );
+}
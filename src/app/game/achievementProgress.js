@@ -0,0 +1,181 @@
+// ==================================================================
+// Achievement progress (persisted in localStorage)
+// ==================================================================
+// Follows a run step by step from the engine's state & events and unlocks
+// the achievements defined in achievements.js. Saved as one versioned
+// JSON object under "flappyAchievements":
+//
+// {
+//   version: 1,
+//   unlocked: { [id]: date },        → ISO date of the unlock
+//   best: { [id]: value },           → best value so far of run stats
+//   totals: { games, pipes, coins }, → for the total stats
+// }
+//
+// The run being tracked is kept next to it (never saved):
+// { difficulty, mode, pipes, seconds, coins, closeCalls, finished, closest }
+//   closest → { [pipe id]: smallest gap between the bird and a rim so far }
+//
+// Corrupted data is dropped: achievements are nice to have, not worth
+// crashing the game over.
+
+import { ACHIEVEMENTS, CLOSE_CALL_DISTANCE } from "./achievements";
+import { floorY, PIPE_WIDTH } from "./engine";
+import { birdHitbox, verticalBounds } from "./hitboxes";
+import { pipeGaps } from "./obstacles";
+
+const STORAGE_KEY = "flappyAchievements";
+export const ACHIEVEMENTS_VERSION = 1;
+
+// Total stats → the matching field of achievements.totals
+const TOTALS = { games: "games", totalPipes: "pipes", totalCoins: "coins" };
+
+export function emptyAchievements() {
+  return {
+    version: ACHIEVEMENTS_VERSION,
+    unlocked: {},
+    best: {},
+    totals: { games: 0, pipes: 0, coins: 0 },
+  };
+}
+
+export function loadAchievements() {
+  try {
+    const data = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (data?.version === ACHIEVEMENTS_VERSION) return { ...emptyAchievements(), ...data };
+  } catch {
+    // fall through
+  }
+  return emptyAchievements();
+}
+
+export function saveAchievements(achievements) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(achievements));
+}
+
+// ==================================================================
+// FUNCTION: Start tracking a run
+// ==================================================================
+export function startRun({ difficulty, mode }) {
+  return { difficulty, mode, pipes: 0, seconds: 0, coins: 0, closeCalls: 0, finished: 0, closest: {} };
+}
+
+// Does this run count for the achievement? (difficulty / mode filters)
+function counts(achievement, run) {
+  return (
+    (!achievement.difficulty || achievement.difficulty === run.difficulty) &&
+    (!achievement.mode || achievement.mode === run.mode)
+  );
+}
+
+// Current value of an achievement's stat
+function statValue(achievement, achievements, run) {
+  if (TOTALS[achievement.stat]) return achievements.totals[TOTALS[achievement.stat]];
+  return run && counts(achievement, run) ? run[achievement.stat] : 0;
+}
+
+// ==================================================================
+// FUNCTION: How close is the bird to the rims of the pipes it is in?
+// ==================================================================
+// Updates run.closest for every pipe the bird is flying through right now.
+function trackClearance(closest, state) {
+  const polygons = birdHitbox(state.bird);
+  const xs = polygons.flatMap((polygon) => polygon.map((p) => p.x));
+  const left = Math.min(...xs);
+  const right = Math.max(...xs);
+  const { top, bottom } = verticalBounds(polygons);
+  const floor = floorY(state.config);
+
+  let next = closest;
+  for (const pipe of state.pipes) {
+    if (pipe.passed || pipe.smashed || right < pipe.x || left > pipe.x + PIPE_WIDTH) continue;
+
+    for (const gap of pipeGaps(pipe, floor)) {
+      if (top < gap.top || bottom > gap.bottom) continue;
+      const clearance = Math.min(top - gap.top, gap.bottom - bottom);
+      if (clearance < (next[pipe.id] ?? Infinity)) next = { ...next, [pipe.id]: clearance };
+    }
+  }
+  return next;
+}
+
+// ==================================================================
+// FUNCTION: Follow one engine step
+// ==================================================================
+// state & events → what step() returned. Returns { achievements, run,
+// unlocked } with the achievements unlocked by this step (their
+// definitions, for the toasts). Saves when something changed.
+export function trackStep(achievements, run, state, events) {
+  let closest = trackClearance(run.closest, state);
+  let { closeCalls, finished } = run;
+  let ended = false;
+
+  for (const event of events) {
+    if (event.type === "score") {
+      if ((closest[event.pipe.id] ?? Infinity) <= CLOSE_CALL_DISTANCE) closeCalls += 1;
+      closest = { ...closest };
+      delete closest[event.pipe.id]; // done with this pipe
+    }
+    if (event.type === "finish") finished = 1;
+    if (event.type === "collision" || event.type === "finish") ended = true;
+  }
+
+  const nextRun = {
+    ...run,
+    pipes: state.pipesPassed,
+    seconds: state.time,
+    coins: state.coins,
+    closeCalls,
+    finished,
+    closest,
+  };
+
+  let next = achievements;
+  if (ended) {
+    const { games, pipes, coins } = achievements.totals;
+    next = { ...next, totals: { games: games + 1, pipes: pipes + nextRun.pipes, coins: coins + nextRun.coins } };
+  }
+
+  // New unlocks, and the best values of the run stats once the run is over
+  const unlocked = [];
+  for (const achievement of ACHIEVEMENTS) {
+    if (next.unlocked[achievement.id]) continue;
+    const value = statValue(achievement, next, nextRun);
+
+    if (value >= achievement.goal) {
+      next = { ...next, unlocked: { ...next.unlocked, [achievement.id]: new Date().toISOString() } };
+      unlocked.push(achievement);
+    } else if (ended && !TOTALS[achievement.stat] && value > (next.best[achievement.id] ?? 0)) {
+      next = { ...next, best: { ...next.best, [achievement.id]: value } };
+    }
+  }
+
+  if (next !== achievements) saveAchievements(next);
+  return { achievements: next, run: nextRun, unlocked };
+}
+
+// ==================================================================
+// FUNCTION: Progress of every achievement (for the gallery)
+// ==================================================================
+// Returns [{ ...achievement, value, unlocked }] in the order of the list;
+// unlocked is the ISO date or null.
+export function achievementList(achievements) {
+  return ACHIEVEMENTS.map((achievement) => {
+    const date = achievements.unlocked[achievement.id] ?? null;
+    const value = date
+      ? achievement.goal
+      : TOTALS[achievement.stat]
+        ? statValue(achievement, achievements, null)
+        : achievements.best[achievement.id] ?? 0;
+    return { ...achievement, value: Math.min(value, achievement.goal), unlocked: date };
+  });
+}
+
+// ==================================================================
+// FUNCTION: Forget all progress
+// ==================================================================
+export function clearAchievements() {
+  const fresh = emptyAchievements();
+  saveAchievements(fresh);
+  return fresh;
+}
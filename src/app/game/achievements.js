@@ -0,0 +1,81 @@
+// ==================================================================
+// Achievements (data)
+// ==================================================================
+// Every achievement is a goal for one stat (tracked in achievementProgress.js):
+//
+// {
+//   id,            → stable key in the saved progress (never rename one)
+//   title,
+//   description,
+//   stat,          → see below
+//   goal,          → unlocked once the stat reaches this
+//   difficulty,    → optional: only runs on this difficulty count
+//   mode,          → optional: only runs in this game mode count
+// }
+//
+// Run stats (reset every run, the best run counts):
+//   pipes      → pipes passed (in a row: a run ends at the first crash)
+//   seconds    → seconds in the air
+//   coins      → coins collected (Arcade mode)
+//   closeCalls → pipes passed within CLOSE_CALL_DISTANCE px of a rim
+//   finished   → 1 once the finish line of a hand-made course is crossed
+//
+// Total stats (add up over every run; difficulty & mode don't apply):
+//   games, totalPipes, totalCoins
+
+export const CLOSE_CALL_DISTANCE = 5;
+
+export const ACHIEVEMENTS = [
+  { id: "first-pipe", title: "Lift-off", description: "Pass your first pipe", stat: "pipes", goal: 1 },
+  { id: "pipes-10", title: "Getting the hang of it", description: "Pass 10 pipes in one run", stat: "pipes", goal: 10 },
+  { id: "pipes-50", title: "Half a hundred", description: "Pass 50 pipes in one run", stat: "pipes", goal: 50 },
+  {
+    id: "hard-50",
+    title: "Hardened",
+    description: "Pass 50 pipes in a row on Hard",
+    stat: "pipes",
+    goal: 50,
+    difficulty: "hard",
+  },
+  { id: "survive-60", title: "Survivor", description: "Stay in the air for 60 seconds", stat: "seconds", goal: 60 },
+  {
+    id: "close-call",
+    title: "Close shave",
+    description: `Pass a pipe within ${CLOSE_CALL_DISTANCE}px of its rim`,
+    stat: "closeCalls",
+    goal: 1,
+  },
+  {
+    id: "close-calls-5",
+    title: "Living on the edge",
+    description: "Five close shaves in one run",
+    stat: "closeCalls",
+    goal: 5,
+  },
+  {
+    id: "daily-10",
+    title: "Daily flyer",
+    description: "Pass 10 pipes in a Daily Challenge",
+    stat: "pipes",
+    goal: 10,
+    mode: "daily",
+  },
+  { id: "coins-10", title: "Pocket money", description: "Collect 10 coins in one run", stat: "coins", goal: 10 },
+  { id: "course", title: "Finisher", description: "Reach the finish line of a course", stat: "finished", goal: 1 },
+  { id: "games-10", title: "Warming up", description: "Play 10 games", stat: "games", goal: 10 },
+  { id: "games-100", title: "Regular", description: "Play 100 games", stat: "games", goal: 100 },
+  {
+    id: "total-pipes-1000",
+    title: "Frequent flyer",
+    description: "Pass 1,000 pipes in total",
+    stat: "totalPipes",
+    goal: 1000,
+  },
+  {
+    id: "total-coins-100",
+    title: "Treasure hunter",
+    description: "Collect 100 coins in total",
+    stat: "totalCoins",
+    goal: 100,
+  },
+];
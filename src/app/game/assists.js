@@ -0,0 +1,40 @@
+// ==================================================================
+// Accessibility assists (framework-free)
+// ==================================================================
+// Settings that make the game playable for more people without touching
+// the engine:
+//
+//   - game speed → the whole game runs slower in real time. The engine
+//     still takes the same fixed steps (see useGameLoop), there are just
+//     fewer of them per second, so physics & replays stay exact.
+//   - one-switch controls → hold the button to hover: while it is held,
+//     the bird flaps by itself whenever it sinks below the height it had
+//     when the button went down. One press starts, one release lets go,
+//     nothing needs quick taps.
+//
+// Assisted runs stay off the shared leaderboard (see FlappyGame).
+
+export const GAME_SPEEDS = [
+  { value: 1, label: "Normal" },
+  { value: 0.85, label: "85%" },
+  { value: 0.7, label: "70%" },
+  { value: 0.55, label: "55%" },
+];
+
+export const DEFAULT_GAME_SPEED = 1;
+
+export const CONTROL_SCHEMES = {
+  standard: { id: "standard", label: "Tap to flap" },
+  oneSwitch: { id: "oneSwitch", label: "One switch (hold to hover)" },
+};
+
+export const DEFAULT_CONTROLS = "standard";
+
+// ==================================================================
+// FUNCTION: Should a held one-switch flap now?
+// ==================================================================
+// hoverY → the bird's y when the switch went down. Flaps once the bird
+// is falling and has dropped below it (bigger y = lower on screen).
+export function hoverJump(state, hoverY) {
+  return state.bird.velocity > 0 && state.bird.y > hoverY;
+}
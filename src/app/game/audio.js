@@ -0,0 +1,260 @@
+// ==================================================================
+// Sound effects & music (Web Audio API)
+// ==================================================================
+// Every sound is synthesized on the fly with oscillators and noise, so
+// there are no audio files to download.
+//
+// Signal chain:
+//   sound effects → sfx gain  ─┐
+//   music notes   → music gain ─┴→ master gain → speakers
+//
+// Browsers only allow audio to start after a user gesture (click, key
+// press). The AudioContext is therefore created lazily in unlock(), which
+// the game calls from jump() — the player's first flap.
+//
+// The audio system listens to engine events (see step() in engine.js)
+// through handleEvent(), so the game itself never has to call play().
+
+// ==================================================================
+// MUSIC: a short looping tune (frequencies in Hz, 0 = rest)
+// ==================================================================
+const MUSIC_STEP = 0.2; // seconds per note
+const MELODY = [523, 659, 784, 659, 587, 698, 880, 698, 523, 659, 784, 1047, 988, 784, 659, 0];
+const BASS = [131, 0, 131, 0, 147, 0, 147, 0, 131, 0, 131, 0, 196, 0, 196, 0];
+const SCHEDULE_AHEAD = 0.3; // how far ahead notes are queued (seconds)
+
+// ==================================================================
+// FUNCTION: Create the audio system
+// ==================================================================
+export function createAudio() {
+  let ctx = null;                  // AudioContext (created on unlock)
+  let master, sfx, music;          // gain nodes
+  let noiseBuffer = null;          // shared white noise for the hit sound
+  let volumes = { volume: 1, sfxVolume: 1, musicVolume: 1, muted: false };
+
+  let musicEnabled = false;
+  let musicTimer = null;           // setInterval id of the note scheduler
+  let nextNoteTime = 0;
+  let noteIndex = 0;
+
+  // -------------------------------
+  // GAIN HELPERS
+  // -------------------------------
+  const applyVolumes = () => {
+    if (!ctx) return;
+    master.gain.value = volumes.muted ? 0 : volumes.volume;
+    sfx.gain.value = volumes.sfxVolume;
+    music.gain.value = volumes.musicVolume;
+  };
+
+  // -------------------------------
+  // SOUND BUILDING BLOCKS
+  // -------------------------------
+  // A single oscillator note with a quick attack and exponential fade.
+  const tone = ({ from, to = from, duration, type = "sine", gain = 0.3, delay = 0, output = sfx }) => {
+    const start = ctx.currentTime + delay;
+    const osc = ctx.createOscillator();
+    const env = ctx.createGain();
+
+    osc.type = type;
+    osc.frequency.setValueAtTime(from, start);
+    osc.frequency.exponentialRampToValueAtTime(to, start + duration);
+
+    env.gain.setValueAtTime(0.0001, start);
+    env.gain.exponentialRampToValueAtTime(gain, start + 0.01);
+    env.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+    osc.connect(env).connect(output);
+    osc.start(start);
+    osc.stop(start + duration + 0.05);
+  };
+
+  // A burst of filtered white noise (thuds and crashes).
+  const noise = ({ duration, gain = 0.4 }) => {
+    if (!noiseBuffer) {
+      noiseBuffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+      const data = noiseBuffer.getChannelData(0);
+      for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    }
+
+    const start = ctx.currentTime;
+    const source = ctx.createBufferSource();
+    const filter = ctx.createBiquadFilter();
+    const env = ctx.createGain();
+
+    source.buffer = noiseBuffer;
+    filter.type = "lowpass";
+    filter.frequency.value = 1200;
+    env.gain.setValueAtTime(gain, start);
+    env.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+    source.connect(filter).connect(env).connect(sfx);
+    source.start(start);
+    source.stop(start + duration);
+  };
+
+  // -------------------------------
+  // SOUND EFFECTS
+  // -------------------------------
+  const SOUNDS = {
+    flap: () => tone({ from: 400, to: 800, duration: 0.1, type: "triangle", gain: 0.25 }),
+    score: () => {
+      tone({ from: 880, duration: 0.08, type: "square", gain: 0.12 });
+      tone({ from: 1320, duration: 0.12, type: "square", gain: 0.12, delay: 0.08 });
+    },
+    coin: () => {
+      tone({ from: 1320, duration: 0.06, type: "square", gain: 0.1 });
+      tone({ from: 1760, duration: 0.15, type: "square", gain: 0.1, delay: 0.06 });
+    },
+    powerUp: () => {
+      [523, 659, 784, 1047].forEach((freq, i) =>
+        tone({ from: freq, duration: 0.08, type: "triangle", gain: 0.2, delay: i * 0.06 })
+      );
+    },
+    shield: () => {
+      noise({ duration: 0.12, gain: 0.3 });
+      tone({ from: 1200, to: 300, duration: 0.2, type: "triangle", gain: 0.2 });
+    },
+    hit: () => {
+      noise({ duration: 0.2, gain: 0.5 });
+      tone({ from: 200, to: 60, duration: 0.25, type: "sawtooth", gain: 0.25 });
+    },
+    gameOver: () => {
+      [523, 392, 262].forEach((freq, i) =>
+        tone({ from: freq, duration: 0.3, type: "triangle", gain: 0.25, delay: 0.35 + i * 0.3 })
+      );
+    },
+    finish: () => {
+      [523, 659, 784, 1047, 784, 1047].forEach((freq, i) =>
+        tone({ from: freq, duration: i === 5 ? 0.5 : 0.12, type: "square", gain: 0.12, delay: i * 0.12 })
+      );
+    },
+    achievement: () => {
+      [784, 988, 1175].forEach((freq, i) =>
+        tone({ from: freq, duration: 0.1, type: "triangle", gain: 0.2, delay: i * 0.08 })
+      );
+    },
+  };
+
+  // -------------------------------
+  // MUSIC SCHEDULER
+  // -------------------------------
+  // Queues notes slightly ahead of time so timing stays tight even if the
+  // main thread is busy for a moment.
+  const scheduleMusic = () => {
+    while (nextNoteTime < ctx.currentTime + SCHEDULE_AHEAD) {
+      const delay = Math.max(0, nextNoteTime - ctx.currentTime);
+      const melody = MELODY[noteIndex % MELODY.length];
+      const bass = BASS[noteIndex % BASS.length];
+
+      if (melody) tone({ from: melody, duration: MUSIC_STEP * 0.9, type: "square", gain: 0.06, delay, output: music });
+      if (bass) tone({ from: bass, duration: MUSIC_STEP * 1.8, type: "triangle", gain: 0.15, delay, output: music });
+
+      nextNoteTime += MUSIC_STEP;
+      noteIndex += 1;
+    }
+  };
+
+  const startMusic = () => {
+    if (!ctx || !musicEnabled || musicTimer !== null) return;
+    nextNoteTime = ctx.currentTime + 0.05;
+    noteIndex = 0;
+    musicTimer = setInterval(scheduleMusic, 50);
+  };
+
+  const stopMusic = () => {
+    if (musicTimer === null) return;
+    clearInterval(musicTimer);
+    musicTimer = null;
+  };
+
+  // Play a named sound effect: "flap" | "score" | "coin" | "powerUp" |
+  // "shield" | "hit" | "gameOver" | "finish" | "achievement"
+  const play = (name) => {
+    if (!ctx || !SOUNDS[name]) return;
+    SOUNDS[name]();
+  };
+
+  return {
+    // Create / resume the AudioContext. Must be called from a user gesture.
+    unlock() {
+      if (typeof window === "undefined") return;
+
+      if (!ctx) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return; // no Web Audio support → stay silent
+
+        ctx = new AudioContextClass();
+        master = ctx.createGain();
+        sfx = ctx.createGain();
+        music = ctx.createGain();
+        sfx.connect(master);
+        music.connect(master);
+        master.connect(ctx.destination);
+        applyVolumes();
+      }
+
+      if (ctx.state === "suspended") ctx.resume();
+    },
+
+    // Update volumes from the player's settings
+    setVolumes({ volume, sfxVolume, musicVolume, muted }) {
+      volumes = { volume, sfxVolume, musicVolume, muted };
+      applyVolumes();
+    },
+
+    // Turn background music on/off (it plays during runs only)
+    setMusicEnabled(enabled) {
+      musicEnabled = enabled;
+      if (!enabled) stopMusic();
+    },
+
+    // Freeze everything (e.g. while paused) or continue
+    setSuspended(suspended) {
+      if (!ctx) return;
+      if (suspended && ctx.state === "running") ctx.suspend();
+      if (!suspended && ctx.state === "suspended") ctx.resume();
+    },
+
+    play,
+
+    // React to an engine event
+    handleEvent(event) {
+      switch (event.type) {
+        case "start":
+          startMusic();
+          break;
+        case "flap":
+          play("flap");
+          break;
+        case "score":
+          play("score");
+          break;
+        case "collect":
+          play(event.item === "coin" ? "coin" : "powerUp");
+          break;
+        case "shield":
+          play("shield");
+          break;
+        case "collision":
+          stopMusic();
+          play("hit");
+          play("gameOver");
+          break;
+        case "finish":
+          stopMusic();
+          play("finish");
+          break;
+        default:
+          break;
+      }
+    },
+
+    // Stop music and release the AudioContext
+    close() {
+      stopMusic();
+      if (ctx) ctx.close();
+      ctx = null;
+    },
+  };
+}
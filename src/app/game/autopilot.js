@@ -0,0 +1,116 @@
+// ==================================================================
+// Autopilot: bots that play the game (framework-free)
+// ==================================================================
+// A controller is any object
+//
+//   { name, decide(observation) → true to jump this frame }
+//
+// It never sees the raw game state, only an observation of it (see
+// observe()): where the bird is and where it has to go next. That keeps
+// every controller, built-in or trained (see neuralNet.js), pluggable
+// into anything that steps the engine: the attract mode on the start
+// screen, the training page or a headless script.
+//
+// Controllers must be pure, like the engine: the same observation always
+// gives the same decision, so a bot run can be replayed.
+
+import { step, floorY, FIXED_DT, BIRD_HEIGHT, PIPE_WIDTH } from "./engine";
+import { pipeGaps, hazardRect } from "./obstacles";
+
+// ==================================================================
+// FUNCTION: What a controller gets to see
+// ==================================================================
+// Returns (all in world pixels, px per second for velocity):
+//   {
+//     birdY,        → top of the bird
+//     velocity,     → positive is falling
+//     pipeDistance, → from the bird to the far edge of the next obstacle
+//     gapTop, gapBottom, gapCenter → the opening to fly through
+//     floor, width, height → the playfield
+//   }
+// The next obstacle is the first one the bird hasn't passed yet. With two
+// openings (a double pipe, or around a spiked ball) it is the one nearest
+// to the bird. Without any obstacle ahead the "gap" is the whole sky.
+export function observe(state) {
+  const { bird, pipes, config } = state;
+  const floor = floorY(config);
+  const birdCenter = bird.y + BIRD_HEIGHT / 2;
+
+  const next = pipes.find((pipe) => pipe.x + PIPE_WIDTH > bird.x);
+  const gaps = next ? openings(next, floor) : [{ top: 0, bottom: floor }];
+  const gap = gaps.reduce((best, g) =>
+    Math.abs((g.top + g.bottom) / 2 - birdCenter) < Math.abs((best.top + best.bottom) / 2 - birdCenter) ? g : best
+  );
+
+  return {
+    birdY: bird.y,
+    velocity: bird.velocity,
+    pipeDistance: next ? next.x + PIPE_WIDTH - bird.x : config.width,
+    gapTop: gap.top,
+    gapBottom: gap.bottom,
+    gapCenter: (gap.top + gap.bottom) / 2,
+    floor,
+    width: config.width,
+    height: config.height,
+  };
+}
+
+// The ways past an obstacle: a hazard leaves the sky above and below it
+function openings(pipe, floor) {
+  if (pipe.kind !== "hazard") return pipeGaps(pipe, floor);
+
+  const ball = hazardRect(pipe);
+  return [
+    { top: 0, bottom: ball.y },
+    { top: ball.y + ball.height, bottom: floor },
+  ];
+}
+
+// ==================================================================
+// CONTROLLER: The built-in heuristic autopilot
+// ==================================================================
+// Flaps whenever the bird is about to sink below the bottom of the gap,
+// unless it is still rising from the last flap. Good enough to fly far on
+// every difficulty, not perfect on moving or closing gaps, which makes it
+// a fair yardstick for difficulty settings.
+const LOOKAHEAD = 0.06; // seconds ahead the bird's fall is predicted
+const MARGIN = 2;       // px kept clear of the bottom pipe
+
+export const heuristicAutopilot = {
+  name: "Autopilot",
+  decide({ birdY, velocity, gapBottom }) {
+    const predictedBottom = birdY + BIRD_HEIGHT + velocity * LOOKAHEAD;
+    return velocity > 0 && predictedBottom > gapBottom - MARGIN;
+  },
+};
+
+// ==================================================================
+// FUNCTION: The engine input a controller asks for
+// ==================================================================
+// A waiting game is always started (a bot doesn't need to be asked).
+export function controllerInput(controller, state) {
+  if (state.status === "ready") return { jump: true };
+  if (state.status !== "playing") return { jump: false };
+  return { jump: Boolean(controller.decide(observe(state))) };
+}
+
+// ==================================================================
+// FUNCTION: Let a controller play one whole game, headless
+// ==================================================================
+// Steps the engine as fast as possible (no rendering, no clock) until the
+// bird crashes or maxFrames have been played. Returns the final state.
+//
+// sliceFrames stops early after that many steps, so a long game can be
+// played a slice at a time between animation frames; the game is over
+// once headlessDone() says so.
+export function playHeadless(controller, game, maxFrames = Infinity, sliceFrames = Infinity) {
+  let state = game;
+  for (let played = 0; played < sliceFrames && !headlessDone(state, maxFrames); played++) {
+    state = step(state, controllerInput(controller, state), FIXED_DT).state;
+  }
+  return state;
+}
+
+export function headlessDone(state, maxFrames = Infinity) {
+  return state.status === "over" || state.frame >= maxFrames;
+}
@@ -0,0 +1,60 @@
+// ==================================================================
+// Trained autopilot storage & file export/import (browser only)
+// ==================================================================
+// Keeps the network picked on the training page in localStorage
+// (flappyAutopilot), so the attract mode on the start screen flies with
+// it, and lets the player download/upload weights as JSON files.
+
+import { heuristicAutopilot } from "./autopilot";
+import { parseNetwork, networkController } from "./neuralNet";
+
+const KEY = "flappyAutopilot";
+
+export function loadAutopilotNetwork() {
+  try {
+    const text = localStorage.getItem(KEY);
+    return text ? parseNetwork(text) : null;
+  } catch {
+    return null; // corrupted or outdated entry → behave as if there's none
+  }
+}
+
+export function saveAutopilotNetwork(network) {
+  localStorage.setItem(KEY, JSON.stringify(network));
+}
+
+export function clearAutopilotNetwork() {
+  localStorage.removeItem(KEY);
+}
+
+// ==================================================================
+// FUNCTION: The controller the game's autopilot should use
+// ==================================================================
+// The trained network if there is one, otherwise the built-in heuristic.
+export function loadAutopilot() {
+  const network = loadAutopilotNetwork();
+  return network ? networkController(network, "Trained autopilot") : heuristicAutopilot;
+}
+
+// ==================================================================
+// FUNCTION: Download a network as a .json file
+// ==================================================================
+export function exportNetwork(network, name = "flappy-autopilot") {
+  const blob = new Blob([JSON.stringify(network, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `${name}.json`;
+  link.click();
+
+  URL.revokeObjectURL(url);
+}
+
+// ==================================================================
+// FUNCTION: Read a network from a File chosen by the player
+// ==================================================================
+// Resolves with the network, rejects with a readable Error.
+export async function importNetwork(file) {
+  return parseNetwork(await file.text());
+}
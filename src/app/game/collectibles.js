@@ -0,0 +1,109 @@
+// ==================================================================
+// Collectibles: coins and power-ups in the pipe gaps
+// ==================================================================
+// Only used when the game config has collectibles: true (see GAME_MODES in
+// modes.js — Classic and the Daily Challenge stay pure).
+//
+// When a pipe spawns it may carry one item, floating in the middle of its
+// gap (the upper gap of a double pipe; hazards carry none). The item is stored on the pipe (pipe.item), so it moves with it:
+//   pipe.item = { type: "coin" | "shield" | "slow" | "shrink", taken: false }
+//
+// Power-ups last a few seconds; the time left of each one is kept in
+// state.powerUps ({ shield, slow, shrink }, seconds, 0 = off):
+//   shield → the next pipe hit is forgiven (the pipe is smashed instead)
+//   slow   → the whole world runs at SLOW_FACTOR speed
+//   shrink → the bird (and its hitbox) is SHRINK_SCALE its normal size
+//
+// Like everything in the engine this is deterministic: whether a pipe
+// gets an item, and which one, comes from the game's seeded PRNG.
+
+import { PIPE_WIDTH } from "./constants";
+import { nextRandom } from "./random";
+import { pipeGaps } from "./obstacles";
+
+export const COIN_VALUE = 2;          // bonus points per coin
+export const ITEM_SIZE = 24;          // items are drawn (and collected) as a 24px circle/square
+
+const COIN_CHANCE = 0.45;             // chance a pipe carries a coin
+const POWER_UP_CHANCE = 0.15;         // chance it carries a power-up instead
+
+export const SLOW_FACTOR = 0.6;       // world speed while "slow" is active
+export const SHRINK_SCALE = 0.6;      // bird size while "shrink" is active
+
+// symbol → drawn on the item in the world (both renderers)
+export const POWER_UPS = {
+  shield: { id: "shield", label: "Shield", seconds: 10, color: "#38bdf8", symbol: "S" },
+  slow: { id: "slow", label: "Slow-mo", seconds: 6, color: "#a78bfa", symbol: "~" },
+  shrink: { id: "shrink", label: "Shrink", seconds: 8, color: "#f472b6", symbol: "−" },
+};
+
+export const COIN_COLOR = "#facc15";
+export const SMASHED_OPACITY = 0.35;  // pipes broken by the shield fade out
+
+// Fill color and symbol of an item
+export function itemLook(item) {
+  return item.type === "coin"
+    ? { color: COIN_COLOR, symbol: "$" }
+    : { color: POWER_UPS[item.type].color, symbol: POWER_UPS[item.type].symbol };
+}
+
+// No power-up active
+export function noPowerUps() {
+  return { shield: 0, slow: 0, shrink: 0 };
+}
+
+// ==================================================================
+// FUNCTION: Roll the item for a new pipe
+// ==================================================================
+// Returns { item, rng } — item is null for most pipes.
+export function rollItem(rng) {
+  const roll = nextRandom(rng);
+
+  if (roll.value < COIN_CHANCE) {
+    return { item: { type: "coin", taken: false }, rng: roll.rng };
+  }
+
+  if (roll.value < COIN_CHANCE + POWER_UP_CHANCE) {
+    const pick = nextRandom(roll.rng);
+    const types = Object.keys(POWER_UPS);
+    const type = types[Math.floor(pick.value * types.length)];
+    return { item: { type, taken: false }, rng: pick.rng };
+  }
+
+  return { item: null, rng: roll.rng };
+}
+
+// ==================================================================
+// FUNCTION: Where a pipe's item is (its collection square)
+// ==================================================================
+// floor → y of the ground line (see floorY() in engine.js)
+export function itemRect(pipe, floor) {
+  const [gap] = pipeGaps(pipe, floor);
+
+  return {
+    x: pipe.x + PIPE_WIDTH / 2 - ITEM_SIZE / 2,
+    y: (gap.top + gap.bottom) / 2 - ITEM_SIZE / 2,
+    width: ITEM_SIZE,
+    height: ITEM_SIZE,
+  };
+}
+
+// ==================================================================
+// FUNCTION: Count power-up timers down
+// ==================================================================
+export function tickPowerUps(powerUps, dt) {
+  return {
+    shield: Math.max(0, powerUps.shield - dt),
+    slow: Math.max(0, powerUps.slow - dt),
+    shrink: Math.max(0, powerUps.shrink - dt),
+  };
+}
+
+// ==================================================================
+// FUNCTION: Active power-ups with their time left (for the HUD)
+// ==================================================================
+export function activePowerUps(powerUps) {
+  return Object.values(POWER_UPS)
+    .filter((p) => powerUps?.[p.id] > 0)
+    .map((p) => ({ ...p, remaining: powerUps[p.id] }));
+}
@@ -0,0 +1,27 @@
+// ==================================================================
+// Game constants: physics & dimensions
+// ==================================================================
+// Kept in their own module so both engine.js and hitboxes.js can use them
+// without importing each other. engine.js re-exports everything here.
+
+// The world is always this big, on every screen. The view is scaled to
+// fit the window (see useViewportScale.js) so every device sees the same
+// course and scores are comparable.
+export const WORLD_WIDTH = 800;     // Logical width of the playfield (px)
+export const WORLD_HEIGHT = 600;    // Logical height of the playfield (px)
+export const GROUND_HEIGHT = 80;    // Ground strip at the bottom; its top edge is the floor
+
+export const BIRD_WIDTH = 40;       // Width of bird (px)
+export const BIRD_HEIGHT = 30;      // Height of bird (px)
+export const PIPE_WIDTH = 60;       // Width of pipes (px)
+export const PIPE_GAP = 200;        // Vertical gap between top & bottom pipes
+export const GRAVITY = 1560;        // Gravity pulls bird downward (px per second²)
+export const JUMP_FORCE = -440;     // Upward velocity when bird jumps (px per second)
+export const PIPE_SPEED = 125;      // Horizontal speed of pipes (px per second)
+export const PIPE_SPACING = 250;    // Distance from the right edge before a new pipe spawns
+export const BIRD_X = 100;          // Fixed horizontal position of the bird
+
+// The engine is always advanced in slices of exactly this many seconds.
+// A fixed step means the same inputs always give the same result,
+// no matter how fast or slow the screen refreshes.
+export const FIXED_DT = 1 / 60;
@@ -0,0 +1,209 @@
+// ==================================================================
+// Hand-made courses (framework-free)
+// ==================================================================
+// Random courses come from a seed. A hand-made course instead lists every
+// obstacle, in order:
+//
+// {
+//   format: "flappy-course",
+//   version: 1,
+//   name: "My course",
+//   physics: { gravity, jumpForce, pipeSpeed },   → optional overrides of the
+//                                                   engine config (any subset)
+//   finish: 300,                                 → px from the last pipe to
+//                                                   the finish line
+//   pipes: [
+//     { spacing, gapY, gapSize, kind },
+//     ...
+//   ],
+// }
+//
+// spacing → px from the previous pipe (left edge to left edge); for the
+//           first pipe, from the right edge of the screen at the start
+// gapY    → y of the middle of the gap (see placeObstacle() in obstacles.js
+//           for double pipes and hazards)
+// gapSize → gap size in px (each of the two gaps of a double pipe)
+// kind    → an obstacle kind from OBSTACLES ("static", "moving", …)
+//
+// The engine plays a course when config.course is set (see courseConfig())
+// and ends the run with a "finish" event once the bird crosses the finish
+// line. Courses can be shared as JSON files or as a short string that
+// fits in a URL (encodeCourse()).
+
+import { DEFAULT_CONFIG, floorY } from "./engine";
+import { OBSTACLES } from "./obstacles";
+
+export const COURSE_FORMAT = "flappy-course";
+export const COURSE_VERSION = 1;
+
+export const MAX_COURSE_PIPES = 500;
+export const MIN_SPACING = 100;    // pipes are 60px wide; keep some air between them
+export const MAX_SPACING = 2000;
+export const MIN_GAP = 80;
+export const MAX_GAP = 400;
+export const MAX_NAME_LENGTH = 40;
+export const DEFAULT_FINISH = 300;
+
+// The checkered finish line (drawn by both renderers)
+export const FINISH_WIDTH = 16;
+export const FINISH_SQUARE = 8;
+
+// The engine config fields a course may override, with sane limits
+export const PHYSICS_LIMITS = {
+  gravity: { label: "Gravity", min: 200, max: 5000 },
+  jumpForce: { label: "Jump force", min: -1500, max: -100 },
+  pipeSpeed: { label: "Pipe speed", min: 30, max: 600 },
+};
+
+// A new pipe in the editor
+export function defaultCoursePipe(config = DEFAULT_CONFIG) {
+  return {
+    spacing: config.pipeSpacing,
+    gapY: Math.round(floorY(config) / 2),
+    gapSize: config.pipeGap,
+    kind: "static",
+  };
+}
+
+// ==================================================================
+// SAMPLE_COURSE: played in Course mode until another one is loaded
+// ==================================================================
+const SAMPLE_LAYOUT = [
+  [0, 260, 200, "static"],
+  [250, 200, 200, "static"],
+  [250, 320, 190, "static"],
+  [260, 260, 190, "moving"],
+  [280, 180, 180, "static"],
+  [220, 300, 180, "closing"],
+  [300, 260, 130, "double"],
+  [300, 260, 0, "hazard"],
+  [260, 340, 170, "static"],
+  [200, 220, 170, "moving"],
+];
+
+export const SAMPLE_COURSE = {
+  format: COURSE_FORMAT,
+  version: COURSE_VERSION,
+  name: "Sample course",
+  physics: {},
+  finish: DEFAULT_FINISH,
+  pipes: SAMPLE_LAYOUT.map(([spacing, gapY, gapSize, kind]) => ({ spacing, gapY, gapSize, kind })),
+};
+
+// ==================================================================
+// FUNCTION: Check a course (and tidy it up)
+// ==================================================================
+// Throws an Error with a readable message if it isn't a course this game
+// can play. Returns a clean copy with only the known fields.
+export function checkCourse(data) {
+  if (!data || typeof data !== "object") throw new Error("Not a course");
+  if (data.format !== COURSE_FORMAT) throw new Error("Not a Flappy Bird course");
+  if (data.version !== COURSE_VERSION) throw new Error(`Unsupported course version ${data.version}`);
+
+  const { pipes } = data;
+  if (!Array.isArray(pipes) || pipes.length === 0) throw new Error("The course has no pipes");
+  if (pipes.length > MAX_COURSE_PIPES) throw new Error(`A course can have at most ${MAX_COURSE_PIPES} pipes`);
+
+  const inRange = (value, min, max) => Number.isFinite(value) && value >= min && value <= max;
+
+  const clean = pipes.map((pipe, i) => {
+    const { spacing, gapY, gapSize, kind } = pipe ?? {};
+    const where = `Pipe ${i + 1}`;
+    if (!OBSTACLES[kind]) throw new Error(`${where}: unknown kind "${kind}"`);
+    if (!inRange(spacing, i === 0 ? 0 : MIN_SPACING, MAX_SPACING)) throw new Error(`${where}: spacing out of range`);
+    if (!inRange(gapY, 0, DEFAULT_CONFIG.height)) throw new Error(`${where}: gap position out of range`);
+    if (kind !== "hazard" && !inRange(gapSize, MIN_GAP, MAX_GAP)) throw new Error(`${where}: gap size out of range`);
+    return { spacing, gapY, gapSize: kind === "hazard" ? 0 : gapSize, kind };
+  });
+
+  const physics = {};
+  for (const [key, { label, min, max }] of Object.entries(PHYSICS_LIMITS)) {
+    const value = data.physics?.[key];
+    if (value === undefined || value === null) continue;
+    if (!inRange(value, min, max)) throw new Error(`${label} must be between ${min} and ${max}`);
+    physics[key] = value;
+  }
+
+  const finish = data.finish ?? DEFAULT_FINISH;
+  if (!inRange(finish, 0, MAX_SPACING)) throw new Error("Finish line distance out of range");
+
+  return {
+    format: COURSE_FORMAT,
+    version: COURSE_VERSION,
+    name: String(data.name || "Untitled course").slice(0, MAX_NAME_LENGTH),
+    physics,
+    finish,
+    pipes: clean,
+  };
+}
+
+// ==================================================================
+// FUNCTION: Read a course from JSON text
+// ==================================================================
+export function parseCourse(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Course file is not valid JSON");
+  }
+  return checkCourse(data);
+}
+
+// ==================================================================
+// FUNCTIONS: Courses as URL-safe strings
+// ==================================================================
+// The pipes are packed as [spacing, gapY, gapSize, kind] arrays to keep
+// links short, then the JSON is base64url-encoded (UTF-8 safe, so names
+// can have any characters).
+export function encodeCourse(course) {
+  const packed = { ...course, pipes: course.pipes.map((p) => [p.spacing, p.gapY, p.gapSize, p.kind]) };
+  const bytes = new TextEncoder().encode(JSON.stringify(packed));
+  let binary = "";
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+// Throws an Error with a readable message if the string isn't a course.
+export function decodeCourse(text) {
+  let packed;
+  try {
+    const binary = atob(String(text).replace(/-/g, "+").replace(/_/g, "/"));
+    const bytes = Uint8Array.from(binary, (c) => c.charCodeAt(0));
+    packed = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    throw new Error("This course link is broken");
+  }
+
+  const pipes = Array.isArray(packed?.pipes)
+    ? packed.pipes.map((p) => (Array.isArray(p) ? { spacing: p[0], gapY: p[1], gapSize: p[2], kind: p[3] } : p))
+    : packed?.pipes;
+  return checkCourse({ ...packed, pipes });
+}
+
+// ==================================================================
+// FUNCTION: Engine config for playing a course
+// ==================================================================
+// start → index of the pipe to start from (the editor's "test from
+// here"); that pipe enters at the right edge of the screen.
+export function courseConfig(course, start = 0) {
+  return {
+    ...course.physics,
+    ramp: null,
+    collectibles: false,
+    obstacles: null,
+    course: { pipes: course.pipes, finish: course.finish, start },
+  };
+}
+
+// ==================================================================
+// FUNCTION: Where every pipe is, measured from the start
+// ==================================================================
+// Returns the x of each pipe's left edge and of the finish line, in world
+// pixels from the right edge of the screen at the start (the editor's
+// timeline).
+export function coursePositions(course) {
+  let x = 0;
+  const pipes = course.pipes.map((pipe) => (x += pipe.spacing));
+  return { pipes, finish: x + course.finish };
+}
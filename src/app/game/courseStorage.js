@@ -0,0 +1,64 @@
+// ==================================================================
+// Course storage, file export/import & share links (browser only)
+// ==================================================================
+// Keeps the course being edited / played in localStorage (flappyCourse):
+// the editor saves every change there and Course mode plays it. Courses
+// travel as .json files or as links with the course in the URL
+// (?course=…, see encodeCourse() in course.js).
+
+import { parseCourse, encodeCourse, decodeCourse } from "./course";
+
+const KEY = "flappyCourse";
+const URL_PARAM = "course";
+
+export function loadCourse() {
+  try {
+    const text = localStorage.getItem(KEY);
+    return text ? parseCourse(text) : null;
+  } catch {
+    return null; // corrupted or outdated entry → behave as if there's none
+  }
+}
+
+export function saveCourse(course) {
+  localStorage.setItem(KEY, JSON.stringify(course));
+}
+
+// ==================================================================
+// FUNCTION: Download a course as a .json file
+// ==================================================================
+export function exportCourse(course) {
+  const blob = new Blob([JSON.stringify(course, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+
+  const slug = course.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "course";
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `flappy-course-${slug}.json`;
+  link.click();
+
+  URL.revokeObjectURL(url);
+}
+
+// ==================================================================
+// FUNCTION: Read a course from a File chosen by the player
+// ==================================================================
+// Resolves with the course, rejects with a readable Error.
+export async function importCourse(file) {
+  return parseCourse(await file.text());
+}
+
+// ==================================================================
+// FUNCTIONS: Share links
+// ==================================================================
+// path → "/" opens the course in the game, "/editor" in the editor
+export function courseLink(course, path = "/") {
+  return `${window.location.origin}${path}?${URL_PARAM}=${encodeCourse(course)}`;
+}
+
+// The course in the current page's URL: the course, null if there is
+// none, or a thrown Error if the link is broken.
+export function courseFromUrl() {
+  const param = new URLSearchParams(window.location.search).get(URL_PARAM);
+  return param ? decodeCourse(param) : null;
+}
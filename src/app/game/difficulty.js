@@ -0,0 +1,59 @@
+// ==================================================================
+// Difficulty presets
+// ==================================================================
+// Each preset is a set of engine config overrides (see DEFAULT_CONFIG in
+// engine.js). "normal" has the original physics.
+//
+// obstacles → which obstacle variants are mixed in between the normal
+// pipes, and from which score on (see obstacles.js). "normal" has none: it
+// stays the original plain-pipe game, so its bests and leaderboard runs
+// from before the variants are still comparable. Easy gets a few late,
+// Hard more and sooner.
+//
+// ramp → used only when progressive difficulty is switched on. For every
+// point scored the gap shrinks by gapStep (down to minGap) and the pipes
+// speed up by speedStep (up to maxSpeed). See currentDifficulty() in
+// engine.js.
+
+export const DIFFICULTIES = {
+  easy: {
+    id: "easy",
+    label: "Easy",
+    config: {
+      gravity: 1300,
+      pipeGap: 240,
+      pipeSpeed: 105,
+      pipeSpacing: 300,
+      obstacles: { after: 10, mix: { moving: 0.15, closing: 0.1 } },
+    },
+    ramp: { gapStep: 2, minGap: 180, speedStep: 2, maxSpeed: 160 },
+  },
+  normal: {
+    id: "normal",
+    label: "Normal",
+    config: {
+      obstacles: null,
+    },
+    ramp: { gapStep: 3, minGap: 150, speedStep: 3, maxSpeed: 200 },
+  },
+  hard: {
+    id: "hard",
+    label: "Hard",
+    config: {
+      gravity: 1700,
+      pipeGap: 170,
+      pipeSpeed: 150,
+      pipeSpacing: 220,
+      obstacles: { after: 3, mix: { moving: 0.25, closing: 0.2, double: 0.15, hazard: 0.15 } },
+    },
+    ramp: { gapStep: 3, minGap: 130, speedStep: 4, maxSpeed: 240 },
+  },
+};
+
+export const DEFAULT_DIFFICULTY = "normal";
+
+// Engine config overrides for a difficulty, with or without the ramp.
+export function difficultyConfig(id, ramp = false) {
+  const preset = DIFFICULTIES[id] || DIFFICULTIES[DEFAULT_DIFFICULTY];
+  return { ...preset.config, ramp: ramp ? preset.ramp : null };
+}
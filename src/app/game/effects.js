@@ -0,0 +1,217 @@
+// ==================================================================
+// Visual effects ("juice"): particles, pop-ups, shake, flash, death
+// ==================================================================
+// Effects only change how the game LOOKS. They are kept completely apart
+// from the engine state, so they can never change the outcome of a run
+// (replays and the server's re-simulation don't know they exist) and they
+// may use Math.random() freely.
+//
+// Like the engine, everything here is a pure function on a plain object:
+//   createEffects()                          → empty effects state
+//   addEffects(fx, event, state, options)    → react to an engine event
+//   stepEffects(fx, dt, floor)               → animate by dt seconds
+//
+// Effects state:
+// {
+//   particles: [{ id, x, y, vx, vy, angle, spin, age, life }],  → feathers
+//   popups:    [{ id, x, y, text, age }],                       → "+1", "+2", "Shield" …
+//   shake,     → seconds of screen shake left
+//   flash,     → white flash opacity (0 → none)
+//   dying,     → { bird, gravity, hold } while the bird tumbles to the ground
+//   nextId,
+// }
+//
+// reducedMotion: no particles, shake or flash, pop-ups fade in place and
+// the death sequence is skipped.
+
+import { BIRD_WIDTH, BIRD_HEIGHT } from "./constants";
+import { birdHitbox, verticalBounds } from "./hitboxes";
+import { COIN_VALUE, POWER_UPS } from "./collectibles";
+
+// ==================================================================
+// CONSTANTS: Effect tuning
+// ==================================================================
+const FLAP_FEATHERS = 5;         // particles per flap
+const CRASH_FEATHERS = 14;       // particles when the bird crashes
+const FEATHER_LIFE = 0.7;        // seconds
+const FEATHER_GRAVITY = 300;     // feathers float down slowly (px/s²)
+
+const POPUP_LIFE = 0.8;          // seconds a "+1" stays visible
+const POPUP_RISE = 50;           // px a pop-up floats up during its life
+
+const SHAKE_SECONDS = 0.35;
+const SHAKE_STRENGTH = 8;        // max offset in px at the start of the shake
+const FLASH_FADE = 4;            // flash opacity lost per second
+
+const TUMBLE_SPIN = 540;         // degrees per second while falling
+const TUMBLE_ANGLE = 90;         // ends nose down
+const DEATH_HOLD = 0.5;          // seconds on the ground before "Game Over"
+
+// ==================================================================
+// FUNCTION: Empty effects state
+// ==================================================================
+export function createEffects() {
+  return { particles: [], popups: [], shake: 0, flash: 0, dying: null, nextId: 0 };
+}
+
+// Some feathers bursting out of the bird
+function feathers(fx, bird, count, speed) {
+  const particles = [];
+  for (let i = 0; i < count; i++) {
+    const direction = Math.PI * (0.5 + Math.random()); // mostly backwards
+    particles.push({
+      id: fx.nextId + i,
+      x: bird.x + BIRD_WIDTH * 0.3,
+      y: bird.y + BIRD_HEIGHT * 0.5,
+      vx: Math.cos(direction) * speed * (0.5 + Math.random()),
+      vy: Math.sin(direction) * speed * (0.5 + Math.random()),
+      angle: Math.random() * 360,
+      spin: (Math.random() - 0.5) * 720,
+      age: 0,
+      life: FEATHER_LIFE * (0.7 + Math.random() * 0.6),
+    });
+  }
+  return { ...fx, particles: [...fx.particles, ...particles], nextId: fx.nextId + count };
+}
+
+// A line of text floating up from just above the bird
+function popup(fx, bird, text) {
+  return {
+    ...fx,
+    popups: [...fx.popups, { id: fx.nextId, x: bird.x + BIRD_WIDTH / 2, y: bird.y - 10, text, age: 0 }],
+    nextId: fx.nextId + 1,
+  };
+}
+
+// ==================================================================
+// FUNCTION: React to an engine event
+// ==================================================================
+// state → the engine state AFTER the step that produced the event
+export function addEffects(fx, event, state, { reducedMotion = false } = {}) {
+  const { bird } = state;
+
+  switch (event.type) {
+    case "flap":
+      return reducedMotion ? fx : feathers(fx, bird, FLAP_FEATHERS, 120);
+
+    case "score":
+      return popup(fx, bird, "+1");
+
+    case "collect":
+      return popup(fx, bird, event.item === "coin" ? `+${COIN_VALUE}` : POWER_UPS[event.item].label);
+
+    case "shield": {
+      const burst = reducedMotion ? fx : feathers(fx, bird, FLAP_FEATHERS, 180);
+      return popup(burst, bird, "Smash!");
+    }
+
+    case "finish":
+      return popup(fx, bird, "Finish!");
+
+    case "collision": {
+      if (reducedMotion) return fx;
+      const burst = feathers(fx, bird, CRASH_FEATHERS, 220);
+      return {
+        ...burst,
+        shake: SHAKE_SECONDS,
+        flash: 1,
+        // The bird falls from where it crashed, with the run's own gravity
+        // (it differs per difficulty); pipe hits stop it dead first
+        dying: {
+          bird: { ...bird, velocity: Math.max(bird.velocity, 0), angle: 0 },
+          gravity: state.config.gravity,
+          hold: DEATH_HOLD,
+        },
+      };
+    }
+
+    default:
+      return fx;
+  }
+}
+
+// ==================================================================
+// FUNCTION: Animate all effects by dt seconds
+// ==================================================================
+// floor → y of the ground line, where the tumbling bird comes to rest
+export function stepEffects(fx, dt, floor) {
+  const particles = fx.particles
+    .map((p) => ({
+      ...p,
+      x: p.x + p.vx * dt,
+      y: p.y + p.vy * dt,
+      vy: p.vy + FEATHER_GRAVITY * dt,
+      vx: p.vx * (1 - dt), // air drag
+      angle: p.angle + p.spin * dt,
+      age: p.age + dt,
+    }))
+    .filter((p) => p.age < p.life);
+
+  const popups = fx.popups
+    .map((p) => ({ ...p, age: p.age + dt }))
+    .filter((p) => p.age < POPUP_LIFE);
+
+  return {
+    ...fx,
+    particles,
+    popups,
+    shake: Math.max(0, fx.shake - dt),
+    flash: Math.max(0, fx.flash - FLASH_FADE * dt),
+    dying: fx.dying && stepDying(fx.dying, dt, floor),
+  };
+}
+
+// The bird falls and spins nose down until it hits the ground, lies
+// there for a moment, and then the death sequence is over (null).
+function stepDying(dying, dt, floor) {
+  const { bird, gravity } = dying;
+  const onGround = verticalBounds(birdHitbox(bird)).bottom >= floor;
+
+  if (onGround) {
+    const hold = dying.hold - dt;
+    return hold > 0 ? { ...dying, hold } : null;
+  }
+
+  const fallen = {
+    ...bird,
+    y: bird.y + bird.velocity * dt,
+    velocity: bird.velocity + gravity * dt,
+    angle: Math.min(TUMBLE_ANGLE, bird.angle + TUMBLE_SPIN * dt),
+  };
+
+  // Don't sink into the ground
+  const overlap = verticalBounds(birdHitbox(fallen)).bottom - floor;
+  return { ...dying, bird: overlap > 0 ? { ...fallen, y: fallen.y - overlap } : fallen };
+}
+
+// ==================================================================
+// FUNCTION: Is anything still animating?
+// ==================================================================
+// The game loop keeps running after game over until this is false.
+export function effectsActive(fx) {
+  return fx.particles.length > 0 || fx.popups.length > 0 || fx.shake > 0 || fx.flash > 0 || fx.dying !== null;
+}
+
+// ==================================================================
+// FUNCTION: Screen shake offset right now
+// ==================================================================
+// Random jitter that fades out over the shake duration.
+export function shakeOffset(fx) {
+  if (fx.shake <= 0) return { x: 0, y: 0 };
+  const strength = SHAKE_STRENGTH * (fx.shake / SHAKE_SECONDS);
+  return { x: (Math.random() * 2 - 1) * strength, y: (Math.random() * 2 - 1) * strength };
+}
+
+// ==================================================================
+// FUNCTION: Pop-up position and opacity
+// ==================================================================
+// reducedMotion → fade in place instead of floating up
+export function popupStyle(popup, reducedMotion) {
+  const t = popup.age / POPUP_LIFE;
+  return { x: popup.x, y: reducedMotion ? popup.y : popup.y - POPUP_RISE * t, opacity: 1 - t };
+}
+
+// Feather opacity: fades out over its life
+export function particleOpacity(particle) {
+  return 1 - particle.age / particle.life;
+}
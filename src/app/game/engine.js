@@ -0,0 +1,374 @@
+// ==================================================================
+// Flappy Bird simulation engine (framework-free)
+// ==================================================================
+// All of the game RULES live here: physics, pipe spawning, collision and
+// scoring. Nothing in this file knows about React, the DOM or the browser,
+// so the same rules can be run in a component, in a headless test, in a bot
+// or on a server.
+//
+// The engine is built around two pure functions:
+//   createGame(config, seed) → a brand new game state
+//   step(state, input, dt)   → { state, events } for the next tick
+//
+// "state" is never mutated — every step returns a new object. "events"
+// tells the caller what happened during that tick (a pipe spawned, a point
+// was scored, the bird crashed) so the UI can react without re-deriving it.
+
+import { nextRandom } from "./random";
+import { birdHitbox, pipeHitbox, polygonHitsRect, verticalBounds } from "./hitboxes";
+import {
+  COIN_VALUE,
+  POWER_UPS,
+  SLOW_FACTOR,
+  SHRINK_SCALE,
+  noPowerUps,
+  rollItem,
+  itemRect,
+  tickPowerUps,
+} from "./collectibles";
+import { rollObstacle, createObstacle, placeObstacle, moveObstacle } from "./obstacles";
+
+// ==================================================================
+// CONSTANTS: Game Physics & Dimensions (see constants.js)
+// ==================================================================
+import {
+  WORLD_WIDTH,
+  WORLD_HEIGHT,
+  GROUND_HEIGHT,
+  PIPE_WIDTH,
+  PIPE_GAP,
+  GRAVITY,
+  JUMP_FORCE,
+  PIPE_SPEED,
+  PIPE_SPACING,
+  BIRD_X,
+  FIXED_DT,
+} from "./constants";
+
+export * from "./constants";
+
+// Everything a game can be configured with.
+// Any field can be overridden through createGame(config).
+export const DEFAULT_CONFIG = {
+  width: WORLD_WIDTH,
+  height: WORLD_HEIGHT,
+  groundHeight: GROUND_HEIGHT,  // the floor is this far above the bottom edge
+  birdX: BIRD_X,
+  gravity: GRAVITY,
+  jumpForce: JUMP_FORCE,
+  pipeSpeed: PIPE_SPEED,
+  pipeGap: PIPE_GAP,
+  pipeSpacing: PIPE_SPACING,
+  ramp: null,   // progressive difficulty, see currentDifficulty()
+  collectibles: false, // coins & power-ups in the pipe gaps, see collectibles.js
+  obstacles: null,     // moving / double / hazard variants, see obstacles.js
+  course: null,        // a hand-made course instead of random pipes, see course.js
+};
+
+// ==================================================================
+// FUNCTION: Create a new game
+// ==================================================================
+// status is one of:
+//   "ready"   → waiting for the first jump
+//   "playing" → the simulation is running
+//   "over"    → the bird crashed (or crossed a course's finish line, then
+//               finished is true); step() does nothing anymore
+export function createGame(config = {}, seed = 0) {
+  const cfg = { ...DEFAULT_CONFIG, ...config };
+  const { course } = cfg;
+
+  return {
+    config: cfg,
+    seed: seed >>> 0,
+    rng: seed >>> 0,   // PRNG state, advanced every time a pipe spawns
+    frame: 0,          // number of "playing" steps simulated so far
+    time: 0,           // seconds of play simulated so far
+    status: "ready",
+    bird: { x: cfg.birdX, y: floorY(cfg) / 2, velocity: 0, scale: 1 },
+    pipes: [],
+    distance: 0,       // how far the world has scrolled (px); drives the parallax
+    nextPipeId: 0,     // stable ids so renderers can key pipes properly
+    score: 0,          // pipes passed + coin bonus points
+    pipesPassed: 0,
+    coins: 0,
+    powerUps: noPowerUps(), // seconds left of each power-up (see collectibles.js)
+    // Hand-made course: index of the next pipe, where it goes (screen x)
+    // and the finish line once it is on its way (see spawnCoursePipes())
+    course: course
+      ? { index: course.start, nextX: cfg.width + (course.start === 0 ? course.pipes[0].spacing : 0), finishX: null }
+      : null,
+    finished: false,
+  };
+}
+
+// ==================================================================
+// FUNCTION: y of the floor (the top edge of the ground)
+// ==================================================================
+// Everything above it is sky the bird can fly in; bottom pipes stand on it.
+export function floorY(config) {
+  return config.height - config.groundHeight;
+}
+
+// ==================================================================
+// FUNCTION: Gap size and pipe speed right now
+// ==================================================================
+// Without a ramp these are just the config values. With config.ramp
+// ({ gapStep, minGap, speedStep, maxSpeed }) the game gets harder with
+// every point: the gap shrinks and the pipes speed up, within limits.
+export function currentDifficulty(state) {
+  const { config, score } = state;
+  const { ramp } = config;
+
+  if (!ramp) return { pipeGap: config.pipeGap, pipeSpeed: config.pipeSpeed };
+
+  return {
+    pipeGap: Math.max(ramp.minGap, config.pipeGap - score * ramp.gapStep),
+    pipeSpeed: Math.min(ramp.maxSpeed, config.pipeSpeed + score * ramp.speedStep),
+  };
+}
+
+// ==================================================================
+// FUNCTION: Spawn a pipe (or another obstacle) at the right edge
+// ==================================================================
+function spawnPipe(state) {
+  const { config } = state;
+  const { pipeGap } = currentDifficulty(state);
+  let { value, rng } = nextRandom(state.rng);
+
+  // Maybe put a coin or power-up in the gap. Only rolled when collectibles
+  // are on, so courses without them stay exactly the same.
+  let item = null;
+  if (config.collectibles) ({ item, rng } = rollItem(rng));
+
+  // Same for the obstacle variants
+  let kind = "static";
+  if (config.obstacles) ({ kind, rng } = rollObstacle(rng, config.obstacles, state.score));
+
+  const floor = floorY(config);
+  const obstacle = createObstacle(kind, { value, rng, floor, pipeGap });
+  rng = obstacle.rng;
+
+  const pipe = {
+    id: state.nextPipeId,
+    x: config.width,
+    ...obstacle.shape,
+    passed: false,
+    ...(item && obstacle.shape.kind !== "hazard" && { item }), // a hazard has no gap to put it in
+  };
+
+  return {
+    state: { ...state, rng, nextPipeId: state.nextPipeId + 1, pipes: [...state.pipes, pipe] },
+    pipe,
+  };
+}
+
+// ==================================================================
+// FUNCTION: Spawn a hand-made course's next pipes
+// ==================================================================
+// Every pipe whose place has scrolled up to the right edge is created,
+// exactly there. The finish line follows the last one.
+// Returns { state, spawned } (spawned → the new pipes).
+function spawnCoursePipes(state) {
+  const { config } = state;
+  const { pipes: layout, finish } = config.course;
+  const floor = floorY(config);
+  let { index, nextX, finishX } = state.course;
+  let { nextPipeId } = state;
+
+  const spawned = [];
+  while (index < layout.length && nextX <= config.width) {
+    const { kind, gapY, gapSize } = layout[index];
+    spawned.push({
+      id: nextPipeId++,
+      x: nextX,
+      ...placeObstacle(kind, { center: gapY, gap: gapSize, floor }),
+      passed: false,
+    });
+
+    index += 1;
+    if (index < layout.length) nextX += layout[index].spacing;
+    else finishX = nextX + finish;
+  }
+
+  if (spawned.length === 0) return { state, spawned };
+  return {
+    state: { ...state, nextPipeId, pipes: [...state.pipes, ...spawned], course: { index, nextX, finishX } },
+    spawned,
+  };
+}
+
+// ==================================================================
+// FUNCTION: Which part of this pipe does the bird touch?
+// ==================================================================
+// Returns "top", "bottom", "middle", "hazard" or null. Uses the real
+// hitboxes (tilted bird with beak, pipes with rims) from hitboxes.js.
+export function hitsPipe(bird, pipe, floor) {
+  const birdShapes = birdHitbox(bird);
+  for (const rect of pipeHitbox(pipe, floor)) {
+    if (birdShapes.some((shape) => polygonHitsRect(shape, rect))) return rect.part;
+  }
+  return null;
+}
+
+// Does the bird touch this rectangle?
+function birdTouches(bird, rect) {
+  return birdHitbox(bird).some((shape) => polygonHitsRect(shape, rect));
+}
+
+// ==================================================================
+// FUNCTION: Advance the game by one step
+// ==================================================================
+// input → { jump: boolean } — did the player flap during this step?
+// dt    → how many seconds to advance (normally FIXED_DT)
+//
+// Returns { state, events }. Event types:
+//   { type: "start" }                      → first jump started the run
+//   { type: "flap" }                       → the bird flapped (jump input)
+//   { type: "spawn", pipe }                → a new pipe entered the screen
+//   { type: "score", score, pipe }         → the bird passed a pipe
+//   { type: "collect", item, score }       → picked up a coin or power-up
+//                                             (item: "coin" | "shield" | "slow" | "shrink")
+//   { type: "shield", part }               → the shield absorbed a pipe hit
+//   { type: "collision", cause, part }     → cause: "ceiling" | "floor" | "pipe"
+//                                             part: "top" | "bottom" | "middle" | "hazard"
+//                                             (pipe hits only)
+//   { type: "finish", score }              → crossed a hand-made course's finish line
+export function step(state, input = {}, dt = FIXED_DT) {
+  const events = [];
+
+  if (state.status === "over") return { state, events };
+
+  // -------------------------------
+  // WAITING FOR THE FIRST JUMP
+  // -------------------------------
+  if (state.status === "ready") {
+    if (!input.jump) return { state, events };
+
+    // First jump starts the game and creates the first pipe
+    // (on a hand-made course, only if it starts right at the edge)
+    const playing = { ...state, status: "playing" };
+    events.push({ type: "start" }, { type: "flap" });
+
+    if (state.course) {
+      const { state: started, spawned } = spawnCoursePipes(playing);
+      for (const pipe of spawned) events.push({ type: "spawn", pipe });
+      return { state: started, events };
+    }
+
+    const spawned = spawnPipe(playing);
+    events.push({ type: "spawn", pipe: spawned.pipe });
+    return { state: spawned.state, events };
+  }
+
+  const { config } = state;
+  const floor = floorY(config);
+  const { pipeSpeed } = currentDifficulty(state);
+  let next = { ...state, frame: state.frame + 1, time: state.time + dt };
+
+  // Slow-motion slows the world down; power-up timers run in real time
+  const worldDt = state.powerUps.slow > 0 ? dt * SLOW_FACTOR : dt;
+  let powerUps = tickPowerUps(state.powerUps, dt);
+
+  // -------------------------------
+  // BIRD MOVEMENT
+  // -------------------------------
+  const velocity = input.jump ? config.jumpForce : state.bird.velocity;
+  if (input.jump) events.push({ type: "flap" });
+  const newY = state.bird.y + velocity * worldDt;              // move bird
+  const newVelocity = velocity + config.gravity * worldDt;     // gravity effect
+  const scale = powerUps.shrink > 0 ? SHRINK_SCALE : 1;        // shrink power-up
+
+  const movedBird = { ...state.bird, y: newY, velocity: newVelocity, scale };
+  const { top, bottom } = verticalBounds(birdHitbox(movedBird));
+
+  if (top <= 0 || bottom >= floor) {
+    // Collision with floor/ceiling: the bird stays where it was
+    events.push({ type: "collision", cause: top <= 0 ? "ceiling" : "floor" });
+    return { state: { ...next, status: "over" }, events };
+  }
+
+  next.bird = movedBird;
+
+  // -------------------------------
+  // PIPE MOVEMENT (the ground scrolls at the same speed)
+  // -------------------------------
+  next.distance = state.distance + pipeSpeed * worldDt;
+  next.pipes = state.pipes
+    .map((pipe) => ({ ...pipe, x: pipe.x - pipeSpeed * worldDt }))   // move each pipe left
+    .map((pipe) => moveObstacle(pipe, worldDt, floor))               // moving gaps & hazards
+    .filter((pipe) => pipe.x > -PIPE_WIDTH);                         // drop off-screen pipes
+
+  // Generate new pipe if needed
+  if (state.course) {
+    // Hand-made course: the places of the next pipe & the finish line scroll along
+    const { index, nextX, finishX } = state.course;
+    const scroll = pipeSpeed * worldDt;
+    next.course = { index, nextX: nextX - scroll, finishX: finishX === null ? null : finishX - scroll };
+
+    const { state: withPipes, spawned } = spawnCoursePipes(next);
+    next = withPipes;
+    for (const pipe of spawned) events.push({ type: "spawn", pipe });
+  } else {
+    const last = next.pipes[next.pipes.length - 1];
+    if (!last || last.x < config.width - config.pipeSpacing) {
+      const spawned = spawnPipe(next);
+      next = spawned.state;
+      events.push({ type: "spawn", pipe: spawned.pipe });
+    }
+  }
+
+  // -------------------------------
+  // COLLISION DETECTION, PICKUPS & SCORING
+  // -------------------------------
+  let { score, pipesPassed, coins } = next;
+  const pipes = [];
+
+  for (let pipe of next.pipes) {
+    // A pipe smashed by the shield can't be hit again
+    const part = !pipe.smashed && hitsPipe(next.bird, pipe, floor);
+    if (part) {
+      if (powerUps.shield <= 0) {
+        events.push({ type: "collision", cause: "pipe", part });
+        return { state: { ...next, status: "over" }, events };
+      }
+
+      // The shield takes the hit instead
+      powerUps = { ...powerUps, shield: 0 };
+      pipe = { ...pipe, smashed: true };
+      events.push({ type: "shield", part });
+    }
+
+    // Pickups: coin → bonus points, power-up → start (or restart) its timer
+    const { item } = pipe;
+    if (item && !item.taken && birdTouches(next.bird, itemRect(pipe, floor))) {
+      pipe = { ...pipe, item: { ...item, taken: true } };
+      if (item.type === "coin") {
+        score += COIN_VALUE;
+        coins += 1;
+      } else {
+        powerUps = { ...powerUps, [item.type]: POWER_UPS[item.type].seconds };
+      }
+      events.push({ type: "collect", item: item.type, score });
+    }
+
+    // Scoring: bird passed the pipe
+    if (!pipe.passed && next.bird.x > pipe.x + PIPE_WIDTH) {
+      score += 1;
+      pipesPassed += 1;
+      pipe = { ...pipe, passed: true };
+      events.push({ type: "score", score, pipe });
+    }
+
+    pipes.push(pipe);
+  }
+
+  next = { ...next, pipes, score, pipesPassed, coins, powerUps };
+
+  // Hand-made course: the whole bird across the finish line ends the run
+  if (next.course && next.course.finishX !== null && next.bird.x > next.course.finishX) {
+    events.push({ type: "finish", score });
+    return { state: { ...next, status: "over", finished: true }, events };
+  }
+
+  return { state: next, events };
+}
@@ -0,0 +1,217 @@
+// ==================================================================
+// Hitboxes: the exact shapes used for collision
+// ==================================================================
+// The bird is not a plain rectangle: it tilts with its velocity, has a
+// beak that sticks out of the body and rounded corners. Pipes have rims
+// that are wider than the pipe itself. Testing collision against a simple
+// BIRD_WIDTH x BIRD_HEIGHT box gets all of that wrong, so this module
+// describes the real shapes.
+//
+// The same definitions are used by:
+//   - engine.js        → collision
+//   - the renderers    → tilt rotation and rim placement
+//   - DebugOverlay.js  → drawing the hitboxes on screen
+//
+// Shapes:
+//   bird → list of convex polygons ([{x, y}, ...]) in world coordinates
+//   pipe → list of axis-aligned rectangles { x, y, width, height, part }
+//          (any obstacle from obstacles.js)
+
+import { BIRD_WIDTH, BIRD_HEIGHT, PIPE_WIDTH } from "./constants";
+import { hazardRect } from "./obstacles";
+
+// ==================================================================
+// CONSTANTS: Shape details
+// ==================================================================
+export const MAX_TILT = 45;           // degrees
+export const TILT_PER_VELOCITY = 0.05; // degrees of tilt per px/s of velocity
+export const RIM_OVERHANG = 5;         // rim sticks out this far on each side
+export const RIM_HEIGHT = 20;          // rim thickness
+const CORNER_CUT = 4;                  // approximates the rounded body corners
+const HAZARD_INSET = 6;                // the ball's spikes are not all solid
+
+// Bird outline in local coordinates (origin = top-left of the body).
+// Two convex parts: the body (an octagon) and the beak (a triangle).
+const BIRD_SHAPES = [
+  [
+    { x: CORNER_CUT, y: 0 },
+    { x: BIRD_WIDTH - CORNER_CUT, y: 0 },
+    { x: BIRD_WIDTH, y: CORNER_CUT },
+    { x: BIRD_WIDTH, y: BIRD_HEIGHT - CORNER_CUT },
+    { x: BIRD_WIDTH - CORNER_CUT, y: BIRD_HEIGHT },
+    { x: CORNER_CUT, y: BIRD_HEIGHT },
+    { x: 0, y: BIRD_HEIGHT - CORNER_CUT },
+    { x: 0, y: CORNER_CUT },
+  ],
+  [
+    { x: BIRD_WIDTH, y: 14 },
+    { x: BIRD_WIDTH + 10, y: 17 }, // tip of the beak
+    { x: BIRD_WIDTH, y: 20 },
+  ],
+];
+
+// ==================================================================
+// FUNCTION: How far is the bird tilted? (degrees, positive = nose down)
+// ==================================================================
+// A bird with an "angle" (only the tumbling bird of the death animation,
+// see effects.js) keeps that angle instead.
+export function birdTilt(bird) {
+  if (bird.angle !== undefined) return bird.angle;
+  return Math.min(bird.velocity * TILT_PER_VELOCITY, MAX_TILT);
+}
+
+// ==================================================================
+// FUNCTION: Sine & cosine of a tilt (degrees)
+// ==================================================================
+// Not Math.sin() / Math.cos(): their last digits may differ between
+// JavaScript engines, and the server re-simulates every run (collision
+// depends on these). A Taylor series needs only + - × ÷, which give the
+// same bits everywhere; within ±90° it is off by less than 1e-11.
+export function tiltRotation(degrees) {
+  // Into -180…180 (% is exact), then into -90…90: sin & cos of
+  // d ± 180° are those of d with the sign flipped
+  let d = degrees % 360;
+  if (d > 180) d -= 360;
+  else if (d < -180) d += 360;
+  let sign = 1;
+  if (d > 90) {
+    d -= 180;
+    sign = -1;
+  } else if (d < -90) {
+    d += 180;
+    sign = -1;
+  }
+
+  const x = (d * Math.PI) / 180;
+  const x2 = x * x;
+  const sin = x * (1 - (x2 / 6) * (1 - (x2 / 20) * (1 - (x2 / 42) * (1 - (x2 / 72) * (1 - (x2 / 110) * (1 - (x2 / 156) * (1 - x2 / 210)))))));
+  const cos = 1 - (x2 / 2) * (1 - (x2 / 12) * (1 - (x2 / 30) * (1 - (x2 / 56) * (1 - (x2 / 90) * (1 - (x2 / 132) * (1 - (x2 / 182) * (1 - x2 / 240)))))));
+  return { sin: sign * sin, cos: sign * cos };
+}
+
+// ==================================================================
+// FUNCTION: Bird hitbox polygons in world coordinates
+// ==================================================================
+// The shapes are scaled (bird.scale, the shrink power-up) and rotated
+// around the center of the body, exactly like the renderers draw the sprite.
+export function birdHitbox(bird) {
+  const rotation = tiltRotation(birdTilt(bird));
+  const scale = bird.scale ?? 1;
+  const cos = rotation.cos * scale;
+  const sin = rotation.sin * scale;
+  const cx = BIRD_WIDTH / 2;
+  const cy = BIRD_HEIGHT / 2;
+
+  return BIRD_SHAPES.map((shape) =>
+    shape.map((p) => ({
+      x: bird.x + cx + (p.x - cx) * cos - (p.y - cy) * sin,
+      y: bird.y + cy + (p.x - cx) * sin + (p.y - cy) * cos,
+    }))
+  );
+}
+
+// ==================================================================
+// FUNCTION: Pipe hitbox rectangles (bodies + rims)
+// ==================================================================
+// floor → y of the ground line (see floorY() in engine.js); bottom pipes
+// stand on it.
+//
+// Always in this order: top body, top rim, bottom body, bottom rim, and
+// for double pipes also middle body, middle top rim, middle bottom rim.
+// A hazard is a single rectangle, a little smaller than the ball.
+export function pipeHitbox(pipe, floor) {
+  if (pipe.kind === "hazard") {
+    const ball = hazardRect(pipe);
+    return [
+      {
+        part: "hazard",
+        x: ball.x + HAZARD_INSET,
+        y: ball.y + HAZARD_INSET,
+        width: ball.width - HAZARD_INSET * 2,
+        height: ball.height - HAZARD_INSET * 2,
+      },
+    ];
+  }
+
+  const bottomTop = floor - pipe.bottomHeight; // y where the bottom pipe starts
+  const rimX = pipe.x - RIM_OVERHANG;
+  const rimWidth = PIPE_WIDTH + RIM_OVERHANG * 2;
+
+  const rects = [
+    { part: "top", x: pipe.x, y: 0, width: PIPE_WIDTH, height: pipe.topHeight },
+    { part: "top", x: rimX, y: pipe.topHeight - RIM_HEIGHT, width: rimWidth, height: RIM_HEIGHT },
+    { part: "bottom", x: pipe.x, y: bottomTop, width: PIPE_WIDTH, height: pipe.bottomHeight },
+    { part: "bottom", x: rimX, y: bottomTop, width: rimWidth, height: RIM_HEIGHT },
+  ];
+
+  // Double pipe: a block between the two gaps, with a rim on each side
+  if (pipe.middle) {
+    const { y, height } = pipe.middle;
+    rects.push(
+      { part: "middle", x: pipe.x, y, width: PIPE_WIDTH, height },
+      { part: "middle", x: rimX, y, width: rimWidth, height: RIM_HEIGHT },
+      { part: "middle", x: rimX, y: y + height - RIM_HEIGHT, width: rimWidth, height: RIM_HEIGHT }
+    );
+  }
+
+  return rects;
+}
+
+// ==================================================================
+// FUNCTION: Vertical extent of a set of polygons
+// ==================================================================
+// Used for the floor / ceiling check.
+export function verticalBounds(polygons) {
+  let top = Infinity;
+  let bottom = -Infinity;
+  for (const polygon of polygons) {
+    for (const p of polygon) {
+      top = Math.min(top, p.y);
+      bottom = Math.max(bottom, p.y);
+    }
+  }
+  return { top, bottom };
+}
+
+// ==================================================================
+// FUNCTION: Does a convex polygon overlap a rectangle?
+// ==================================================================
+// Separating Axis Theorem: two convex shapes do NOT overlap if we can find
+// a line (axis) on which their shadows don't overlap. For a rectangle and
+// a polygon it's enough to try the rectangle's two axes and the normal of
+// every polygon edge.
+export function polygonHitsRect(polygon, rect) {
+  const corners = [
+    { x: rect.x, y: rect.y },
+    { x: rect.x + rect.width, y: rect.y },
+    { x: rect.x + rect.width, y: rect.y + rect.height },
+    { x: rect.x, y: rect.y + rect.height },
+  ];
+
+  const axes = [{ x: 1, y: 0 }, { x: 0, y: 1 }];
+  for (let i = 0; i < polygon.length; i++) {
+    const a = polygon[i];
+    const b = polygon[(i + 1) % polygon.length];
+    axes.push({ x: -(b.y - a.y), y: b.x - a.x }); // edge normal
+  }
+
+  for (const axis of axes) {
+    const [minA, maxA] = project(polygon, axis);
+    const [minB, maxB] = project(corners, axis);
+    if (maxA <= minB || maxB <= minA) return false; // found a gap
+  }
+
+  return true;
+}
+
+// Shadow of a set of points on an axis → [min, max]
+function project(points, axis) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const p of points) {
+    const d = p.x * axis.x + p.y * axis.y;
+    min = Math.min(min, d);
+    max = Math.max(max, d);
+  }
+  return [min, max];
+}
@@ -0,0 +1,79 @@
+// ==================================================================
+// Input layer: keyboard, pointer/touch and gamepad → game actions
+// ==================================================================
+// Every device is translated into the same small set of ACTIONS, so the
+// game never has to care whether the player pressed Space, tapped the
+// screen or pushed the A button.
+//
+// Bindings come from the player's settings:
+//   settings.keys    → { jump: "Space", jump2: "Enter", pause: "KeyP", debug: "KeyD" }
+//                      (KeyboardEvent.code values)
+//   settings.gamepad → { jump: 0, jump2: null, pause: 9, debug: null }
+//                      (button indexes of the standard gamepad layout)
+// "jump2" is the second player's flap in the local versus mode.
+// A tap / click on the playfield always means "jump". Escape always means
+// "back" (close a menu or pause) and can't be rebound.
+
+export const ACTIONS = ["jump", "jump2", "pause", "debug"];
+
+// Names of the buttons of a "standard" gamepad (Xbox-style labels)
+const GAMEPAD_BUTTONS = [
+  "A", "B", "X", "Y", "LB", "RB", "LT", "RT", "Back", "Start",
+  "L-stick", "R-stick", "D-pad Up", "D-pad Down", "D-pad Left", "D-pad Right", "Home",
+];
+
+// Elements that are part of the UI: pressing them must never flap the bird.
+// Wrap larger UI areas (menus, panels) in data-ui to include the space
+// between their buttons too.
+const UI_SELECTOR = "button, a, input, select, textarea, label, [data-ui]";
+
+// ==================================================================
+// FUNCTION: Is this event target part of the UI?
+// ==================================================================
+export function isUiElement(target) {
+  return Boolean(target && target.closest && target.closest(UI_SELECTOR));
+}
+
+// ==================================================================
+// FUNCTION: Which action is bound to this key? (or null)
+// ==================================================================
+export function actionForKey(settings, code) {
+  if (code === "Escape") return "back";
+  return ACTIONS.find((action) => settings.keys[action] === code) || null;
+}
+
+// ==================================================================
+// FUNCTION: Readable gamepad button name
+// ==================================================================
+export function gamepadButtonLabel(index) {
+  if (index === null || index === undefined) return "–";
+  return GAMEPAD_BUTTONS[index] || `Button ${index}`;
+}
+
+// ==================================================================
+// FUNCTION: Indexes of all pressed buttons on all connected gamepads
+// ==================================================================
+export function pressedGamepadButtons() {
+  const pressed = new Set();
+  if (typeof navigator === "undefined" || !navigator.getGamepads) return pressed;
+
+  for (const pad of navigator.getGamepads()) {
+    if (!pad) continue;
+    pad.buttons.forEach((button, index) => {
+      if (button.pressed) pressed.add(index);
+    });
+  }
+  return pressed;
+}
+
+// ==================================================================
+// FUNCTION: Actions for buttons that were JUST pressed
+// ==================================================================
+// Gamepads have no events for buttons, they have to be polled. Comparing
+// with the previous poll turns "is held" into "was pressed".
+export function gamepadActions(settings, pressed, previouslyPressed) {
+  return ACTIONS.filter((action) => {
+    const button = settings.gamepad[action];
+    return button !== null && pressed.has(button) && !previouslyPressed.has(button);
+  });
+}
@@ -0,0 +1,264 @@
+// ==================================================================
+// Local leaderboard, run history & stats (persisted in localStorage)
+// ==================================================================
+// Everything lives in one versioned JSON object under "flappyStats":
+//
+// {
+//   version: 1,
+//   playerName: "Player",
+//   top: [run, ...],                 → best 10 runs, highest score first
+//   runs: [run, ...],                → run history, newest first (capped)
+//   bests: { [bestKey]: score },     → high score per difficulty, mode & ramp
+//   totals: { games, score, pipes, time },
+// }
+//
+// run = { id, name, score, pipes, difficulty, mode, ramp, seed, duration, date }
+//   duration → seconds survived, date → ISO string
+//
+// Older versions of the game stored only high scores under
+// "flappyHighScore" (Normal) and "flappyHighScore:<difficulty>". Those are
+// migrated into the new format the first time it is loaded.
+//
+// Corrupted or unreadable data never crashes the game: it is kept aside
+// under "flappyStats:corrupt" and a fresh object is started. If only some
+// runs are broken (no numeric score, a date that doesn't parse), just those
+// are dropped and the original text is kept aside the same way.
+
+const STORAGE_KEY = "flappyStats";
+const CORRUPT_KEY = "flappyStats:corrupt";
+export const STATS_VERSION = 1;
+
+export const TOP_SIZE = 10;
+export const HISTORY_SIZE = 500; // keep storage small; totals still count every game
+
+const LEGACY_KEYS = {
+  easy: "flappyHighScore:easy",
+  normal: "flappyHighScore",
+  hard: "flappyHighScore:hard",
+};
+
+// ==================================================================
+// FUNCTION: Which best a run counts for
+// ==================================================================
+// Classic without the ramp is keyed by the difficulty alone ("normal"),
+// like the high scores of older versions; every other mode or ramp gets
+// its own best ("arcade:normal", "classic:normal:ramp"), so coin bonuses
+// and ramp runs don't overwrite the plain game's best.
+export function bestKey(difficulty, mode = "classic", ramp = false) {
+  if (mode === "classic" && !ramp) return difficulty;
+  return `${mode}:${difficulty}${ramp ? ":ramp" : ""}`;
+}
+
+// ==================================================================
+// FUNCTION: An empty stats object
+// ==================================================================
+export function emptyStats() {
+  return {
+    version: STATS_VERSION,
+    playerName: "Player",
+    top: [],
+    runs: [],
+    bests: {},
+    totals: { games: 0, score: 0, pipes: 0, time: 0 },
+  };
+}
+
+// ==================================================================
+// FUNCTION: Build stats from the old single-integer high scores
+// ==================================================================
+function migrateLegacy() {
+  const stats = emptyStats();
+
+  for (const [difficulty, key] of Object.entries(LEGACY_KEYS)) {
+    const score = parseInt(localStorage.getItem(key) || "0");
+    if (Number.isNaN(score) || score <= 0) continue;
+
+    stats.bests[difficulty] = score;
+    stats.top.push({
+      id: `legacy-${difficulty}`,
+      name: stats.playerName,
+      score,
+      pipes: score,
+      difficulty,
+      mode: "classic",
+      seed: null,
+      duration: null, // unknown for old high scores
+      date: null,
+    });
+  }
+
+  stats.top.sort((a, b) => b.score - a.score);
+  return stats;
+}
+
+// ==================================================================
+// FUNCTION: Check that loaded data has the expected shape
+// ==================================================================
+function isValid(data) {
+  return (
+    data &&
+    data.version === STATS_VERSION &&
+    Array.isArray(data.top) &&
+    Array.isArray(data.runs) &&
+    data.bests && typeof data.bests === "object" &&
+    data.totals && typeof data.totals === "object"
+  );
+}
+
+// ==================================================================
+// FUNCTION: Check a single run (top 10 or history entry)
+// ==================================================================
+// Legacy high scores have date: null, so a missing date is fine.
+function isValidRun(run) {
+  return (
+    run && typeof run === "object" &&
+    Number.isFinite(run.score) &&
+    (run.date === null || (typeof run.date === "string" && !Number.isNaN(Date.parse(run.date))))
+  );
+}
+
+// ==================================================================
+// FUNCTION: Drop broken runs, bests and totals from valid-looking data
+// ==================================================================
+// Returns the cleaned stats and whether anything had to be dropped.
+function cleanStats(data) {
+  const top = data.top.filter(isValidRun);
+  const runs = data.runs.filter(isValidRun);
+  const bests = Object.fromEntries(
+    Object.entries(data.bests).filter(([, score]) => Number.isFinite(score))
+  );
+  const totals = { ...emptyStats().totals };
+  for (const key of Object.keys(totals)) {
+    if (Number.isFinite(data.totals[key])) totals[key] = data.totals[key];
+  }
+
+  const dropped =
+    top.length !== data.top.length ||
+    runs.length !== data.runs.length ||
+    Object.keys(bests).length !== Object.keys(data.bests).length ||
+    Object.keys(totals).some((key) => totals[key] !== data.totals[key]);
+
+  return { stats: { ...emptyStats(), ...data, top, runs, bests, totals }, dropped };
+}
+
+// ==================================================================
+// FUNCTION: Load stats
+// ==================================================================
+export function loadStats() {
+  const text = localStorage.getItem(STORAGE_KEY);
+
+  if (text === null) {
+    const migrated = migrateLegacy();
+    saveStats(migrated);
+    return migrated;
+  }
+
+  try {
+    const data = JSON.parse(text);
+    if (isValid(data)) {
+      const { stats, dropped } = cleanStats(data);
+      if (dropped) {
+        // Some entries were broken → keep the original aside, save the rest
+        store(CORRUPT_KEY, text);
+        saveStats(stats);
+      }
+      return stats;
+    }
+  } catch {
+    // fall through
+  }
+
+  // Unreadable → keep a copy for debugging and start over
+  store(CORRUPT_KEY, text);
+  const fresh = emptyStats();
+  saveStats(fresh);
+  return fresh;
+}
+
+// Writing can fail (storage full, or disabled in private browsing). That
+// must never throw: recordRun saves in the middle of a game loop frame.
+function store(key, text) {
+  try {
+    localStorage.setItem(key, text);
+  } catch {
+    // not saved → the stats of this session are kept in memory only
+  }
+}
+
+export function saveStats(stats) {
+  store(STORAGE_KEY, JSON.stringify(stats));
+}
+
+// ==================================================================
+// FUNCTION: Record a finished run
+// ==================================================================
+// Returns the updated stats (already saved) and the run's place in the
+// top 10 (1-based) or null if it didn't make it.
+export function recordRun(stats, { score, pipes, difficulty, mode, ramp = false, seed, duration }) {
+  const run = {
+    id: `${Date.now()}-${Math.floor(Math.random() * 1e6)}`,
+    name: stats.playerName,
+    score,
+    pipes,
+    difficulty,
+    mode,
+    ramp,
+    seed,
+    duration,
+    date: new Date().toISOString(),
+  };
+
+  const top = [...stats.top, run]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, TOP_SIZE);
+  const index = top.indexOf(run);
+  const key = bestKey(difficulty, mode, ramp);
+
+  const next = {
+    ...stats,
+    top,
+    runs: [run, ...stats.runs].slice(0, HISTORY_SIZE),
+    bests: { ...stats.bests, [key]: Math.max(stats.bests[key] || 0, score) },
+    totals: {
+      games: stats.totals.games + 1,
+      score: stats.totals.score + score,
+      pipes: stats.totals.pipes + pipes,
+      time: stats.totals.time + duration,
+    },
+  };
+
+  saveStats(next);
+  return { stats: next, rank: index === -1 ? null : index + 1 };
+}
+
+// ==================================================================
+// FUNCTION: Change the name used for new runs
+// ==================================================================
+export function setPlayerName(stats, name) {
+  const next = { ...stats, playerName: name };
+  saveStats(next);
+  return next;
+}
+
+// ==================================================================
+// FUNCTION: Wipe leaderboard, history and stats (keeps the player name)
+// ==================================================================
+export function clearStats(stats) {
+  const next = { ...emptyStats(), playerName: stats.playerName };
+  saveStats(next);
+  return next;
+}
+
+// ==================================================================
+// FUNCTION: Summary numbers for the stats screen
+// ==================================================================
+export function summarize(stats) {
+  const { games, score, pipes, time } = stats.totals;
+  return {
+    gamesPlayed: games,
+    averageScore: games ? score / games : 0,
+    totalPipes: pipes,
+    totalTime: time,
+    bestScore: stats.top.length ? stats.top[0].score : 0,
+  };
+}
@@ -0,0 +1,58 @@
+// ==================================================================
+// Team leaderboard rules (framework-free)
+// ==================================================================
+// What the server accepts for the shared leaderboard (see
+// src/server/verifySubmission.js), kept here so the game can tell in
+// advance when a run has no chance, e.g. a ghost race on the course of an
+// old daily challenge, instead of sending it and showing an error.
+//
+//   - the current replay version (see REPLAY_VERSION in replay.js), or an
+//     older one on a course that hasn't changed since
+//   - the physics of the difficulty preset & mode, at the fixed world size
+//   - for the daily challenge: today's seed, or yesterday's for runs that
+//     started just before midnight UTC
+
+import { DEFAULT_CONFIG } from "./engine";
+import { difficultyConfig } from "./difficulty";
+import { GAME_MODES, dailyKey, dailySeed, modeConfig } from "./modes";
+import { REPLAY_VERSION } from "./replay";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ==================================================================
+// FUNCTION: The only config a ranked run can be played with
+// ==================================================================
+export function leaderboardConfig(mode, difficulty, ramp) {
+  return { ...DEFAULT_CONFIG, ...difficultyConfig(difficulty, Boolean(ramp)), ...modeConfig(mode) };
+}
+
+// ==================================================================
+// FUNCTION: Is the replay's course the one this config gives today?
+// ==================================================================
+// Version 1 replays are from before the obstacle variants; without
+// obstacles in the config (Normal) their seed still gives the same pipes.
+export function sameCourse(replay, config) {
+  return replay.version === REPLAY_VERSION || !config.obstacles;
+}
+
+// ==================================================================
+// FUNCTION: Which daily challenge is this seed? ("YYYY-MM-DD" or null)
+// ==================================================================
+export function leaderboardDay(seed, now = new Date()) {
+  const yesterday = new Date(now.getTime() - DAY_MS);
+  return [now, yesterday].map(dailyKey).find((key) => dailySeed(new Date(key)) === seed) ?? null;
+}
+
+// ==================================================================
+// FUNCTION: Could this replay go on the leaderboard?
+// ==================================================================
+// Checks everything but the run itself (the server re-simulates that).
+export function rankableReplay(replay, now = new Date()) {
+  const mode = GAME_MODES[replay.mode];
+  if (!mode || mode.course) return false;
+  if (replay.mode === "daily" && !leaderboardDay(replay.seed, now)) return false;
+
+  const trusted = leaderboardConfig(replay.mode, replay.difficulty, replay.config.ramp);
+  if (!sameCourse(replay, trusted)) return false;
+  return Object.keys(trusted).every((key) => JSON.stringify(trusted[key]) === JSON.stringify(replay.config[key]));
+}
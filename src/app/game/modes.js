@@ -0,0 +1,42 @@
+// ==================================================================
+// Game modes
+// ==================================================================
+// A mode decides which course (seed) a run is played on, and whether it
+// has coins & power-ups (collectibles, see collectibles.js).
+//   classic → a brand new random course every run, pipes only
+//   daily   → one course per calendar day (UTC), identical for everyone,
+//             so scores from the same day can be compared
+//   arcade  → a random course with coins & power-ups in the gaps
+//   course  → a hand-made course (see course.js) played to its finish line;
+//             just for fun, not on the leaderboards
+
+import { hashString, randomSeed } from "./random";
+
+export const GAME_MODES = {
+  classic: { id: "classic", label: "Classic", collectibles: false },
+  daily: { id: "daily", label: "Daily Challenge", collectibles: false },
+  arcade: { id: "arcade", label: "Arcade", collectibles: true },
+  course: { id: "course", label: "Course", collectibles: false, course: true },
+};
+
+export const DEFAULT_MODE = "classic";
+
+// "YYYY-MM-DD" for the given date, in UTC so every timezone agrees.
+export function dailyKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+// The seed every player gets for that day's challenge.
+export function dailySeed(date = new Date()) {
+  return hashString(`daily:${dailyKey(date)}`);
+}
+
+// The engine config fields a mode sets (merged into createGame's config).
+export function modeConfig(mode) {
+  return { collectibles: Boolean(GAME_MODES[mode]?.collectibles) };
+}
+
+// Pick the seed for a new run in the given mode.
+export function seedForMode(mode, date = new Date()) {
+  return mode === "daily" ? dailySeed(date) : randomSeed();
+}
@@ -0,0 +1,44 @@
+// ==================================================================
+// Remote birds: smooth movement from a few updates per second
+// ==================================================================
+// Other players' birds arrive as snapshots ({ frame, y, velocity, score }) every
+// STATE_EVERY_FRAMES frames, and the network adds its own jitter on top.
+// Drawing the latest snapshot would make them stutter, so they are drawn
+// a little in the past (INTERPOLATION_DELAY_FRAMES) instead, smoothly
+// moving between the two snapshots around that moment.
+
+const BUFFER_SIZE = 20;                      // snapshots kept per player
+export const INTERPOLATION_DELAY_FRAMES = 6; // 0.1s at 60 frames per second
+
+// ==================================================================
+// FUNCTION: Add a snapshot to a player's buffer
+// ==================================================================
+// Out-of-order (older) snapshots are dropped.
+export function addSnapshot(buffer = [], snapshot) {
+  const last = buffer[buffer.length - 1];
+  if (last && snapshot.frame <= last.frame) return buffer;
+  return [...buffer, snapshot].slice(-BUFFER_SIZE);
+}
+
+// ==================================================================
+// FUNCTION: Where is the remote bird at this frame?
+// ==================================================================
+// frame → the current race frame (may be fractional)
+// Returns { y, velocity } or null if nothing was received yet. Before the
+// first / after the last snapshot the bird simply stays there.
+export function interpolateBird(buffer, frame) {
+  if (!buffer || buffer.length === 0) return null;
+
+  const target = frame - INTERPOLATION_DELAY_FRAMES;
+  const first = buffer[0];
+  const last = buffer[buffer.length - 1];
+  if (target <= first.frame) return { y: first.y, velocity: first.velocity };
+  if (target >= last.frame) return { y: last.y, velocity: last.velocity };
+
+  const i = buffer.findIndex((s) => s.frame > target);
+  const a = buffer[i - 1];
+  const b = buffer[i];
+  const t = (target - a.frame) / (b.frame - a.frame);
+
+  return { y: a.y + (b.y - a.y) * t, velocity: a.velocity + (b.velocity - a.velocity) * t };
+}
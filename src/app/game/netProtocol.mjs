@@ -0,0 +1,75 @@
+// ==================================================================
+// Online multiplayer: the messages between the game and the server
+// ==================================================================
+// Shared by the browser (OnlineGame.js) and the WebSocket server
+// (src/server/multiplayer/server.mjs). It is an .mjs file so that plain
+// Node can run the server without the Next.js bundler.
+//
+// Every message is a JSON object with a "type".
+//
+// Browser → server
+//   { type: "join", room, name, difficulty }  → enter (or create) a room
+//   { type: "ready", ready }                   → toggle ready in the lobby
+//   { type: "state", frame, y, velocity, score } → my bird, a few times a second
+//   { type: "crash", frame, score }            → my run is over
+//
+// Server → browser
+//   { type: "welcome", id }                    → your player id in the room
+//   { type: "lobby", room }                    → room view (see roomView() in rooms.mjs),
+//                                                sent whenever anything changes
+//   { type: "start", seed, difficulty, countdown } → race starts in `countdown` seconds
+//   { type: "state", id, frame, y, velocity, score } → another player's bird
+//   { type: "results", placements }            → [{ id, name, score, frame, place }]
+//   { type: "error", message }
+//
+// Everyone in a room gets the same seed and difficulty, so all players
+// fly exactly the same course. Birds only ever move up and down, so a
+// remote bird is fully described by its y and velocity at a frame.
+
+export const DEFAULT_PORT = 3001;
+
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 8;
+export const COUNTDOWN_SECONDS = 3;
+
+// A bird state is sent every this many engine frames (60 per second)
+export const STATE_EVERY_FRAMES = 3;
+
+// A racer who sends nothing for this long is counted as crashed
+export const IDLE_TIMEOUT_SECONDS = 10;
+
+export const MAX_NAME_LENGTH = 20;
+export const MAX_ROOM_LENGTH = 16;
+
+// Largest message the server accepts (bytes); real ones are far smaller
+export const MAX_MESSAGE_BYTES = 4 * 1024;
+
+// The difficulties a room can be played on: the ids of DIFFICULTIES in
+// difficulty.js (plain Node can't import that file, see above)
+export const ROOM_DIFFICULTIES = ["easy", "normal", "hard"];
+
+// A bird state the server passes on has to be possible: y between a
+// bird's height above the ceiling and the bottom of the 600 px world
+// (WORLD_HEIGHT in constants.js), velocity no faster than any fall or
+// flap in the game
+const MIN_BIRD_Y = -30;
+const MAX_BIRD_Y = 600;
+const MAX_BIRD_SPEED = 2000;
+
+export function validBirdState({ y, velocity }) {
+  return (
+    Number.isFinite(y) &&
+    y >= MIN_BIRD_Y &&
+    y <= MAX_BIRD_Y &&
+    Number.isFinite(velocity) &&
+    Math.abs(velocity) <= MAX_BIRD_SPEED
+  );
+}
+
+// Room codes: letters, digits and dashes, case-insensitive
+export function cleanRoomCode(code) {
+  return String(code || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9-]/g, "")
+    .slice(0, MAX_ROOM_LENGTH);
+}
@@ -0,0 +1,161 @@
+// ==================================================================
+// A tiny neural network controller (framework-free)
+// ==================================================================
+// A fully connected network: a few inputs from the observation (see
+// observe() in autopilot.js), one hidden layer, one output. The bird
+// flaps when the output is above 0.5.
+//
+// Network:
+// {
+//   layers: [inputs, hidden, 1],
+//   weights: [...],   → one flat list of numbers, layer after layer; each
+//                       neuron has one weight per input plus a bias
+// }
+// A plain object with a flat weight list is easy to save as JSON and easy
+// to mutate and cross over in training.js.
+//
+// Randomness comes from the seeded generator (random.js), so a training
+// run with the same seed always evolves the same networks.
+
+import { nextRandom } from "./random";
+import { BIRD_HEIGHT } from "./engine";
+
+export const NETWORK_LAYERS = [5, 6, 1];
+
+// ==================================================================
+// FUNCTION: What the network sees
+// ==================================================================
+// The observation scaled to roughly -1…1, so no input drowns the others.
+export function networkInputs({ birdY, velocity, pipeDistance, gapTop, gapBottom, floor, width }) {
+  const birdCenter = birdY + BIRD_HEIGHT / 2;
+  return [
+    birdCenter / floor,
+    velocity / 500,
+    pipeDistance / width,
+    (gapTop - birdCenter) / floor,
+    (gapBottom - birdCenter) / floor,
+  ];
+}
+
+// How many weights a network with these layers has
+function weightCount(layers) {
+  let count = 0;
+  for (let i = 1; i < layers.length; i++) count += (layers[i - 1] + 1) * layers[i];
+  return count;
+}
+
+// ==================================================================
+// FUNCTION: A random network
+// ==================================================================
+// Returns { network, rng }.
+export function createNetwork(rng, layers = NETWORK_LAYERS) {
+  const weights = [];
+  for (let i = 0; i < weightCount(layers); i++) {
+    const roll = nextRandom(rng);
+    rng = roll.rng;
+    weights.push(roll.value * 2 - 1);
+  }
+  return { network: { layers, weights }, rng };
+}
+
+// ==================================================================
+// FUNCTION: Run the network
+// ==================================================================
+// tanh in the hidden layers, a sigmoid (0…1) at the output.
+export function runNetwork({ layers, weights }, inputs) {
+  let values = inputs;
+  let w = 0;
+
+  for (let layer = 1; layer < layers.length; layer++) {
+    const last = layer === layers.length - 1;
+    const next = [];
+    for (let n = 0; n < layers[layer]; n++) {
+      let sum = 0;
+      for (const value of values) sum += value * weights[w++];
+      sum += weights[w++]; // bias
+      next.push(last ? 1 / (1 + Math.exp(-sum)) : Math.tanh(sum));
+    }
+    values = next;
+  }
+
+  return values;
+}
+
+// ==================================================================
+// FUNCTION: A controller (see autopilot.js) driven by a network
+// ==================================================================
+export function networkController(network, name = "Neural network") {
+  return {
+    name,
+    decide: (observation) => runNetwork(network, networkInputs(observation))[0] > 0.5,
+  };
+}
+
+// ==================================================================
+// FUNCTIONS: Evolution
+// ==================================================================
+// A roughly normal random number (mean 0, spread about 1) from three
+// uniform ones; good enough for nudging weights.
+function gaussian(rng) {
+  let sum = 0;
+  for (let i = 0; i < 3; i++) {
+    const roll = nextRandom(rng);
+    rng = roll.rng;
+    sum += roll.value;
+  }
+  return { value: (sum - 1.5) * 2, rng };
+}
+
+// Each weight is nudged with probability `rate` by up to about `strength`.
+// Returns { network, rng }.
+export function mutateNetwork(network, rng, rate, strength) {
+  const weights = [];
+  for (const weight of network.weights) {
+    const roll = nextRandom(rng);
+    rng = roll.rng;
+    if (roll.value < rate) {
+      const nudge = gaussian(rng);
+      rng = nudge.rng;
+      weights.push(weight + nudge.value * strength);
+    } else {
+      weights.push(weight);
+    }
+  }
+  return { network: { ...network, weights }, rng };
+}
+
+// Each weight comes from one of the two parents. Returns { network, rng }.
+export function crossNetworks(a, b, rng) {
+  const weights = [];
+  for (let i = 0; i < a.weights.length; i++) {
+    const roll = nextRandom(rng);
+    rng = roll.rng;
+    weights.push(roll.value < 0.5 ? a.weights[i] : b.weights[i]);
+  }
+  return { network: { ...a, weights }, rng };
+}
+
+// ==================================================================
+// FUNCTION: Read a network from JSON text
+// ==================================================================
+// Throws an Error with a readable message if the file isn't a network
+// this game can run.
+export function parseNetwork(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Weights file is not valid JSON");
+  }
+
+  const layers = data?.layers;
+  const weights = data?.weights;
+  if (!Array.isArray(layers) || layers.join() !== NETWORK_LAYERS.join()) {
+    throw new Error(`Expected a network with layers ${NETWORK_LAYERS.join("-")}`);
+  }
+  if (!Array.isArray(weights) || weights.length !== weightCount(layers) || !weights.every(Number.isFinite)) {
+    throw new Error("The network's weights are missing or broken");
+  }
+
+  return { layers: [...layers], weights: [...weights] };
+}
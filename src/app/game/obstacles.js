@@ -0,0 +1,215 @@
+// ==================================================================
+// Obstacles: the different kinds of "pipe" the bird has to get past
+// ==================================================================
+// Every obstacle is stored in state.pipes like a normal pipe (it scrolls,
+// scores and is hit the same way). pipe.kind says which variant it is:
+//
+//   static  → the classic top/bottom pair with a fixed gap
+//   moving  → the gap slides up and down
+//   closing → the gap keeps closing and opening again
+//   double  → a middle block splits the gap into two narrower gaps
+//   hazard  → no pipes, just a spiked ball floating up and down
+//
+// Which kinds show up is set by config.obstacles (per difficulty, see
+// difficulty.js): { after, mix: { moving, closing, double, hazard } }.
+// mix holds the chance of each variant, the rest is static pipes; the
+// first `after` points are always static. Without config.obstacles every
+// obstacle is static, like in the original game.
+//
+// Moving variants keep their motion in pipe.motion ({ center, gap, phase,
+// age }) and recompute their shape from it every step (moveObstacle()),
+// so topHeight / bottomHeight / hazardY are always the current shape.
+
+import { PIPE_WIDTH } from "./constants";
+import { nextRandom } from "./random";
+
+export const OBSTACLES = {
+  static: { id: "static", label: "Pipe" },
+  moving: { id: "moving", label: "Moving gap", tint: "rgba(59, 130, 246, 0.3)" },
+  closing: { id: "closing", label: "Closing gap", tint: "rgba(239, 68, 68, 0.3)" },
+  double: { id: "double", label: "Double gap" },
+  hazard: { id: "hazard", label: "Floating hazard" },
+};
+
+// ==================================================================
+// CONSTANTS: Obstacle tuning
+// ==================================================================
+const EDGE = 50;                    // pipes are always at least this long
+
+const MOVE_RANGE = 60;              // the moving gap travels ± this far (px)
+const MOVE_PERIOD = 3;              // seconds for one full up-and-down
+const CLOSE_FACTOR = 0.75;          // the closing gap narrows to this fraction
+const CLOSE_PERIOD = 2.5;           // seconds for one close-and-open
+
+const DOUBLE_GAP_FACTOR = 0.7;      // each gap of a double pipe vs. a normal gap
+const MIN_DOUBLE_GAP = 120;
+const MIDDLE_HEIGHT = 60;           // block between the two gaps
+
+export const HAZARD_SIZE = 44;      // spiked ball (drawn size, px)
+const HAZARD_RANGE = 80;            // floats ± this far (px)
+const HAZARD_PERIOD = 2;
+
+const PERIODS = { moving: MOVE_PERIOD, closing: CLOSE_PERIOD, hazard: HAZARD_PERIOD };
+
+// Room a variant needs above and below its center line to move
+const MARGINS = { static: 0, double: 0, moving: MOVE_RANGE, closing: 0, hazard: HAZARD_RANGE };
+
+// Triangle wave: -1 → 1 → -1 as t goes from 0 to 1 (and repeats).
+// Not Math.sin(): its last digits may differ between JavaScript engines,
+// and the server has to re-simulate every run exactly.
+function wave(t) {
+  const x = t - Math.floor(t);
+  return x < 0.5 ? 4 * x - 1 : 3 - 4 * x;
+}
+
+// Pipe heights for a gap of `gap` px centered on y = mid
+function gapAround(mid, gap, floor) {
+  return { topHeight: mid - gap / 2, bottomHeight: floor - mid - gap / 2 };
+}
+
+// ==================================================================
+// FUNCTION: Pick the kind of the next obstacle
+// ==================================================================
+// obstacles → config.obstacles, score → current score
+// Always uses one random number, so the course doesn't shift around
+// depending on when the variants start.
+export function rollObstacle(rng, obstacles, score) {
+  const roll = nextRandom(rng);
+  if (score < obstacles.after) return { kind: "static", rng: roll.rng };
+
+  let total = 0;
+  for (const [kind, chance] of Object.entries(obstacles.mix)) {
+    total += chance;
+    if (roll.value < total) return { kind, rng: roll.rng };
+  }
+  return { kind: "static", rng: roll.rng };
+}
+
+// ==================================================================
+// FUNCTION: The shape of a new obstacle
+// ==================================================================
+// value → random number in [0, 1) that places the gap (the same one a
+// static pipe always used). Moving variants also roll where in their
+// cycle they start.
+//
+// Returns { shape, rng }: the obstacle's fields (without id / x).
+export function createObstacle(kind, { value, rng, floor, pipeGap }) {
+  // Where the gap center can be so that both pipes stay EDGE long
+  const place = (gap, margin = 0) => value * (floor - gap - EDGE * 2 - margin * 2) + EDGE + margin + gap / 2;
+
+  if (kind === "double") {
+    const gap = Math.max(MIN_DOUBLE_GAP, pipeGap * DOUBLE_GAP_FACTOR);
+    const span = doubleSpan(gap);
+    if (floor - span - EDGE * 2 < 0) return createObstacle("static", { value, rng, floor, pipeGap });
+
+    return { shape: placeObstacle(kind, { center: place(span), gap, floor }), rng };
+  }
+
+  if (kind === "static") {
+    // Exactly the original formula, so old courses & replays don't change
+    const topHeight = value * (floor - pipeGap - EDGE * 2) + EDGE;
+    return { shape: { kind, topHeight, bottomHeight: floor - topHeight - pipeGap }, rng };
+  }
+
+  const start = nextRandom(rng);
+  const gap = kind === "hazard" ? HAZARD_SIZE : pipeGap;
+  const center = place(gap, MARGINS[kind]);
+
+  return { shape: placeObstacle(kind, { center, gap, floor, phase: start.value }), rng: start.rng };
+}
+
+// Both gaps of a double pipe + the block between them
+function doubleSpan(gap) {
+  return gap * 2 + MIDDLE_HEIGHT;
+}
+
+// ==================================================================
+// FUNCTION: An obstacle at an exact place
+// ==================================================================
+// For hand-made courses (course.js), and the shape behind every random
+// obstacle above.
+// center → y of the middle of the gap (for a double pipe: of both gaps
+//          together; for a hazard: of the ball's path)
+// gap    → gap size (for a double pipe: each of the two gaps; ignored by
+//          a hazard)
+// phase  → where in its cycle a moving variant starts (0…1)
+// The center is pulled in if needed so every pipe stays EDGE long.
+//
+// Returns the obstacle's fields (without id / x).
+export function placeObstacle(kind, { center, gap, floor, phase = 0 }) {
+  const size = kind === "double" ? doubleSpan(gap) : kind === "hazard" ? HAZARD_SIZE : gap;
+  const reach = EDGE + MARGINS[kind] + size / 2;
+  const mid = Math.min(Math.max(center, reach), floor - reach);
+
+  if (kind === "double") {
+    const { topHeight, bottomHeight } = gapAround(mid, size, floor);
+    return { kind, topHeight, bottomHeight, middle: { y: topHeight + gap, height: MIDDLE_HEIGHT } };
+  }
+  if (kind === "static") return { kind, ...gapAround(mid, size, floor) };
+
+  const motion = { center: mid, gap: size, phase, age: 0 };
+  return { kind, motion, ...obstacleShape(kind, motion, floor) };
+}
+
+// Current shape of a moving variant
+function obstacleShape(kind, { center, gap, phase, age }, floor) {
+  const t = wave(age / PERIODS[kind] + phase);
+
+  switch (kind) {
+    case "moving":
+      return gapAround(center + MOVE_RANGE * t, gap, floor);
+    case "closing":
+      return gapAround(center, gap * (1 - ((1 - CLOSE_FACTOR) * (t + 1)) / 2), floor);
+    default: // hazard: no pipes, only the ball
+      return { topHeight: 0, bottomHeight: 0, hazardY: center + HAZARD_RANGE * t - HAZARD_SIZE / 2 };
+  }
+}
+
+// ==================================================================
+// FUNCTION: Advance an obstacle's motion by dt seconds
+// ==================================================================
+export function moveObstacle(pipe, dt, floor) {
+  if (!pipe.motion) return pipe;
+  const motion = { ...pipe.motion, age: pipe.motion.age + dt };
+  return { ...pipe, motion, ...obstacleShape(pipe.kind, motion, floor) };
+}
+
+// ==================================================================
+// FUNCTION: The gaps the bird can fly through
+// ==================================================================
+// Returns [{ top, bottom }] (y of the gap edges), top to bottom.
+export function pipeGaps(pipe, floor) {
+  if (pipe.kind === "hazard") return [];
+
+  const top = pipe.topHeight;
+  const bottom = floor - pipe.bottomHeight;
+  if (!pipe.middle) return [{ top, bottom }];
+
+  return [
+    { top, bottom: pipe.middle.y },
+    { top: pipe.middle.y + pipe.middle.height, bottom },
+  ];
+}
+
+// ==================================================================
+// FUNCTION: Where the spiked ball is
+// ==================================================================
+export function hazardRect(pipe) {
+  return {
+    x: pipe.x + PIPE_WIDTH / 2 - HAZARD_SIZE / 2,
+    y: pipe.hazardY,
+    width: HAZARD_SIZE,
+    height: HAZARD_SIZE,
+  };
+}
+
+// Outline of the spiked ball (points around its center), for drawing
+export function hazardOutline(spikes = 10) {
+  const points = [];
+  for (let i = 0; i < spikes * 2; i++) {
+    const radius = i % 2 === 0 ? HAZARD_SIZE / 2 : HAZARD_SIZE / 2 - 8;
+    const angle = (Math.PI * i) / spikes;
+    points.push({ x: Math.cos(angle) * radius, y: Math.sin(angle) * radius });
+  }
+  return points;
+}
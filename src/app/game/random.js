@@ -0,0 +1,45 @@
+// ==================================================================
+// Seedable pseudo-random number generator (mulberry32)
+// ==================================================================
+// The game engine must be deterministic: the same seed has to produce the
+// same pipes every time. Math.random() cannot be seeded, so we use a tiny
+// 32-bit generator instead.
+//
+// The generator state is a plain integer that lives inside the game state.
+// nextRandom() never mutates anything — it returns the random value AND the
+// next state, so the engine stays a pure function.
+
+// Advance the generator once.
+// Returns { value, rng } where value is a float in [0, 1) and rng is the
+// state to pass into the next call.
+export function nextRandom(rng) {
+  const next = (rng + 0x6d2b79f5) | 0;
+
+  let t = next;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  const value = ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+
+  return { value, rng: next };
+}
+
+// Pick a fresh random seed (used when no specific seed was asked for).
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// Turn any string into a 32-bit seed (FNV-1a hash).
+// Handy for human-friendly seeds like "2024-05-01" or "team-party".
+export function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Seeds are shown to players as 8 hex digits, e.g. "0a1b2c3d".
+export function formatSeed(seed) {
+  return (seed >>> 0).toString(16).padStart(8, "0");
+}
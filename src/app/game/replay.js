@@ -0,0 +1,162 @@
+// ==================================================================
+// Replays: record a run as seed + inputs, re-simulate it later
+// ==================================================================
+// Because the engine is deterministic, a whole run can be described by:
+//   - the config and seed it was started with (→ same pipes)
+//   - the frame numbers on which the player jumped (→ same bird)
+// Feeding those back into step() reproduces the run exactly, frame by frame.
+//
+// The very first jump (the one that starts the game from "ready") is not
+// stored — every replay begins with it.
+//
+// Replay object:
+// {
+//   version: 2,  → see REPLAY_VERSION
+//   mode,        → "classic" | "daily" | ...
+//   difficulty,  → "easy" | "normal" | "hard"
+//   seed,        → PRNG seed of the course
+//   config,      → engine config the run was started with
+//   jumps,       → sorted frame numbers (state.frame BEFORE the step) of every jump
+//   frames,      → frame on which the run ended
+//   score,       → final score
+//   recordedAt,  → ISO date string
+// }
+
+import { createGame, step, FIXED_DT } from "./engine";
+
+// 2 → since the obstacle variants (see obstacles.js): rolling them draws
+// from the course's random numbers, so the same seed no longer gives the
+// same pipes as in a version 1 replay. Version 1 replays still play back
+// (with their own config, which has no obstacles), but the leaderboard
+// only takes them on presets without obstacles, whose courses haven't
+// changed (see sameCourse() in leaderboardRules.js).
+export const REPLAY_VERSION = 2;
+const OLDEST_REPLAY_VERSION = 1;
+
+// ==================================================================
+// FUNCTION: Build a replay once a run is over
+// ==================================================================
+export function createReplay({ mode, difficulty, seed, config, jumps, finalState }) {
+  return {
+    version: REPLAY_VERSION,
+    mode,
+    difficulty,
+    seed,
+    config,
+    jumps: [...jumps],
+    frames: finalState.frame,
+    score: finalState.score,
+    recordedAt: new Date().toISOString(),
+  };
+}
+
+// ==================================================================
+// FUNCTION: Start playing a replay
+// ==================================================================
+// Returns the game state right after the (implicit) first jump.
+export function startReplay(replay) {
+  return step(createGame(replay.config, replay.seed), { jump: true }, FIXED_DT).state;
+}
+
+// ==================================================================
+// FUNCTION: Advance a replay by one frame
+// ==================================================================
+// jumpFrames → a Set built from replay.jumps (fast lookup every frame)
+export function advanceReplay(state, jumpFrames) {
+  return step(state, { jump: jumpFrames.has(state.frame) }, FIXED_DT);
+}
+
+// ==================================================================
+// FUNCTION: Re-simulate a replay up to a frame
+// ==================================================================
+// Used for scrubbing and for checking that a replay really produces its
+// claimed score. Stops early if the bird crashes.
+export function simulateReplay(replay, toFrame = Infinity) {
+  const jumpFrames = new Set(replay.jumps);
+  let state = startReplay(replay);
+
+  while (state.status === "playing" && state.frame < toFrame) {
+    state = advanceReplay(state, jumpFrames).state;
+  }
+
+  return state;
+}
+
+// Jumps are recorded once per step, so they strictly increase and all
+// lie before the frame the run ended on. Checking that also caps their
+// number at `frames` before anything is simulated or stored.
+function validJumps(jumps, frames) {
+  if (jumps.length > frames) return false;
+  return jumps.every(
+    (frame, i) => Number.isInteger(frame) && frame >= 0 && frame < frames && (i === 0 || frame > jumps[i - 1])
+  );
+}
+
+// ==================================================================
+// FUNCTION: Check that an object looks like a replay
+// ==================================================================
+// Returns a cleaned-up copy or throws an Error.
+export function checkReplay(data) {
+  const valid =
+    data &&
+    Number.isInteger(data.version) &&
+    data.version >= OLDEST_REPLAY_VERSION &&
+    data.version <= REPLAY_VERSION &&
+    Number.isInteger(data.seed) &&
+    data.config && typeof data.config === "object" &&
+    Array.isArray(data.jumps) &&
+    Number.isInteger(data.frames) && data.frames >= 0 &&
+    Number.isInteger(data.score);
+
+  if (!valid) throw new Error("File is not a Flappy Bird replay");
+  if (!validJumps(data.jumps, data.frames)) throw new Error("Replay jumps are out of order or past its end");
+
+  // Replays recorded before the ground existed had their floor at the
+  // bottom edge, and those from before the obstacle variants had only
+  // plain pipes; without this they would no longer re-simulate correctly.
+  const config = { groundHeight: 0, obstacles: null, ...data.config };
+
+  return { ...data, config, jumps: [...data.jumps] };
+}
+
+// ==================================================================
+// FUNCTION: Read a replay from JSON text
+// ==================================================================
+// Throws an Error with a readable message if the file isn't a replay.
+export function parseReplay(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Replay file is not valid JSON");
+  }
+
+  return checkReplay(data);
+}
+
+// ==================================================================
+// FUNCTION: Verify a replay by re-simulating it
+// ==================================================================
+// config → the config to simulate with. Pass a config you trust (e.g. one
+// rebuilt from the difficulty preset), NOT replay.config, otherwise a
+// forged replay could simply lower the gravity.
+//
+// Returns { valid: true, score, duration } or { valid: false, reason }.
+export const MAX_REPLAY_FRAMES = 60 * 60 * 30; // 30 minutes of play
+
+export function verifyReplay(replay, config) {
+  if (replay.frames > MAX_REPLAY_FRAMES) {
+    return { valid: false, reason: "Replay is too long" };
+  }
+
+  const final = simulateReplay({ ...replay, config }, replay.frames + 1);
+
+  if (final.status !== "over" || final.frame !== replay.frames) {
+    return { valid: false, reason: "Replay does not end where it claims to" };
+  }
+  if (final.score !== replay.score) {
+    return { valid: false, reason: "Replay does not produce the claimed score" };
+  }
+
+  return { valid: true, score: final.score, duration: final.time };
+}
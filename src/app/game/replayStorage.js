@@ -0,0 +1,66 @@
+// ==================================================================
+// Replay storage & file export/import (browser only)
+// ==================================================================
+// Keeps two replays in localStorage:
+//   flappyLastReplay → the most recent run
+//   flappyBestReplay → the highest scoring run
+// and lets the player download/upload replays as JSON files.
+
+import { parseReplay } from "./replay";
+import { formatSeed } from "./random";
+
+const LAST_KEY = "flappyLastReplay";
+const BEST_KEY = "flappyBestReplay";
+
+function load(key) {
+  try {
+    const text = localStorage.getItem(key);
+    return text ? parseReplay(text) : null;
+  } catch {
+    return null; // corrupted or outdated entry → behave as if there's none
+  }
+}
+
+export function loadLastReplay() {
+  return load(LAST_KEY);
+}
+
+export function loadBestReplay() {
+  return load(BEST_KEY);
+}
+
+// ==================================================================
+// FUNCTION: Save a finished run
+// ==================================================================
+// Always becomes the "last" replay; becomes the "best" one if it beats it.
+export function saveReplay(replay) {
+  localStorage.setItem(LAST_KEY, JSON.stringify(replay));
+
+  const best = loadBestReplay();
+  if (!best || replay.score > best.score) {
+    localStorage.setItem(BEST_KEY, JSON.stringify(replay));
+  }
+}
+
+// ==================================================================
+// FUNCTION: Download a replay as a .json file
+// ==================================================================
+export function exportReplay(replay) {
+  const blob = new Blob([JSON.stringify(replay, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `flappy-replay-${replay.score}-${formatSeed(replay.seed)}.json`;
+  link.click();
+
+  URL.revokeObjectURL(url);
+}
+
+// ==================================================================
+// FUNCTION: Read a replay from a File chosen by the player
+// ==================================================================
+// Resolves with the replay, rejects with a readable Error.
+export async function importReplay(file) {
+  return parseReplay(await file.text());
+}
@@ -0,0 +1,33 @@
+// ==================================================================
+// Client for the team leaderboard API (see src/app/api/scores/route.js)
+// ==================================================================
+
+// Read the JSON body and turn API errors into thrown Errors
+async function handle(response) {
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `Leaderboard request failed (${response.status})`);
+  return data;
+}
+
+// ==================================================================
+// FUNCTION: Submit a finished run
+// ==================================================================
+// The server re-simulates the replay, so the score it stores is the one
+// the replay really produces. Resolves with { entry, rank, total }.
+export async function submitScore({ name, replay }) {
+  const response = await fetch("/api/scores", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ name, replay }),
+  });
+  return handle(response);
+}
+
+// ==================================================================
+// FUNCTION: Fetch the top scores of a board
+// ==================================================================
+// Resolves with { scores, total }.
+export async function fetchScores({ mode = "classic", difficulty = "normal", ramp = false, limit = 20 } = {}) {
+  const query = new URLSearchParams({ mode, difficulty, ramp: ramp ? "1" : "0", limit: String(limit) });
+  return handle(await fetch(`/api/scores?${query}`));
+}
@@ -0,0 +1,119 @@
+// ==================================================================
+// Player settings (persisted in localStorage)
+// ==================================================================
+// Stored as one JSON object under "flappySettings", next to the
+// leaderboard in "flappyStats". Unknown or missing fields fall back to
+// the defaults, so adding a new setting never breaks an older saved copy.
+
+import { DEFAULT_RENDERER, RENDERERS } from "./Scene";
+import { DEFAULT_THEME, THEMES, DEFAULT_PALETTE, PALETTES } from "./themes";
+import { DEFAULT_GAME_SPEED, GAME_SPEEDS, DEFAULT_CONTROLS, CONTROL_SCHEMES } from "./assists";
+
+const STORAGE_KEY = "flappySettings";
+
+// Key bindings use KeyboardEvent.code values ("Space", "KeyP", ...),
+// gamepad bindings use standard gamepad button indexes (null = unbound)
+export const DEFAULT_SETTINGS = {
+  volume: 0.8,           // master volume: 0 → silent, 1 → full volume
+  sfxVolume: 1,          // sound effects, relative to master
+  musicVolume: 0.5,      // background music, relative to master
+  muted: false,
+  music: false,          // play background music during runs
+  reducedMotion: false,  // tone down animations and effects
+  renderer: DEFAULT_RENDERER,
+  theme: DEFAULT_THEME,  // look of the bird, pipes and background (see themes.js)
+  palette: DEFAULT_PALETTE,      // high-contrast / color-blind bird & pipes
+  gameSpeed: DEFAULT_GAME_SPEED, // slower game for more reaction time (see assists.js)
+  controls: DEFAULT_CONTROLS,    // tap to flap, or one switch held to hover
+  keys: {
+    jump: "Space",
+    jump2: "Enter",      // player 2 in the versus mode
+    pause: "KeyP",
+    debug: "KeyD",
+  },
+  gamepad: {
+    jump: 0,     // A
+    jump2: null,
+    pause: 9,    // Start
+    debug: null,
+  },
+};
+
+// Labels for the key binding rows in the settings menu
+export const KEY_ACTIONS = {
+  jump: "Flap",
+  jump2: "Flap (player 2)",
+  pause: "Pause",
+  debug: "Debug overlay",
+};
+
+// ==================================================================
+// FUNCTION: Turn a KeyboardEvent.code into something readable
+// ==================================================================
+// "KeyP" → "P", "Digit1" → "1", "ArrowUp" → "ArrowUp"
+export function keyLabel(code) {
+  return code.replace(/^Key/, "").replace(/^Digit/, "");
+}
+
+// ==================================================================
+// FUNCTION: Saved bindings, checked one action at a time
+// ==================================================================
+// Only the known actions are kept, each falling back to its default when
+// the saved value isn't usable (keys → a non-empty string, gamepad → a
+// button index or null).
+function loadBindings(saved, defaults, isValid) {
+  const bindings = { ...defaults };
+  if (!saved || typeof saved !== "object") return bindings;
+
+  for (const action of Object.keys(defaults)) {
+    if (isValid(saved[action])) bindings[action] = saved[action];
+  }
+  return bindings;
+}
+
+const isKeyCode = (code) => typeof code === "string" && code !== "";
+const isButton = (button) => button === null || (Number.isInteger(button) && button >= 0);
+
+// ==================================================================
+// FUNCTION: Load settings
+// ==================================================================
+export function loadSettings() {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}") || {};
+  } catch {
+    saved = {}; // corrupted → defaults
+  }
+
+  // The renderer used to be stored under its own key
+  const legacyRenderer = localStorage.getItem("flappyRenderer");
+  if (legacyRenderer && !saved.renderer) saved.renderer = legacyRenderer;
+
+  const settings = {
+    ...DEFAULT_SETTINGS,
+    ...saved,
+    keys: loadBindings(saved.keys, DEFAULT_SETTINGS.keys, isKeyCode),
+    gamepad: loadBindings(saved.gamepad, DEFAULT_SETTINGS.gamepad, isButton),
+  };
+
+  if (!RENDERERS[settings.renderer]) settings.renderer = DEFAULT_RENDERER;
+  if (!THEMES[settings.theme]) settings.theme = DEFAULT_THEME;
+  if (!PALETTES[settings.palette]) settings.palette = DEFAULT_PALETTE;
+  if (!GAME_SPEEDS.some((s) => s.value === settings.gameSpeed)) settings.gameSpeed = DEFAULT_GAME_SPEED;
+  if (!CONTROL_SCHEMES[settings.controls]) settings.controls = DEFAULT_CONTROLS;
+
+  // Respect the operating system preference the first time
+  if (saved.reducedMotion === undefined && window.matchMedia) {
+    settings.reducedMotion = window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+  }
+
+  return settings;
+}
+
+// ==================================================================
+// FUNCTION: Save settings
+// ==================================================================
+export function saveSettings(settings) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  localStorage.removeItem("flappyRenderer"); // migrated into flappySettings
+}
@@ -0,0 +1,218 @@
+// ==================================================================
+// Gameplay telemetry: how runs end (framework-free)
+// ==================================================================
+// Every finished run of the main game is logged locally as one flat
+// record (see telemetryStorage.js), so the balancing constants (PIPE_GAP,
+// JUMP_FORCE, …) can be judged by numbers instead of by feel:
+//
+// {
+//   date,                                → ISO string
+//   mode, difficulty, ramp,
+//   pipeGap, jumpForce, gravity, pipeSpeed, → the config the run used
+//   score, pipes, duration,              → duration in seconds
+//   flaps, flapRate,                     → flapRate in flaps per second
+//   cause,                               → a key of DEATH_CAUSES
+//   deathX, deathY,                      → where the bird died next to the
+//                                          pipe it was at (see deathPosition()),
+//                                          null if there was none
+// }
+//
+// The rest of this module turns a list of records into the numbers and
+// charts of the stats page, and into CSV.
+
+import { floorY, hitsPipe, BIRD_WIDTH, BIRD_HEIGHT, PIPE_WIDTH } from "./engine";
+import { pipeGaps, HAZARD_SIZE } from "./obstacles";
+
+export const DEATH_CAUSES = {
+  ceiling: { id: "ceiling", label: "Ceiling" },
+  floor: { id: "floor", label: "Floor" },
+  topPipe: { id: "topPipe", label: "Top pipe" },
+  bottomPipe: { id: "bottomPipe", label: "Bottom pipe" },
+  middlePipe: { id: "middlePipe", label: "Middle block" },
+  hazard: { id: "hazard", label: "Hazard" },
+  finish: { id: "finish", label: "Finished (course)" },
+};
+
+// Collision event → cause
+const PIPE_PARTS = { top: "topPipe", bottom: "bottomPipe", middle: "middlePipe", hazard: "hazard" };
+
+// The heatmap's normalized pipe diagram: x in pipe widths from the pipe's
+// left edge (the pipe spans 0…1), y in gap sizes from the middle of the
+// gap (the gap spans -0.5…0.5). Deaths further out land on the border.
+export const HEATMAP = { minX: -2, maxX: 2, minY: -1.5, maxY: 1.5, columns: 32, rows: 30 };
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// ==================================================================
+// FUNCTION: Where did the bird die, next to its pipe?
+// ==================================================================
+// The pipe is the one the bird hit, or else the first one it hadn't passed
+// yet (floor & ceiling deaths). Returns { x, y } on the heatmap's pipe
+// diagram, or null if there was no pipe around.
+export function deathPosition(state) {
+  const floor = floorY(state.config);
+  const { bird } = state;
+  const pipe =
+    state.pipes.find((p) => !p.smashed && hitsPipe(bird, p, floor)) ?? state.pipes.find((p) => !p.passed);
+  if (!pipe) return null;
+
+  const centerX = bird.x + BIRD_WIDTH / 2;
+  const centerY = bird.y + BIRD_HEIGHT / 2;
+
+  // The opening closest to the bird (a hazard: the ball itself)
+  const openings =
+    pipe.kind === "hazard"
+      ? [{ top: pipe.hazardY, bottom: pipe.hazardY + HAZARD_SIZE }]
+      : pipeGaps(pipe, floor);
+  const middle = (gap) => (gap.top + gap.bottom) / 2;
+  const gap = openings.reduce((a, b) => (Math.abs(middle(b) - centerY) < Math.abs(middle(a) - centerY) ? b : a));
+
+  return {
+    x: round((centerX - pipe.x) / PIPE_WIDTH, 3),
+    y: round((centerY - middle(gap)) / Math.max(gap.bottom - gap.top, 1), 3),
+  };
+}
+
+// ==================================================================
+// FUNCTION: The record of a finished run
+// ==================================================================
+// run   → { mode, difficulty, flaps } collected since the "start" event
+// state → the engine state after the run ended
+// event → the "collision" or "finish" event that ended it
+export function runRecord(run, state, event) {
+  const { config } = state;
+  const cause = event.type === "finish" ? "finish" : event.cause === "pipe" ? PIPE_PARTS[event.part] : event.cause;
+  const death = event.type === "finish" ? null : deathPosition(state);
+
+  return {
+    date: new Date().toISOString(),
+    mode: run.mode,
+    difficulty: run.difficulty,
+    ramp: Boolean(config.ramp),
+    pipeGap: config.pipeGap,
+    jumpForce: config.jumpForce,
+    gravity: config.gravity,
+    pipeSpeed: config.pipeSpeed,
+    score: state.score,
+    pipes: state.pipesPassed,
+    duration: round(state.time, 2),
+    flaps: run.flaps,
+    flapRate: state.time > 0 ? round(run.flaps / state.time, 2) : 0,
+    cause,
+    deathX: death?.x ?? null,
+    deathY: death?.y ?? null,
+  };
+}
+
+// ==================================================================
+// FUNCTIONS: Numbers for the stats page
+// ==================================================================
+// The physics a run was played with, e.g. "gap 200 · jump -440 · gravity
+// 1560 · speed 125" (to compare runs before and after a balancing change)
+export function setupLabel(record) {
+  return `gap ${record.pipeGap} · jump ${record.jumpForce} · gravity ${record.gravity} · speed ${record.pipeSpeed}`;
+}
+
+const average = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+
+function median(values) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+export function summarizeTelemetry(records) {
+  const causes = Object.fromEntries(Object.keys(DEATH_CAUSES).map((id) => [id, 0]));
+  for (const record of records) causes[record.cause] = (causes[record.cause] ?? 0) + 1;
+
+  const scores = records.map((r) => r.score);
+  return {
+    runs: records.length,
+    averageScore: average(scores),
+    medianScore: median(scores),
+    bestScore: scores.length ? Math.max(...scores) : 0,
+    averageDuration: average(records.map((r) => r.duration)),
+    averageFlapRate: average(records.map((r) => r.flapRate)),
+    causes,
+  };
+}
+
+// Death counts per heatmap cell: { cells, max }, cells[row * columns + column]
+export function deathHeatmap(records) {
+  const { minX, maxX, minY, maxY, columns, rows } = HEATMAP;
+  const cells = new Array(columns * rows).fill(0);
+
+  for (const { deathX, deathY } of records) {
+    if (deathX === null || deathY === null) continue;
+    const column = Math.floor(((deathX - minX) / (maxX - minX)) * columns);
+    const row = Math.floor(((deathY - minY) / (maxY - minY)) * rows);
+    cells[Math.min(Math.max(row, 0), rows - 1) * columns + Math.min(Math.max(column, 0), columns - 1)] += 1;
+  }
+
+  return { cells, max: Math.max(0, ...cells) };
+}
+
+// Runs per score range: [{ from, to, count }] (to is inclusive)
+export function scoreHistogram(records, maxBins = 20) {
+  if (!records.length) return [];
+  const top = Math.max(...records.map((r) => r.score));
+  const width = Math.max(1, Math.ceil((top + 1) / maxBins));
+
+  const bins = [];
+  for (let from = 0; from <= top; from += width) bins.push({ from, to: from + width - 1, count: 0 });
+  for (const { score } of records) bins[Math.floor(score / width)].count += 1;
+  return bins;
+}
+
+// Per calendar day (UTC): [{ day, runs, averageScore, averageDuration }], oldest first
+export function dailyTrends(records) {
+  const days = new Map();
+  for (const record of records) {
+    const day = record.date.slice(0, 10);
+    if (!days.has(day)) days.set(day, []);
+    days.get(day).push(record);
+  }
+
+  return [...days.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : 1))
+    .map(([day, runs]) => ({
+      day,
+      runs: runs.length,
+      averageScore: average(runs.map((r) => r.score)),
+      averageDuration: average(runs.map((r) => r.duration)),
+    }));
+}
+
+// ==================================================================
+// FUNCTION: Records as CSV (one row per run, header first)
+// ==================================================================
+export const CSV_COLUMNS = [
+  "date",
+  "mode",
+  "difficulty",
+  "ramp",
+  "pipeGap",
+  "jumpForce",
+  "gravity",
+  "pipeSpeed",
+  "score",
+  "pipes",
+  "duration",
+  "flaps",
+  "flapRate",
+  "cause",
+  "deathX",
+  "deathY",
+];
+
+export function telemetryCsv(records) {
+  const cell = (value) => {
+    if (value === null || value === undefined) return "";
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const rows = records.map((record) => CSV_COLUMNS.map((column) => cell(record[column])).join(","));
+  return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
@@ -0,0 +1,87 @@
+// ==================================================================
+// Telemetry storage & export (browser only)
+// ==================================================================
+// Keeps the run records (see telemetry.js) in localStorage under
+// "flappyTelemetry", oldest first, and downloads them as CSV or JSON.
+//
+// { version: 1, runs: [record, ...] }
+//
+// Broken records (not an object, no parseable date, no usable score, …)
+// are dropped when loading, so they can't crash the stats page; the
+// original text is kept aside under "flappyTelemetry:corrupt".
+
+import { telemetryCsv, DEATH_CAUSES } from "./telemetry";
+
+const KEY = "flappyTelemetry";
+const CORRUPT_KEY = "flappyTelemetry:corrupt";
+export const TELEMETRY_VERSION = 1;
+export const MAX_RECORDS = 2000; // keep storage small; the oldest runs go first
+
+const isCoordinate = (value) => value === null || Number.isFinite(value);
+
+// ==================================================================
+// FUNCTION: Check a single record (see telemetry.js for the fields)
+// ==================================================================
+function isValidRecord(record) {
+  return (
+    record && typeof record === "object" &&
+    typeof record.date === "string" && !Number.isNaN(Date.parse(record.date)) &&
+    Number.isInteger(record.score) && record.score >= 0 &&
+    Number.isFinite(record.duration) &&
+    Number.isFinite(record.flapRate) &&
+    Object.hasOwn(DEATH_CAUSES, record.cause) &&
+    isCoordinate(record.deathX) &&
+    isCoordinate(record.deathY)
+  );
+}
+
+function saveRecords(runs) {
+  localStorage.setItem(KEY, JSON.stringify({ version: TELEMETRY_VERSION, runs }));
+}
+
+export function loadTelemetry() {
+  const text = localStorage.getItem(KEY);
+  try {
+    const data = JSON.parse(text);
+    if (data?.version === TELEMETRY_VERSION && Array.isArray(data.runs)) {
+      const runs = data.runs.filter(isValidRecord);
+      if (runs.length !== data.runs.length) {
+        // Some records were broken → keep the original aside, save the rest
+        localStorage.setItem(CORRUPT_KEY, text);
+        saveRecords(runs);
+      }
+      return runs;
+    }
+  } catch {
+    // fall through
+  }
+  return []; // nothing logged yet, or unreadable → start over
+}
+
+// Adds a run and returns all records
+export function logRun(record) {
+  const runs = [...loadTelemetry(), record].slice(-MAX_RECORDS);
+  saveRecords(runs);
+  return runs;
+}
+
+export function clearTelemetry() {
+  localStorage.removeItem(KEY);
+}
+
+// ==================================================================
+// FUNCTION: Download the records as a .csv or .json file
+// ==================================================================
+export function exportTelemetry(records, format = "csv") {
+  const text = format === "csv" ? telemetryCsv(records) : JSON.stringify(records, null, 2);
+  const type = format === "csv" ? "text/csv" : "application/json";
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `flappy-telemetry-${new Date().toISOString().slice(0, 10)}.${format}`;
+  link.click();
+
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,206 @@
+// ==================================================================
+// Themes: how the bird, the pipes and the background look
+// ==================================================================
+// A theme only changes the LOOK of the game, never the rules: the sprites
+// are drawn over the same hitboxes (see hitboxes.js) in every theme.
+//
+// Every theme's images are shipped with the game in public/themes/<id>/:
+//   bird-0.svg … bird-2.svg → wing up / middle / down (52 × 30, the body
+//                             fills the left 40 × 30, the beak sticks out)
+//   pipe.svg                → pipe body texture, repeated vertically
+//   pipe-rim.svg            → rim of a TOP pipe (thick edge on top);
+//                             bottom pipes draw it upside down
+//   sky.svg, clouds.svg,    → parallax background layers, back to front
+//   city.svg                  (800 × 600, tile horizontally)
+//   ground.svg              → ground strip texture (tiles horizontally)
+//
+// colors → used while the images are still loading (the canvas renderer
+// draws plain shapes until then) and behind the background layers.
+// pixelArt → scale images without smoothing, so pixels stay square.
+// tints → optional colors over moving / closing pipes (instead of the
+// ones in obstacles.js)
+//
+// A PALETTE (accessibility setting) repaints the bird and the pipes of any
+// theme for players who need more contrast or can't tell some colors
+// apart; its images live in public/palettes/<folder>/.
+
+export const THEMES = {
+  day: {
+    id: "day",
+    label: "Day",
+    pixelArt: false,
+    ...themeImages("day"),
+    colors: {
+      sky: "#7dd3fc",
+      birdBody: "yellow",
+      birdBorder: "orange",
+      birdEye: "black",
+      birdBeak: "orange",
+      birdWing: "gold",
+      pipe: "#16a34a",       // green-600
+      pipeBorder: "#166534", // green-800
+      rim: "#22c55e",        // green-500
+      rimBorder: "#15803d",  // green-700
+    },
+  },
+  night: {
+    id: "night",
+    label: "Night",
+    pixelArt: false,
+    ...themeImages("night"),
+    colors: {
+      sky: "#1e1b4b",
+      birdBody: "#a78bfa",
+      birdBorder: "#4c1d95",
+      birdEye: "#111827",
+      birdBeak: "#fbbf24",
+      birdWing: "#c4b5fd",
+      pipe: "#0f766e",
+      pipeBorder: "#042f2e",
+      rim: "#14b8a6",
+      rimBorder: "#042f2e",
+    },
+  },
+  retro: {
+    id: "retro",
+    label: "Retro pixel",
+    pixelArt: true,
+    ...themeImages("retro"),
+    colors: {
+      sky: "#70c0e8",
+      birdBody: "#f8d030",
+      birdBorder: "#3f2a14",
+      birdEye: "#3f2a14",
+      birdBeak: "#e86010",
+      birdWing: "#f0f0c0",
+      pipe: "#58b028",
+      pipeBorder: "#203810",
+      rim: "#58b028",
+      rimBorder: "#203810",
+    },
+  },
+};
+
+export const DEFAULT_THEME = "day";
+
+// Image paths for a palette folder in public/palettes
+function paletteImages(folder) {
+  const dir = `/palettes/${folder}`;
+  return {
+    bird: [0, 1, 2].map((i) => `${dir}/bird-${i}.svg`),
+    pipe: { body: `${dir}/pipe.svg`, rim: `${dir}/pipe-rim.svg` },
+  };
+}
+
+// Palettes replace the bird & pipe images of the theme (and its colors,
+// and the high-contrast one the background too). "theme" keeps the theme.
+export const PALETTES = {
+  theme: { id: "theme", label: "Theme colors" },
+  highContrast: {
+    id: "highContrast",
+    label: "High contrast",
+    ...paletteImages("high-contrast"),
+    // Plain black sky and a dark ground, so nothing competes with the bird
+    background: [{ image: "/palettes/high-contrast/sky.svg", speed: 0 }],
+    ground: "/palettes/high-contrast/ground.svg",
+    colors: {
+      sky: "#000000",
+      birdBody: "#ffe000",
+      birdBorder: "#ffffff",
+      birdEye: "#000000",
+      birdBeak: "#ff6a00",
+      birdWing: "#ffffff",
+      pipe: "#00c8ff",
+      pipeBorder: "#ffffff",
+      rim: "#00c8ff",
+      rimBorder: "#ffffff",
+    },
+    tints: { moving: "rgba(255, 255, 255, 0.5)", closing: "rgba(255, 0, 128, 0.5)" },
+  },
+  // Okabe & Ito's color-blind safe colors: yellow & vermillion bird, blue
+  // pipes, and tints told apart by brightness as well as by hue
+  colorBlind: {
+    id: "colorBlind",
+    label: "Color-blind friendly",
+    ...paletteImages("color-blind"),
+    colors: {
+      birdBody: "#f0e442",
+      birdBorder: "#000000",
+      birdEye: "#000000",
+      birdBeak: "#d55e00",
+      birdWing: "#e69f00",
+      pipe: "#0072b2",
+      pipeBorder: "#00365a",
+      rim: "#0072b2",
+      rimBorder: "#00365a",
+    },
+    tints: { moving: "rgba(240, 228, 66, 0.45)", closing: "rgba(0, 0, 0, 0.45)" },
+  },
+};
+
+export const DEFAULT_PALETTE = "theme";
+
+// Size of a bird frame. The sprite's top-left corner sits on the bird's
+// (x, y), like the 40 × 30 body of the hitbox; the beak overhangs on the right.
+export const BIRD_SPRITE_WIDTH = 52;
+export const BIRD_SPRITE_HEIGHT = 30;
+
+// The ghost of your best run is drawn see-through
+export const GHOST_OPACITY = 0.4;
+
+// Wing-flap animation: up → middle → down → middle → up …
+const FLAP_CYCLE = [0, 1, 2, 1];
+const FLAP_FRAME_SECONDS = 0.08;
+
+// Image paths for a theme folder in public/themes
+function themeImages(id) {
+  const dir = `/themes/${id}`;
+  return {
+    bird: [0, 1, 2].map((i) => `${dir}/bird-${i}.svg`),
+    pipe: { body: `${dir}/pipe.svg`, rim: `${dir}/pipe-rim.svg` },
+    // speed → how fast the layer scrolls compared to the pipes: far away
+    // things move slower, which is what makes the scene look deep
+    background: [
+      { image: `${dir}/sky.svg`, speed: 0 },
+      { image: `${dir}/clouds.svg`, speed: 0.1 },
+      { image: `${dir}/city.svg`, speed: 0.3 },
+    ],
+    ground: `${dir}/ground.svg`, // scrolls exactly with the pipes
+  };
+}
+
+// ==================================================================
+// FUNCTION: Look up a theme (unknown ids fall back to the default)
+// ==================================================================
+// With a palette, its images & colors replace the theme's. The result is
+// cached, so the same choice always gives the same object (the canvas
+// renderer reloads its images when the theme object changes).
+const paletteThemes = new Map();
+
+export function getTheme(id, palette = DEFAULT_PALETTE) {
+  const theme = THEMES[id] || THEMES[DEFAULT_THEME];
+  if (!PALETTES[palette] || palette === DEFAULT_PALETTE) return theme;
+
+  const key = `${theme.id}:${palette}`;
+  if (!paletteThemes.has(key)) {
+    const { colors, ...look } = PALETTES[palette];
+    paletteThemes.set(key, {
+      ...theme,
+      ...look,
+      id: theme.id,
+      label: theme.label,
+      pixelArt: false,
+      colors: { ...theme.colors, ...colors },
+    });
+  }
+  return paletteThemes.get(key);
+}
+
+// ==================================================================
+// FUNCTION: Which bird frame to show
+// ==================================================================
+// Driven by the SIMULATED time (state.time), not the wall clock, so the
+// wings stop when the game is paused or over and replays look the same.
+export function birdFrame(time) {
+  return FLAP_CYCLE[Math.floor(time / FLAP_FRAME_SECONDS) % FLAP_CYCLE.length];
+}
@@ -0,0 +1,186 @@
+// ==================================================================
+// Neuroevolution: breeding networks that play well (framework-free)
+// ==================================================================
+// A population of random networks (neuralNet.js) each plays a few games
+// headless (playHeadless() in autopilot.js). The best of a generation
+// survive unchanged, the rest of the next generation are their mutated
+// children. Repeat, and the birds learn to fly.
+//
+// Training state:
+// {
+//   options,         → see DEFAULT_TRAINING
+//   config,          → the game config every bird is tested on
+//   rng,             → seeded generator, for new networks, courses & mutations
+//   generation,      → 1, 2, 3, …
+//   population,      → the networks of this generation
+//   seeds,           → the courses this generation is tested on
+//   fitness,         → scores of the networks tested so far this generation
+//   testing,         → the network being tested right now:
+//                      { seedIndex, game, fitness, score } (game in
+//                      progress, sums of its finished games), or null
+//   best,            → { network, fitness, score, generation } best ever
+//   history,         → [{ generation, best, average }] per finished generation
+// }
+//
+// trainStep() plays one slice of frames per call (a good network's games
+// last minutes), so the page can spread the work over animation frames and
+// stay responsive.
+
+import { createGame } from "./engine";
+import { nextRandom } from "./random";
+import { playHeadless, headlessDone } from "./autopilot";
+import { createNetwork, networkController, mutateNetwork, crossNetworks } from "./neuralNet";
+
+export const DEFAULT_TRAINING = {
+  populationSize: 40,
+  eliteCount: 4,          // best networks copied unchanged to the next generation
+  mutationRate: 0.2,      // share of weights nudged in every child
+  mutationStrength: 0.6,  // how far they are nudged
+  gamesPerNetwork: 3,     // courses each network is tested on (new ones every generation)
+  maxSeconds: 120,        // a game stops here; a network this good is good enough
+};
+
+const FRAMES_PER_SECOND = 60;
+
+// Frames played per trainStep() call: half a second of game, a few
+// milliseconds of work even on a slow device, so one call never overruns
+// the page's frame budget by much
+export const TRAIN_SLICE_FRAMES = 30;
+
+// ==================================================================
+// FUNCTION: How good was a game?
+// ==================================================================
+// Seconds survived plus a bonus per point, so that among birds that all
+// crash early the one that got furthest still wins.
+function gameFitness(state) {
+  return state.time + state.score * 2;
+}
+
+// Fresh courses for a generation
+function rollSeeds(rng, count) {
+  const seeds = [];
+  for (let i = 0; i < count; i++) {
+    const roll = nextRandom(rng);
+    rng = roll.rng;
+    seeds.push(Math.floor(roll.value * 4294967296));
+  }
+  return { seeds, rng };
+}
+
+// ==================================================================
+// FUNCTION: Start training
+// ==================================================================
+// start → optional network to grow the first generation from (e.g. loaded
+// weights); otherwise it is all random.
+export function createTraining(config, seed, options = {}, start = null) {
+  const opts = { ...DEFAULT_TRAINING, ...options };
+  let rng = seed >>> 0;
+
+  const population = [];
+  for (let i = 0; i < opts.populationSize; i++) {
+    let result;
+    if (start && i === 0) result = { network: start, rng };
+    else if (start) result = mutateNetwork(start, rng, opts.mutationRate, opts.mutationStrength);
+    else result = createNetwork(rng);
+    rng = result.rng;
+    population.push(result.network);
+  }
+
+  const roll = rollSeeds(rng, opts.gamesPerNetwork);
+
+  return {
+    options: opts,
+    config,
+    rng: roll.rng,
+    generation: 1,
+    population,
+    seeds: roll.seeds,
+    fitness: [],
+    testing: null,
+    best: null,
+    history: [],
+  };
+}
+
+// ==================================================================
+// FUNCTION: Play on with the network being tested
+// ==================================================================
+// Plays up to sliceFrames frames of its games on this generation's
+// courses. Once the last game is over, its { fitness, score } (averaged
+// over the games) is recorded, and the generation is bred when every
+// network has been tested.
+export function trainStep(training, sliceFrames = TRAIN_SLICE_FRAMES) {
+  const { population, config, seeds, options } = training;
+  const index = training.fitness.length;
+  const maxFrames = options.maxSeconds * FRAMES_PER_SECOND;
+
+  const testing = training.testing ?? { seedIndex: 0, game: createGame(config, seeds[0]), fitness: 0, score: 0 };
+  const game = playHeadless(networkController(population[index]), testing.game, maxFrames, sliceFrames);
+  if (!headlessDone(game, maxFrames)) return { ...training, testing: { ...testing, game } };
+
+  // That game is over: on to the next course, or done with this network
+  const played = {
+    seedIndex: testing.seedIndex + 1,
+    fitness: testing.fitness + gameFitness(game),
+    score: testing.score + game.score,
+  };
+  if (played.seedIndex < seeds.length) {
+    return { ...training, testing: { ...played, game: createGame(config, seeds[played.seedIndex]) } };
+  }
+
+  const result = { fitness: played.fitness / seeds.length, score: played.score / seeds.length };
+  const fitness = [...training.fitness, result];
+
+  const best =
+    !training.best || result.fitness > training.best.fitness
+      ? { network: population[index], ...result, generation: training.generation }
+      : training.best;
+
+  const next = { ...training, fitness, testing: null, best };
+  return fitness.length === population.length ? nextGeneration(next) : next;
+}
+
+// ==================================================================
+// FUNCTION: Breed the next generation
+// ==================================================================
+// The elite survive; every other child is a cross of two networks picked
+// from the better half, then mutated.
+function nextGeneration(training) {
+  const { population, fitness, options } = training;
+  let { rng } = training;
+
+  const ranked = population
+    .map((network, i) => ({ network, fitness: fitness[i].fitness }))
+    .sort((a, b) => b.fitness - a.fitness);
+  const parents = ranked.slice(0, Math.max(2, Math.ceil(ranked.length / 2)));
+
+  const pick = () => {
+    const roll = nextRandom(rng);
+    rng = roll.rng;
+    return parents[Math.floor(roll.value * parents.length)].network;
+  };
+
+  const children = ranked.slice(0, options.eliteCount).map((r) => r.network);
+  while (children.length < options.populationSize) {
+    const a = pick();
+    const b = pick();
+    const crossed = crossNetworks(a, b, rng);
+    const mutated = mutateNetwork(crossed.network, crossed.rng, options.mutationRate, options.mutationStrength);
+    rng = mutated.rng;
+    children.push(mutated.network);
+  }
+
+  const roll = rollSeeds(rng, options.gamesPerNetwork);
+  const average = fitness.reduce((sum, f) => sum + f.fitness, 0) / fitness.length;
+
+  return {
+    ...training,
+    rng: roll.rng,
+    generation: training.generation + 1,
+    population: children,
+    seeds: roll.seeds,
+    fitness: [],
+    testing: null,
+    history: [...training.history, { generation: training.generation, best: ranked[0].fitness, average }],
+  };
+}
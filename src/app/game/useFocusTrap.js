@@ -0,0 +1,66 @@
+"use client";
+// Client-only hook: moves keyboard focus around the DOM.
+
+import { useEffect } from "react";
+
+// Elements Tab can land on
+const FOCUSABLE =
+  'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Open traps, innermost last: only the top one handles Tab (a settings
+// overlay opened from the start screen sits on top of it)
+const traps = [];
+
+// ==================================================================
+// HOOK: Keep keyboard focus inside a dialog
+// ==================================================================
+/*
+  While the element in ref is mounted:
+    - it gets the focus itself (it needs tabIndex={-1}), so screen readers
+      read it out and the next Tab goes to its first button. The element
+      isn't a button, so Space still reaches the game (the start screen
+      starts with Space, see useGameInput).
+    - Tab and Shift+Tab cycle through its buttons, links and fields and
+      never wander off to the page behind it.
+  When it unmounts, the focus goes back to where it was before.
+*/
+export function useFocusTrap(ref) {
+  useEffect(() => {
+    const element = ref.current;
+    if (!element) return;
+
+    const previous = document.activeElement;
+    traps.push(element);
+    element.focus({ preventScroll: true });
+
+    const handleKey = (e) => {
+      if (e.key !== "Tab" || traps[traps.length - 1] !== element) return;
+
+      const focusable = [...element.querySelectorAll(FOCUSABLE)].filter((el) => el.offsetParent !== null);
+      if (focusable.length === 0) {
+        e.preventDefault();
+        return;
+      }
+
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      const inside = element.contains(document.activeElement);
+
+      if (e.shiftKey && (document.activeElement === first || !inside || document.activeElement === element)) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && (document.activeElement === last || !inside)) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+
+    document.addEventListener("keydown", handleKey);
+    return () => {
+      document.removeEventListener("keydown", handleKey);
+      traps.splice(traps.indexOf(element), 1);
+      // Back to the button that opened the dialog, if it is still there
+      if (previous instanceof HTMLElement && document.contains(previous)) previous.focus({ preventScroll: true });
+    };
+  }, [ref]);
+}
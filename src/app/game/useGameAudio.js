@@ -0,0 +1,43 @@
+"use client";
+// Client-only hook: owns the Web Audio based sound system.
+
+import { useEffect, useState } from "react";
+
+import { createAudio } from "./audio";
+
+// ==================================================================
+// HOOK: Game audio
+// ==================================================================
+/*
+  Creates one audio system (see audio.js) for the lifetime of the
+  component and keeps it in sync with the player's settings.
+
+  settings  → { volume, sfxVolume, musicVolume, muted, music }
+  suspended → true while the game is paused (freezes sounds and music)
+
+  Returns the audio object. The game only needs two things from it:
+    audio.unlock()             → call from the first user gesture
+    audio.handleEvent(event)   → feed it every engine event
+*/
+export function useGameAudio(settings, { suspended = false } = {}) {
+  const [audio] = useState(createAudio);
+
+  const { volume, sfxVolume, musicVolume, muted, music } = settings;
+
+  useEffect(() => {
+    audio.setVolumes({ volume, sfxVolume, musicVolume, muted });
+  }, [audio, volume, sfxVolume, musicVolume, muted]);
+
+  useEffect(() => {
+    audio.setMusicEnabled(music);
+  }, [audio, music]);
+
+  useEffect(() => {
+    audio.setSuspended(suspended);
+  }, [audio, suspended]);
+
+  // Release the AudioContext when the game goes away
+  useEffect(() => () => audio.close(), [audio]);
+
+  return audio;
+}
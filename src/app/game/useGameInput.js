@@ -0,0 +1,138 @@
+"use client";
+// Client-only hook: listens to keyboard, pointer and gamepad input.
+
+import { useEffect, useRef } from "react";
+
+import { actionForKey, gamepadActions, isUiElement, pressedGamepadButtons } from "./input";
+
+// ==================================================================
+// HOOK: Unified game input
+// ==================================================================
+/*
+  Calls onAction(action) for every game action, whatever the device:
+    "jump" | "jump2" | "pause" | "debug" | "back"
+  Taps / clicks also pass the PointerEvent as a second argument, so the
+  versus mode can tell which half of the screen was tapped.
+
+  onRelease(action) (optional) is called when the key, pointer or gamepad
+  button behind an action is let go again, for the hold-to-hover
+  one-switch controls (see assists.js).
+
+  settings   → player settings with the key & gamepad bindings (see input.js)
+  surfaceRef → ref to the playfield element; a tap/click on it is a "jump"
+  enabled    → turn all input off; also re-attaches the pointer listener
+               when the surface element was unmounted in between
+
+  UI isolation: presses on buttons, inputs and anything inside [data-ui]
+  are left alone, so clicking "Play Again" or pressing Space on a focused
+  button never also flaps the bird.
+*/
+export function useGameInput({ settings, onAction, onRelease, surfaceRef, enabled = true }) {
+  // Latest callback/settings without re-attaching listeners every render
+  const onActionRef = useRef(onAction);
+  const onReleaseRef = useRef(onRelease);
+  const settingsRef = useRef(settings);
+
+  useEffect(() => {
+    onActionRef.current = onAction;
+    onReleaseRef.current = onRelease;
+    settingsRef.current = settings;
+  });
+
+  // -------------------------------
+  // KEYBOARD
+  // -------------------------------
+  useEffect(() => {
+    if (!enabled) return;
+
+    const handleKey = (e) => {
+      if (e.repeat) return; // holding a key is one press, not many
+      const action = actionForKey(settingsRef.current, e.code);
+      if (!action) return;
+
+      // Let focused UI elements handle their own keys (Space/Enter on a
+      // button, typing in a text field). Escape still works everywhere.
+      if (action !== "back" && isUiElement(e.target)) return;
+
+      e.preventDefault();
+      onActionRef.current(action);
+    };
+
+    const handleKeyUp = (e) => {
+      const action = actionForKey(settingsRef.current, e.code);
+      if (action) onReleaseRef.current?.(action);
+    };
+
+    window.addEventListener("keydown", handleKey);
+    window.addEventListener("keyup", handleKeyUp);
+    return () => {
+      window.removeEventListener("keydown", handleKey);
+      window.removeEventListener("keyup", handleKeyUp);
+    };
+  }, [enabled]);
+
+  // -------------------------------
+  // POINTER / TOUCH
+  // -------------------------------
+  // pointerdown instead of click: it fires immediately on touch, and every
+  // finger gets its own event, so quick multi-finger taps all count.
+  useEffect(() => {
+    const surface = surfaceRef.current;
+    if (!enabled || !surface) return;
+
+    // Pointers pressed on the surface; their release is watched on the
+    // window, so sliding off the playfield still lets go
+    const down = new Set();
+
+    const handlePointer = (e) => {
+      if (e.pointerType === "mouse" && e.button !== 0) return; // left button only
+      if (isUiElement(e.target)) return;
+
+      e.preventDefault(); // no text selection, no emulated mouse events
+      down.add(e.pointerId);
+      onActionRef.current("jump", e);
+    };
+
+    const handlePointerUp = (e) => {
+      if (!down.delete(e.pointerId)) return;
+      onReleaseRef.current?.("jump", e);
+    };
+
+    surface.addEventListener("pointerdown", handlePointer);
+    window.addEventListener("pointerup", handlePointerUp);
+    window.addEventListener("pointercancel", handlePointerUp);
+    return () => {
+      surface.removeEventListener("pointerdown", handlePointer);
+      window.removeEventListener("pointerup", handlePointerUp);
+      window.removeEventListener("pointercancel", handlePointerUp);
+    };
+  }, [enabled, surfaceRef]);
+
+  // -------------------------------
+  // GAMEPAD (polled every animation frame)
+  // -------------------------------
+  useEffect(() => {
+    if (!enabled) return;
+
+    let frameId;
+    // Buttons already held (e.g. the one just bound in the settings menu)
+    // don't count until they are released and pressed again
+    let previous = pressedGamepadButtons();
+
+    const poll = () => {
+      const pressed = pressedGamepadButtons();
+      for (const action of gamepadActions(settingsRef.current, pressed, previous)) {
+        onActionRef.current(action);
+      }
+      // Swapped around, the same check finds the buttons just let go
+      for (const action of gamepadActions(settingsRef.current, previous, pressed)) {
+        onReleaseRef.current?.(action);
+      }
+      previous = pressed;
+      frameId = requestAnimationFrame(poll);
+    };
+
+    frameId = requestAnimationFrame(poll);
+    return () => cancelAnimationFrame(frameId);
+  }, [enabled]);
+}
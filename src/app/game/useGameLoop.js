@@ -0,0 +1,101 @@
+"use client";
+// Client-only hook: uses requestAnimationFrame and the Page Visibility API.
+
+import { useEffect, useRef } from "react";
+
+import { FIXED_DT } from "./engine";
+
+// Never simulate more than this much time in one animation frame.
+// If the browser stalls (debugger, slow device) we'd rather slow the game
+// down for a moment than run hundreds of catch-up steps at once.
+const MAX_FRAME_SECONDS = 0.25;
+
+// ==================================================================
+// HOOK: Fixed-timestep game loop
+// ==================================================================
+/*
+  HOW IT WORKS
+  ------------
+  requestAnimationFrame calls us once per screen refresh — 60 times a second
+  on most monitors, 144 on a gaming monitor, fewer when the tab stutters.
+  Instead of moving the game "one tick per frame", we measure how much real
+  time passed and put it in an accumulator. Then we run as many fixed-size
+  steps (FIXED_DT seconds each) as fit in it. Leftover time is carried over
+  to the next frame.
+
+  Result: the simulation advances at the same speed on every display, and
+  every step is exactly the same size (which keeps the engine deterministic).
+
+  onStep(dt)   → advance the simulation by one fixed step
+  onFrame()    → called once per animation frame after all steps (render here)
+  running      → start/stop the loop
+  speed        → game speed assist (see assists.js): 0.7 fills the
+                 accumulator with 70% of the real time, so the game runs
+                 slower while every step keeps its exact size
+
+  When the tab becomes hidden the loop stops, and when it becomes visible
+  again it resumes from "now" — the time spent in the background is not
+  simulated, so the bird doesn't fall to its death while you are away.
+*/
+export function useGameLoop({ onStep, onFrame, running, stepSeconds = FIXED_DT, speed = 1 }) {
+  // Keep the latest callbacks in refs so the loop doesn't restart
+  // every time the parent component re-renders.
+  const onStepRef = useRef(onStep);
+  const onFrameRef = useRef(onFrame);
+
+  useEffect(() => {
+    onStepRef.current = onStep;
+    onFrameRef.current = onFrame;
+  });
+
+  useEffect(() => {
+    if (!running) return;
+
+    let frameId = null;
+    let lastTime = null;
+    let accumulator = 0;
+
+    const tick = (now) => {
+      if (lastTime !== null) {
+        accumulator += Math.min((now - lastTime) / 1000, MAX_FRAME_SECONDS) * speed;
+      }
+      lastTime = now;
+
+      while (accumulator >= stepSeconds) {
+        onStepRef.current(stepSeconds);
+        accumulator -= stepSeconds;
+      }
+
+      if (onFrameRef.current) onFrameRef.current();
+      frameId = requestAnimationFrame(tick);
+    };
+
+    const start = () => {
+      if (frameId !== null) return;
+      lastTime = null; // don't count the time we were stopped
+      frameId = requestAnimationFrame(tick);
+    };
+
+    const stop = () => {
+      if (frameId === null) return;
+      cancelAnimationFrame(frameId);
+      frameId = null;
+    };
+
+    // -------------------------------
+    // PAUSE WHILE THE TAB IS HIDDEN
+    // -------------------------------
+    const handleVisibility = () => {
+      if (document.hidden) stop();
+      else start();
+    };
+
+    document.addEventListener("visibilitychange", handleVisibility);
+    if (!document.hidden) start();
+
+    return () => {
+      document.removeEventListener("visibilitychange", handleVisibility);
+      stop();
+    };
+  }, [running, stepSeconds, speed]);
+}
@@ -0,0 +1,153 @@
+"use client";
+// Client-only hook: owns the WebSocket connection to the multiplayer server.
+
+import { useCallback, useEffect, useRef, useState } from "react";
+
+import { DEFAULT_PORT } from "./netProtocol.mjs";
+import { addSnapshot } from "./netGhosts";
+
+// The server runs next to the app (npm run multiplayer), on the same host
+// unless NEXT_PUBLIC_MULTIPLAYER_URL says otherwise.
+function serverUrl() {
+  return process.env.NEXT_PUBLIC_MULTIPLAYER_URL || `ws://${window.location.hostname}:${DEFAULT_PORT}`;
+}
+
+// ==================================================================
+// HOOK: Online multiplayer connection
+// ==================================================================
+/*
+  Talks to the server (see netProtocol.mjs for the messages) and keeps
+  what it says in React state.
+
+  Returns:
+    status    → "idle" | "connecting" | "connected" | "closed"
+    error     → last error message from the server or the connection
+    id        → my player id (once joined)
+    room      → the room view: { code, difficulty, phase, players }
+    race      → { seed, difficulty, startsAt } of the current race, where
+                startsAt is the performance.now() time the countdown ends
+    results   → placements after a race
+    snapshots → ref to a Map of player id → snapshot buffer (netGhosts.js);
+                a ref, because it changes many times per second
+    join(room, name, difficulty), setReady(ready), sendState(state),
+    sendCrash(result), backToLobby(), leave()
+*/
+export function useMultiplayer() {
+  const socketRef = useRef(null);
+  const snapshots = useRef(new Map());
+
+  const [status, setStatus] = useState("idle");
+  const [error, setError] = useState(null);
+  const [id, setId] = useState(null);
+  const [room, setRoom] = useState(null);
+  const [race, setRace] = useState(null);
+  const [results, setResults] = useState(null);
+
+  const send = useCallback((message) => {
+    const socket = socketRef.current;
+    if (socket && socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+  }, []);
+
+  // -------------------------------
+  // INCOMING MESSAGES
+  // -------------------------------
+  const handleMessage = useCallback((message) => {
+    switch (message.type) {
+      case "welcome":
+        setId(message.id);
+        break;
+      case "lobby":
+        setRoom(message.room);
+        break;
+      case "start":
+        snapshots.current = new Map();
+        setResults(null);
+        setRace({
+          seed: message.seed,
+          difficulty: message.difficulty,
+          startsAt: performance.now() + message.countdown * 1000,
+        });
+        break;
+      case "state": {
+        const { id: playerId, frame, y, velocity, score } = message;
+        snapshots.current.set(playerId, addSnapshot(snapshots.current.get(playerId), { frame, y, velocity, score }));
+        break;
+      }
+      case "results":
+        setResults(message.placements);
+        break;
+      case "error":
+        setError(message.message);
+        break;
+    }
+  }, []);
+
+  // -------------------------------
+  // CONNECTION
+  // -------------------------------
+  const join = useCallback((roomCode, name, difficulty) => {
+    socketRef.current?.close();
+    setError(null);
+    setStatus("connecting");
+
+    const socket = new WebSocket(serverUrl());
+    socketRef.current = socket;
+
+    socket.onopen = () => {
+      setStatus("connected");
+      socket.send(JSON.stringify({ type: "join", room: roomCode, name, difficulty }));
+    };
+    socket.onmessage = (e) => {
+      try {
+        handleMessage(JSON.parse(e.data));
+      } catch {
+        // not JSON → ignore
+      }
+    };
+    socket.onerror = () => setError("Could not reach the multiplayer server");
+    socket.onclose = () => {
+      if (socketRef.current !== socket) return; // replaced by a newer connection
+      socketRef.current = null;
+      setStatus("closed");
+      setError((e) => e ?? "Lost the connection to the multiplayer server");
+      setId(null);
+      setRoom(null);
+      setRace(null);
+      setResults(null);
+    };
+  }, [handleMessage]);
+
+  const leave = useCallback(() => {
+    const socket = socketRef.current;
+    socketRef.current = null;
+    socket?.close();
+    setStatus("idle");
+    setId(null);
+    setRoom(null);
+    setRace(null);
+    setResults(null);
+  }, []);
+
+  // Close the connection when the component goes away
+  useEffect(() => () => socketRef.current?.close(), []);
+
+  return {
+    status,
+    error,
+    id,
+    room,
+    race,
+    results,
+    snapshots,
+    join,
+    leave,
+    setReady: (ready) => send({ type: "ready", ready }),
+    sendState: (state) => send({ type: "state", ...state }),
+    sendCrash: (result) => send({ type: "crash", ...result }),
+    // Close the results and wait for the next race (the server is already back in its lobby)
+    backToLobby: () => {
+      setRace(null);
+      setResults(null);
+    },
+  };
+}
@@ -0,0 +1,61 @@
+"use client";
+// Client-only hook: measures the window and the device pixel ratio.
+
+import { useEffect, useState } from "react";
+
+// ==================================================================
+// HOOK: Fit a fixed-size world into the window
+// ==================================================================
+/*
+  The game always simulates the same logical world (WORLD_WIDTH ×
+  WORLD_HEIGHT, see constants.js). This hook works out how big that world
+  can be drawn on this screen without cropping it:
+
+    scale      → screen pixels per world pixel (the world is letterboxed,
+                 never stretched, so the aspect ratio stays the same)
+    pixelRatio → device pixels per world pixel (scale × devicePixelRatio),
+                 what the canvas needs to stay sharp
+
+  It updates when the window is resized, the phone is rotated, or the
+  window moves to a monitor with a different pixel ratio (or the page is
+  zoomed, which changes devicePixelRatio too).
+*/
+export function useViewportScale(width, height) {
+  const [view, setView] = useState({ scale: 1, pixelRatio: 1 });
+
+  useEffect(() => {
+    let media = null;
+
+    const update = () => {
+      const scale = Math.min(window.innerWidth / width, window.innerHeight / height);
+      setView({ scale, pixelRatio: scale * (window.devicePixelRatio || 1) });
+    };
+
+    // There is no "devicePixelRatio changed" event, but a media query for
+    // the current ratio stops matching when it changes.
+    const watchPixelRatio = () => {
+      media?.removeEventListener("change", handlePixelRatio);
+      if (!window.matchMedia) return;
+      media = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+      media.addEventListener("change", handlePixelRatio);
+    };
+
+    const handlePixelRatio = () => {
+      update();
+      watchPixelRatio();
+    };
+
+    update();
+    watchPixelRatio();
+    window.addEventListener("resize", update);
+    window.addEventListener("orientationchange", update);
+
+    return () => {
+      media?.removeEventListener("change", handlePixelRatio);
+      window.removeEventListener("resize", update);
+      window.removeEventListener("orientationchange", update);
+    };
+  }, [width, height]);
+
+  return view;
+}
@@ -0,0 +1,7 @@
+"use client";
+
+import { StatsScreen } from "../game/StatsScreen";
+
+export default function Page() {
+  return <StatsScreen />;
+}
@@ -0,0 +1,7 @@
+"use client";
+
+import { TrainingScreen } from "../game/TrainingScreen";
+
+export default function Page() {
+  return <TrainingScreen />;
+}
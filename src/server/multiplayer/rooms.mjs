@@ -0,0 +1,168 @@
+// ==================================================================
+// Multiplayer rooms (pure state, no sockets)
+// ==================================================================
+// A room goes through these phases:
+//   "lobby"     → players join and mark themselves ready
+//   "countdown" → everyone is ready; the race starts in a few seconds
+//   "racing"    → birds are flying; the race ends when all have crashed
+// and back to "lobby" (with everyone un-ready) once the results are out.
+//
+// Room:
+// {
+//   code, difficulty, phase, seed,
+//   players: [{ id, name, ready, status, score, frame, lastSeen, left }],
+// }
+//   status → "lobby" | "racing" | "crashed"
+//   lastSeen → ms timestamp of the last message (spots frozen clients)
+//   left → disconnected during a race (removed once it is over)
+//
+// Every function here changes the room in place and returns nothing or
+// an error message. server.mjs owns the sockets and timers and decides
+// what to broadcast.
+
+import { MIN_PLAYERS, MAX_PLAYERS, MAX_NAME_LENGTH, IDLE_TIMEOUT_SECONDS } from "../../app/game/netProtocol.mjs";
+
+// ==================================================================
+// FUNCTION: A new, empty room
+// ==================================================================
+// The first player to join picks the difficulty for everyone.
+export function createRoom(code, difficulty) {
+  return { code, difficulty, phase: "lobby", seed: null, players: [] };
+}
+
+// ==================================================================
+// FUNCTION: Add a player (returns an error message or null)
+// ==================================================================
+export function addPlayer(room, { id, name }, now) {
+  if (room.phase !== "lobby") return "A race is running in this room, try again in a moment";
+  if (room.players.length >= MAX_PLAYERS) return "This room is full";
+
+  room.players.push({
+    id,
+    name: String(name || "Player").slice(0, MAX_NAME_LENGTH) || "Player",
+    ready: false,
+    status: "lobby",
+    score: 0,
+    frame: 0,
+    lastSeen: now,
+  });
+  return null;
+}
+
+// ==================================================================
+// FUNCTION: Remove a player
+// ==================================================================
+// A player who leaves mid-race is out, but keeps their place in the
+// results with the score they had.
+export function removePlayer(room, id) {
+  const player = room.players.find((p) => p.id === id);
+  if (!player) return;
+
+  if (room.phase === "lobby") {
+    room.players = room.players.filter((p) => p !== player);
+  } else {
+    player.status = "crashed";
+    player.left = true;
+  }
+}
+
+// ==================================================================
+// FUNCTION: Mark a player (un)ready
+// ==================================================================
+export function setReady(room, id, ready) {
+  const player = room.players.find((p) => p.id === id);
+  if (player && room.phase === "lobby") player.ready = Boolean(ready);
+}
+
+// Can the race start?
+export function everyoneReady(room) {
+  return room.phase === "lobby" && room.players.length >= MIN_PLAYERS && room.players.every((p) => p.ready);
+}
+
+// ==================================================================
+// FUNCTION: Start the countdown with a fresh course
+// ==================================================================
+export function startCountdown(room, seed, now) {
+  room.phase = "countdown";
+  room.seed = seed;
+  for (const player of room.players) {
+    Object.assign(player, { status: "racing", score: 0, frame: 0, lastSeen: now });
+  }
+}
+
+// ==================================================================
+// FUNCTION: A bird update from a racer
+// ==================================================================
+// Returns true if it should be passed on to the others.
+export function updatePlayer(room, id, { frame, score }, now) {
+  const player = room.players.find((p) => p.id === id);
+  if (!player || player.status !== "racing") return false;
+
+  player.lastSeen = now;
+  if (Number.isInteger(frame) && frame >= player.frame) player.frame = frame;
+  if (Number.isInteger(score) && score >= 0) player.score = score;
+  return true;
+}
+
+// ==================================================================
+// FUNCTION: A racer crashed
+// ==================================================================
+export function crashPlayer(room, id, result, now) {
+  if (!updatePlayer(room, id, result, now)) return;
+  room.players.find((p) => p.id === id).status = "crashed";
+}
+
+// ==================================================================
+// FUNCTION: Racers that have gone quiet count as crashed
+// ==================================================================
+export function dropIdlePlayers(room, now) {
+  if (room.phase !== "racing") return;
+  for (const player of room.players) {
+    if (player.status === "racing" && now - player.lastSeen > IDLE_TIMEOUT_SECONDS * 1000) {
+      player.status = "crashed";
+    }
+  }
+}
+
+// Is everybody down?
+export function raceOver(room) {
+  return room.phase === "racing" && room.players.every((p) => p.status === "crashed");
+}
+
+// ==================================================================
+// FUNCTION: Final placements
+// ==================================================================
+// Higher score first; with the same score, whoever stayed up longer.
+// Equal results share a place.
+export function placements(room) {
+  const sorted = [...room.players].sort((a, b) => b.score - a.score || b.frame - a.frame);
+
+  let place = 0;
+  return sorted.map((p, i) => {
+    const previous = sorted[i - 1];
+    if (!previous || previous.score !== p.score || previous.frame !== p.frame) place = i + 1;
+    return { id: p.id, name: p.name, score: p.score, frame: p.frame, place };
+  });
+}
+
+// ==================================================================
+// FUNCTION: Back to the lobby after a race
+// ==================================================================
+// Players who left during the race are removed now.
+export function resetRoom(room) {
+  room.phase = "lobby";
+  room.players = room.players.filter((p) => !p.left);
+  for (const player of room.players) Object.assign(player, { ready: false, status: "lobby" });
+}
+
+// ==================================================================
+// FUNCTION: What the clients get to see of a room
+// ==================================================================
+export function roomView(room) {
+  return {
+    code: room.code,
+    difficulty: room.difficulty,
+    phase: room.phase,
+    players: room.players.map(({ id, name, ready, status, score }) => ({ id, name, ready, status, score })),
+  };
+}
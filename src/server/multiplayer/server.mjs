@@ -0,0 +1,194 @@
+// ==================================================================
+// Online multiplayer WebSocket server
+// ==================================================================
+// A small relay that runs next to the Next.js app:
+//
+//   npm run multiplayer      (listens on MULTIPLAYER_PORT, default 3001)
+//
+// It keeps the rooms (see rooms.mjs), hands every race one seed, passes
+// each player's bird state on to the others and announces the placements.
+// It doesn't simulate the game itself: the birds are only shown to the
+// other players, nothing here counts for the leaderboards.
+//
+// The message format is described in src/app/game/netProtocol.mjs.
+
+import { randomInt, randomUUID } from "node:crypto";
+import { WebSocketServer } from "ws";
+
+import {
+  DEFAULT_PORT,
+  COUNTDOWN_SECONDS,
+  MAX_MESSAGE_BYTES,
+  ROOM_DIFFICULTIES,
+  cleanRoomCode,
+  validBirdState,
+} from "../../app/game/netProtocol.mjs";
+import {
+  createRoom,
+  addPlayer,
+  removePlayer,
+  setReady,
+  everyoneReady,
+  startCountdown,
+  updatePlayer,
+  crashPlayer,
+  dropIdlePlayers,
+  raceOver,
+  placements,
+  resetRoom,
+  roomView,
+} from "./rooms.mjs";
+
+const port = Number(process.env.MULTIPLAYER_PORT) || DEFAULT_PORT;
+const IDLE_CHECK_MS = 1000;
+
+const rooms = new Map();     // code → room
+const sockets = new Map();   // player id → WebSocket
+
+// ==================================================================
+// FUNCTIONS: Sending
+// ==================================================================
+function send(id, message) {
+  const socket = sockets.get(id);
+  if (socket && socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+}
+
+function broadcast(room, message, exceptId = null) {
+  for (const player of room.players) {
+    if (player.id !== exceptId) send(player.id, message);
+  }
+}
+
+function broadcastLobby(room) {
+  broadcast(room, { type: "lobby", room: roomView(room) });
+}
+
+// ==================================================================
+// FUNCTIONS: Race flow
+// ==================================================================
+// All ready → countdown → racing → (everyone crashed) → results → lobby
+function maybeStart(room) {
+  if (!everyoneReady(room)) return;
+
+  startCountdown(room, randomInt(2 ** 32), Date.now());
+  broadcast(room, { type: "start", seed: room.seed, difficulty: room.difficulty, countdown: COUNTDOWN_SECONDS });
+  broadcastLobby(room);
+
+  setTimeout(() => {
+    room.phase = "racing";
+    for (const player of room.players) player.lastSeen = Date.now();
+    broadcastLobby(room);
+    maybeFinish(room); // everyone may have left during the countdown
+  }, COUNTDOWN_SECONDS * 1000);
+}
+
+function maybeFinish(room) {
+  if (!raceOver(room)) return;
+
+  broadcast(room, { type: "results", placements: placements(room) });
+  resetRoom(room);
+
+  if (room.players.length === 0) rooms.delete(room.code);
+  else broadcastLobby(room);
+}
+
+// ==================================================================
+// FUNCTION: Handle one message from a player
+// ==================================================================
+// client → { id, room } (room is null until the player has joined)
+function handleMessage(client, message) {
+  const now = Date.now();
+  const { room } = client;
+
+  switch (message.type) {
+    case "join": {
+      if (room) return;
+      const code = cleanRoomCode(message.room);
+      if (!code) return send(client.id, { type: "error", message: "Please enter a room code" });
+
+      const difficulty = ROOM_DIFFICULTIES.includes(message.difficulty) ? message.difficulty : "normal";
+      const target = rooms.get(code) || createRoom(code, difficulty);
+      const error = addPlayer(target, { id: client.id, name: message.name }, now);
+      if (error) return send(client.id, { type: "error", message: error });
+
+      rooms.set(code, target);
+      client.room = target;
+      send(client.id, { type: "welcome", id: client.id });
+      broadcastLobby(target);
+      return;
+    }
+
+    case "ready":
+      if (!room) return;
+      setReady(room, client.id, message.ready);
+      broadcastLobby(room);
+      maybeStart(room);
+      return;
+
+    case "state":
+      if (!room || room.phase !== "racing") return;
+      if (!validBirdState(message)) return; // garbage would break the others' games
+      if (updatePlayer(room, client.id, message, now)) {
+        const { frame, y, velocity, score } = message;
+        broadcast(room, { type: "state", id: client.id, frame, y, velocity, score }, client.id);
+      }
+      return;
+
+    case "crash":
+      if (!room || room.phase !== "racing") return;
+      crashPlayer(room, client.id, message, now);
+      broadcastLobby(room);
+      maybeFinish(room);
+      return;
+
+    default:
+      return;
+  }
+}
+
+// ==================================================================
+// SERVER
+// ==================================================================
+const server = new WebSocketServer({ port, maxPayload: MAX_MESSAGE_BYTES }); // bigger frames close the socket
+
+server.on("connection", (socket) => {
+  const client = { id: randomUUID(), room: null };
+  sockets.set(client.id, socket);
+
+  socket.on("message", (data) => {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch {
+      return; // not JSON → ignore
+    }
+    if (message && typeof message === "object") handleMessage(client, message);
+  });
+
+  socket.on("close", () => {
+    sockets.delete(client.id);
+    const { room } = client;
+    if (!room) return;
+
+    removePlayer(room, client.id);
+    if (room.players.length === 0) {
+      rooms.delete(room.code);
+      return;
+    }
+    broadcastLobby(room);
+    maybeStart(room); // the one who wasn't ready may have left
+    maybeFinish(room);
+  });
+});
+
+// Racers whose game froze (closed laptop, lost connection) don't hold up
+// the race forever
+setInterval(() => {
+  const now = Date.now();
+  for (const room of rooms.values()) {
+    dropIdlePlayers(room, now);
+    maybeFinish(room);
+  }
+}, IDLE_CHECK_MS);
+
+console.log(`Multiplayer server listening on ws://localhost:${port}`);
@@ -0,0 +1,166 @@
+// ==================================================================
+// Shared team leaderboard storage (server only)
+// ==================================================================
+// Scores are kept in a single JSON file so the leaderboard works with no
+// database to set up. By default the file is data/scores.json in the
+// project folder; set SCORES_FILE to put it somewhere else.
+//
+// File format:
+// {
+//   version: 1,
+//   entries: [{ id, name, score, mode, difficulty, ramp, day, version,
+//               seed, jumps, frames, duration, submittedAt }]
+// }
+//   day     → "YYYY-MM-DD" of the daily challenge (daily mode only)
+//   version → replay format version of the run
+//
+// seed + jumps are the run's whole input log: with the mode, difficulty
+// and ramp the replay can be rebuilt, so the replay itself isn't stored.
+// The file stays small because every board keeps only its best
+// MAX_PER_BOARD runs, and daily boards are dropped after KEEP_DAILY_DAYS.
+//
+// All writes go through one promise chain so two submissions arriving at
+// the same time can't overwrite each other, and every write goes to a temp
+// file first and is then renamed over the real one, so a crash mid-write
+// never leaves a half-written file behind.
+
+import { promises as fs } from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
+
+import { dailyKey } from "@/app/game/modes";
+
+const FILE = process.env.SCORES_FILE || path.join(process.cwd(), "data", "scores.json");
+const VERSION = 1;
+
+const MAX_PER_BOARD = 100;  // runs kept per board
+const KEEP_DAILY_DAYS = 30; // daily boards older than this are dropped
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let queue = Promise.resolve(); // serializes read-modify-write cycles
+
+let cache = null;
+// The file as last read or written: { mtimeMs, data }. Reused while the
+// file hasn't changed, so a GET doesn't parse the whole file every time.
+
+// ==================================================================
+// FUNCTION: Read the whole file (missing or broken file → empty board)
+// ==================================================================
+async function readAll() {
+  try {
+    const { mtimeMs } = await fs.stat(FILE);
+    if (cache?.mtimeMs === mtimeMs) return cache.data;
+
+    const data = JSON.parse(await fs.readFile(FILE, "utf8"));
+    if (data && data.version === VERSION && Array.isArray(data.entries)) {
+      cache = { mtimeMs, data };
+      return data;
+    }
+  } catch (err) {
+    if (err.code !== "ENOENT") console.error(`Could not read ${FILE}:`, err.message);
+  }
+  return { version: VERSION, entries: [] };
+}
+
+async function writeAll(data) {
+  await fs.mkdir(path.dirname(FILE), { recursive: true });
+  const temp = `${FILE}.${process.pid}.tmp`;
+  await fs.writeFile(temp, JSON.stringify(data));
+  await fs.rename(temp, FILE);
+  cache = { mtimeMs: (await fs.stat(FILE)).mtimeMs, data };
+}
+
+// ==================================================================
+// FUNCTION: Scores of one board, best first
+// ==================================================================
+// A board is one mode + difficulty, with or without the speed ramp (+ day
+// for the daily challenge), so runs are only ranked against the same rules.
+const boardKey = ({ mode, difficulty, ramp, day }) =>
+  `${mode}:${difficulty}:${ramp ? "ramp" : ""}:${mode === "daily" ? day : ""}`;
+
+const byRank = (a, b) => b.score - a.score || a.submittedAt.localeCompare(b.submittedAt);
+
+function board(entries, { mode, difficulty, ramp, day }) {
+  const key = boardKey({ mode, difficulty, ramp, day });
+  return entries.filter((e) => boardKey(e) === key).sort(byRank);
+}
+
+// The same run: same inputs on the same course with the same rules.
+// (Entries from before ramp & version were stored count as version 1
+// without ramp, which is what they were.)
+function fingerprint(entry) {
+  const { version = 1, mode, difficulty, ramp = false, seed, jumps } = entry;
+  return `${version}:${mode}:${difficulty}:${ramp ? 1 : 0}:${seed}:${jumps.join(",")}`;
+}
+
+// Stored fields only (older files also kept the whole replay)
+function storedEntry(entry) {
+  const { id, name, score, mode, difficulty, ramp, day, version, seed, jumps, frames, duration, submittedAt } = entry;
+  return { id, name, score, mode, difficulty, ramp, day, version, seed, jumps, frames, duration, submittedAt };
+}
+
+// ==================================================================
+// FUNCTION: Keep the file small
+// ==================================================================
+// The best MAX_PER_BOARD runs of every board, without old daily boards.
+function prune(entries, now = new Date()) {
+  const oldestDay = dailyKey(new Date(now.getTime() - KEEP_DAILY_DAYS * DAY_MS));
+  const boards = new Map();
+  for (const entry of entries) {
+    if (entry.mode === "daily" && entry.day < oldestDay) continue;
+    const key = boardKey(entry);
+    if (!boards.has(key)) boards.set(key, []);
+    boards.get(key).push(storedEntry(entry));
+  }
+  return [...boards.values()].flatMap((list) => list.sort(byRank).slice(0, MAX_PER_BOARD));
+}
+
+// Public fields only (no input log / replay)
+function publicEntry(entry) {
+  const { id, name, score, mode, difficulty, ramp = false, day, duration, submittedAt } = entry;
+  return { id, name, score, mode, difficulty, ramp, day, duration, submittedAt };
+}
+
+// ==================================================================
+// FUNCTION: Add a verified score
+// ==================================================================
+// Submitting the exact same run twice doesn't create a duplicate: the
+// existing entry is returned instead.
+//
+// Returns { entry, rank, total } where rank is 1-based within its board.
+// A run that doesn't make its board's top MAX_PER_BOARD still gets its
+// rank, but isn't kept.
+export function addScore(score) {
+  const task = queue.then(async () => {
+    let data = await readAll();
+
+    const key = fingerprint(score);
+    let entry = data.entries.find((e) => fingerprint(e) === key);
+
+    if (!entry) {
+      entry = storedEntry({ id: randomUUID(), ...score, submittedAt: new Date().toISOString() });
+      data = { ...data, entries: [...data.entries, entry] };
+      await writeAll({ ...data, entries: prune(data.entries) });
+    }
+
+    const ranked = board(data.entries, entry);
+    return {
+      entry: publicEntry(entry),
+      rank: ranked.indexOf(entry) + 1,
+      total: ranked.length,
+    };
+  });
+
+  queue = task.catch(() => {}); // keep the chain alive after a failure
+  return task;
+}
+
+// ==================================================================
+// FUNCTION: Top scores of a board
+// ==================================================================
+export async function getScores({ mode, difficulty, ramp = false, day, limit = 20 }) {
+  await queue; // don't read in the middle of a write
+  const data = await readAll();
+  const ranked = board(data.entries, { mode, difficulty, ramp, day });
+  return { scores: ranked.slice(0, limit).map(publicEntry), total: ranked.length };
+}
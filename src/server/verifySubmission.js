@@ -0,0 +1,70 @@
+// ==================================================================
+// Server-side run verification
+// ==================================================================
+// The client sends its replay (seed + jump frames). We never trust the
+// score it claims: the run is simulated again here with the exact same
+// engine the game uses, and only the simulated result counts.
+//
+// The physics config is rebuilt from the difficulty preset instead of
+// taken from the replay, so a forged replay can't sneak in lower gravity
+// or a bigger gap (or collectibles in a mode without them). The world
+// size is fixed (WORLD_WIDTH × WORLD_HEIGHT) on every device, so a run
+// recorded in any other size is rejected. The game checks the same rules
+// before sending a run (see leaderboardRules.js).
+
+import { checkReplay, verifyReplay } from "@/app/game/replay";
+import { DEFAULT_CONFIG } from "@/app/game/engine";
+import { DIFFICULTIES } from "@/app/game/difficulty";
+import { GAME_MODES } from "@/app/game/modes";
+import { leaderboardConfig, leaderboardDay, sameCourse } from "@/app/game/leaderboardRules";
+
+// ==================================================================
+// FUNCTION: Verify a submitted replay
+// ==================================================================
+// Returns { valid: true, replay, score, duration, day }
+//      or { valid: false, reason }
+export function verifySubmission(data, now = new Date()) {
+  let replay;
+  try {
+    replay = checkReplay(data);
+  } catch (err) {
+    return { valid: false, reason: err.message };
+  }
+
+  if (!GAME_MODES[replay.mode]) return { valid: false, reason: "Unknown game mode" };
+  if (GAME_MODES[replay.mode].course) return { valid: false, reason: "Course runs don't go on the leaderboard" };
+  if (!DIFFICULTIES[replay.difficulty]) return { valid: false, reason: "Unknown difficulty" };
+
+  // -------------------------------
+  // DAILY CHALLENGE: the seed must be today's (or yesterday's, for runs
+  // that started just before midnight UTC)
+  // -------------------------------
+  let day = null;
+  if (replay.mode === "daily") {
+    day = leaderboardDay(replay.seed, now);
+    if (!day) return { valid: false, reason: "Not the current daily challenge" };
+  }
+
+  // -------------------------------
+  // TRUSTED CONFIG
+  // -------------------------------
+  const { width, height, ramp } = replay.config;
+  if (width !== DEFAULT_CONFIG.width || height !== DEFAULT_CONFIG.height) {
+    return { valid: false, reason: "Invalid playfield size" };
+  }
+
+  const config = leaderboardConfig(replay.mode, replay.difficulty, ramp);
+
+  // Older replays may have been played on other courses (see REPLAY_VERSION)
+  if (!sameCourse(replay, config)) {
+    return { valid: false, reason: "Replay was recorded with an older version of the game" };
+  }
+
+  // -------------------------------
+  // RE-SIMULATE
+  // -------------------------------
+  const result = verifyReplay(replay, config);
+  if (!result.valid) return result;
+
+  return { valid: true, replay: { ...replay, config }, score: result.score, duration: result.duration, day };
+}
@@ -0,0 +1,147 @@
+// ==================================================================
+// Engine rules: gravity, the flap, scoring and collisions
+// ==================================================================
+// Runs the engine headless through createGame() and step(), with the
+// default config (the original GRAVITY, JUMP_FORCE and PIPE_GAP).
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  createGame,
+  step,
+  floorY,
+  FIXED_DT,
+  GRAVITY,
+  JUMP_FORCE,
+  PIPE_GAP,
+  PIPE_WIDTH,
+  WORLD_WIDTH,
+} from "../src/app/game/engine.js";
+import { pipeGaps } from "../src/app/game/obstacles.js";
+
+const SEED = 1234;
+
+// A running game with the bird at rest in the middle and no pipes yet,
+// unless the overrides say otherwise
+function playing(overrides = {}) {
+  const game = createGame({}, SEED);
+  return { ...game, status: "playing", ...overrides, bird: { ...game.bird, ...overrides.bird } };
+}
+
+// A plain pipe at x whose gap spans gapTop…gapBottom
+function pipe(x, gapTop, gapBottom) {
+  const floor = floorY(createGame().config);
+  return { id: 0, x, kind: "static", topHeight: gapTop, bottomHeight: floor - gapBottom, passed: false };
+}
+
+const types = (events) => events.map((event) => event.type);
+
+describe("starting a run", () => {
+  it("waits for the first flap", () => {
+    const game = createGame({}, SEED);
+    const { state, events } = step(game, { jump: false });
+
+    assert.equal(state, game);
+    assert.deepEqual(events, []);
+  });
+
+  it("starts on the first flap and spawns a pipe with the configured gap", () => {
+    const { state, events } = step(createGame({}, SEED), { jump: true });
+
+    assert.equal(state.status, "playing");
+    assert.deepEqual(types(events), ["start", "flap", "spawn"]);
+    assert.equal(state.pipes.length, 1);
+    assert.equal(state.pipes[0].x, WORLD_WIDTH);
+
+    const [gap] = pipeGaps(state.pipes[0], floorY(state.config));
+    assert.equal(gap.bottom - gap.top, PIPE_GAP);
+  });
+});
+
+describe("bird physics", () => {
+  it("falls faster every step under gravity", () => {
+    const start = playing({ bird: { velocity: 0 } });
+    const { y } = start.bird;
+
+    const once = step(start, { jump: false }).state;
+    assert.equal(once.bird.y, y);
+    assert.equal(once.bird.velocity, GRAVITY * FIXED_DT);
+
+    const twice = step(once, { jump: false }).state;
+    assert.equal(twice.bird.y, y + GRAVITY * FIXED_DT * FIXED_DT);
+    assert.equal(twice.bird.velocity, GRAVITY * FIXED_DT + GRAVITY * FIXED_DT);
+  });
+
+  it("flaps upward with the jump force, whatever its speed before", () => {
+    const start = playing({ bird: { velocity: 300 } });
+    const { state, events } = step(start, { jump: true });
+
+    assert.ok(types(events).includes("flap"));
+    assert.equal(state.bird.y, start.bird.y + JUMP_FORCE * FIXED_DT);
+    assert.equal(state.bird.velocity, JUMP_FORCE + GRAVITY * FIXED_DT);
+  });
+});
+
+describe("scoring", () => {
+  it("scores once when the bird has passed a pipe", () => {
+    const bird = playing().bird;
+    const start = playing({ pipes: [pipe(bird.x - PIPE_WIDTH - 1, 100, 100 + PIPE_GAP)] });
+
+    const passed = step(start, { jump: false });
+    assert.equal(passed.state.score, 1);
+    assert.equal(passed.state.pipesPassed, 1);
+    assert.ok(types(passed.events).includes("score"));
+
+    const after = step(passed.state, { jump: false });
+    assert.equal(after.state.score, 1);
+    assert.ok(!types(after.events).includes("score"));
+  });
+});
+
+describe("collisions", () => {
+  it("ends the run on the floor", () => {
+    let state = playing();
+    let events = [];
+    while (state.status === "playing") ({ state, events } = step(state, { jump: false }));
+
+    assert.deepEqual(events.at(-1), { type: "collision", cause: "floor" });
+    assert.ok(state.bird.y < floorY(state.config));
+  });
+
+  it("ends the run at the ceiling", () => {
+    const { state, events } = step(playing({ bird: { y: 2, velocity: 0 } }), { jump: true });
+
+    assert.equal(state.status, "over");
+    assert.deepEqual(events.at(-1), { type: "collision", cause: "ceiling" });
+  });
+
+  it("ends the run on a pipe, naming the part that was hit", () => {
+    const { bird } = playing();
+    const below = playing({ pipes: [pipe(bird.x, 20, 20 + PIPE_GAP)] });
+    const above = playing({ pipes: [pipe(bird.x, 300, 300 + PIPE_GAP)] });
+
+    assert.deepEqual(step(below, { jump: false }).events.at(-1), { type: "collision", cause: "pipe", part: "bottom" });
+    assert.deepEqual(step(above, { jump: false }).events.at(-1), { type: "collision", cause: "pipe", part: "top" });
+  });
+
+  it("doesn't change a finished run", () => {
+    const over = { ...playing(), status: "over" };
+    const { state, events } = step(over, { jump: true });
+
+    assert.equal(state, over);
+    assert.deepEqual(events, []);
+  });
+});
+
+describe("determinism", () => {
+  it("plays the same seed and inputs the same way", () => {
+    const run = () => {
+      let state = step(createGame({}, SEED), { jump: true }).state;
+      while (state.status === "playing") state = step(state, { jump: state.frame % 20 === 0 }).state;
+      return state;
+    };
+
+    assert.deepEqual(run(), run());
+  });
+});
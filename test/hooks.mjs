@@ -0,0 +1,24 @@
+// ==================================================================
+// Module hooks: import the game's source the way the Next.js bundler does
+// ==================================================================
+// The framework-free modules in src/app/game import each other without
+// file extensions ("./constants") and are ES modules in .js files, with no
+// "type": "module" in package.json. Plain Node needs both spelled out:
+//   - "./engine" → "./engine.js" (relative imports without an extension)
+//   - .js files under src/ are loaded as ES modules
+
+import path from "node:path";
+
+export async function resolve(specifier, context, nextResolve) {
+  if (/^\.\.?\//.test(specifier) && !path.extname(specifier)) {
+    return nextResolve(`${specifier}.js`, context);
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith("file:") && url.includes("/src/") && url.endsWith(".js")) {
+    return nextLoad(url, { ...context, format: "module" });
+  }
+  return nextLoad(url, context);
+}
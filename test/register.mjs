@@ -0,0 +1,8 @@
+// ==================================================================
+// Lets `node --test` load the game modules (see hooks.mjs)
+// ==================================================================
+// Passed to node with --import by the "test" script in package.json.
+
+import { register } from "node:module";
+
+register("./hooks.mjs", import.meta.url);